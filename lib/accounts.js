@@ -0,0 +1,173 @@
+// AWS accounts, credentials and regions to scan.
+//
+// The base credentials are static keys from AWS_ACCESS_KEY_ID /
+// AWS_SECRET_ACCESS_KEY when set, otherwise the SDK default provider chain
+// (profiles, SSO, instance/task roles). Other accounts are reached by assuming
+// a role: AWS_ACCOUNTS lists { id, name, roleArn, externalId } entries, and
+// AWS_ORG_DISCOVERY=true lists the member accounts through AWS Organizations
+// and assumes AWS_ORG_ROLE_NAME in each of them. Without either, the account
+// of the base credentials is scanned. Account and region lists are cached.
+
+const { EC2Client, DescribeRegionsCommand } = require('@aws-sdk/client-ec2');
+const { CloudWatchClient } = require('@aws-sdk/client-cloudwatch');
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { OrganizationsClient, ListAccountsCommand } = require('@aws-sdk/client-organizations');
+const { fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
+const { sendAws, paginateDescribe } = require('./collector');
+const { getCached, setCached } = require('./cache');
+
+const settings = {
+  credentials: process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+    ? {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.AWS_SESSION_TOKEN || undefined
+      }
+    : undefined,
+  accounts: null,
+  orgDiscovery: process.env.AWS_ORG_DISCOVERY === 'true',
+  orgRoleName: process.env.AWS_ORG_ROLE_NAME || 'OrganizationAccountAccessRole',
+  roleSessionName: process.env.AWS_ROLE_SESSION_NAME || 'aws-resource-monitor',
+  accountsTtl: 3600, // 1 hour for the account list
+  regionsTtl: 86400 // 24 hours for regions (rarely changes)
+};
+
+// Credential providers per account, reused so assumed-role sessions are refreshed
+// by the SDK instead of re-assumed on every client
+const accountCredentials = new Map();
+
+// CloudWatch clients per account and region, shared by every service collected
+// there so their metric requests are batched together (lib/metrics.js batches per client)
+const cloudWatchClients = new Map();
+
+// Override defaults; AWS_ACCOUNTS is parsed here unless `accounts` is given.
+// Throws when AWS_ACCOUNTS is not valid JSON.
+function configureAccounts(options = {}) {
+  Object.assign(settings, options);
+  if (!options.accounts) {
+    try {
+      settings.accounts = JSON.parse(process.env.AWS_ACCOUNTS || '[]');
+    } catch (err) {
+      throw new Error(`AWS_ACCOUNTS is not valid JSON: ${err.message}`);
+    }
+  }
+  accountCredentials.clear();
+  cloudWatchClients.clear();
+}
+
+// Credentials of the account the app runs in (undefined = SDK default chain)
+function baseCredentials() {
+  return settings.credentials;
+}
+
+function getAccountCredentials(account) {
+  if (!account || !account.roleArn) return settings.credentials;
+  if (!accountCredentials.has(account.id)) {
+    accountCredentials.set(account.id, fromTemporaryCredentials({
+      masterCredentials: settings.credentials,
+      params: {
+        RoleArn: account.roleArn,
+        RoleSessionName: settings.roleSessionName,
+        ExternalId: account.externalId || undefined
+      },
+      clientConfig: { region: 'us-east-1' }
+    }));
+  }
+  return accountCredentials.get(account.id);
+}
+
+function getCloudWatchClient(account, region) {
+  const key = `${account.id}:${region}`;
+  if (!cloudWatchClients.has(key)) {
+    cloudWatchClients.set(key, new CloudWatchClient({ region, credentials: getAccountCredentials(account) }));
+  }
+  return cloudWatchClients.get(key);
+}
+
+// Resolve the account the base credentials belong to
+async function getCallerAccount() {
+  const sts = new STSClient({ region: 'us-east-1', credentials: settings.credentials });
+  const identity = await sendAws(sts, new GetCallerIdentityCommand({}));
+  return { id: identity.Account, name: identity.Account, roleArn: null };
+}
+
+// Get the list of accounts to scan (with caching)
+async function getAccounts() {
+  const cacheKey = 'aws:accounts';
+
+  const cachedAccounts = await getCached(cacheKey);
+  if (cachedAccounts !== null) {
+    return cachedAccounts;
+  }
+
+  const configured = settings.accounts || [];
+  let accounts;
+  if (settings.orgDiscovery) {
+    const caller = await getCallerAccount();
+    const orgClient = new OrganizationsClient({ region: 'us-east-1', credentials: settings.credentials });
+    const orgAccounts = await paginateDescribe(orgClient, ListAccountsCommand, {}, 'Accounts');
+    accounts = orgAccounts
+      .filter(acc => acc.Status === 'ACTIVE')
+      .map(acc => ({
+        id: acc.Id,
+        name: acc.Name,
+        // The caller's own account is scanned with the base credentials
+        roleArn: acc.Id === caller.id ? null : `arn:aws:iam::${acc.Id}:role/${settings.orgRoleName}`
+      }));
+  } else if (configured.length > 0) {
+    accounts = configured.map(acc => ({
+      id: String(acc.id),
+      name: acc.name || String(acc.id),
+      roleArn: acc.roleArn || null,
+      externalId: acc.externalId || null
+    }));
+  } else {
+    accounts = [await getCallerAccount()];
+  }
+
+  await setCached(cacheKey, accounts, settings.accountsTtl);
+  return accounts;
+}
+
+// Look up a single account by id
+async function getAccount(accountId) {
+  const accounts = await getAccounts();
+  const account = accounts.find(acc => acc.id === accountId);
+  if (!account) throw new Error(`Unknown account: ${accountId}`);
+  return account;
+}
+
+// Resolve an account id (or "all"/empty for every account) to a list of accounts
+async function resolveAccounts(accountId) {
+  if (!accountId || accountId === 'all') return getAccounts();
+  return [await getAccount(accountId)];
+}
+
+// Get all regions enabled for an account (with caching)
+async function getAllRegions(account) {
+  const cacheKey = account ? `aws:regions:${account.id}` : 'aws:regions';
+
+  // Try to get from cache first
+  const cachedRegions = await getCached(cacheKey);
+  if (cachedRegions !== null) {
+    return cachedRegions;
+  }
+
+  const ec2 = new EC2Client({ region: 'us-east-1', credentials: getAccountCredentials(account) });
+  const data = await sendAws(ec2, new DescribeRegionsCommand({}));
+  const regions = data.Regions.map(r => r.RegionName).sort();
+
+  await setCached(cacheKey, regions, settings.regionsTtl);
+  return regions;
+}
+
+module.exports = {
+  configureAccounts,
+  baseCredentials,
+  getAccountCredentials,
+  getCloudWatchClient,
+  getAccounts,
+  getAccount,
+  resolveAccounts,
+  getAllRegions
+};
@@ -0,0 +1,493 @@
+// Authentication and role-based access control.
+//
+// Users sign in through OIDC (OIDC_ISSUER), SAML (SAML_ENTRY_POINT) or the
+// local user store (<DATA_DIR>/users.json, managed with `npm run user`).
+// Sessions are HMAC-signed cookies (SESSION_SECRET); automation uses API
+// tokens sent as "Authorization: Bearer <token>", stored hashed in
+// <DATA_DIR>/api-tokens.json. Roles are ordered viewer < operator < admin and
+// SSO groups are mapped to roles with AUTH_ROLE_MAPPING. AUTH_DISABLED=true
+// turns all of this off and treats every request as an admin.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { Issuer, generators } = require('openid-client');
+const { SAML } = require('@node-saml/node-saml');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'monitor_session';
+const STATE_COOKIE = 'monitor_auth_state';
+const TOKEN_PREFIX = 'arm';
+// Failed local logins allowed per client and username, and per client across
+// usernames, within the window; at most TRACKED clients/usernames are remembered
+const LOGIN_ATTEMPTS = { MAX: 5, MAX_PER_IP: 20, WINDOW_MS: 15 * 60 * 1000, TRACKED: 10000 };
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    throw new Error(`${name} must be valid JSON: ${err.message}`);
+  }
+}
+
+const settings = {
+  disabled: process.env.AUTH_DISABLED === 'true',
+  dataDir: path.join(__dirname, '..', 'data'),
+  baseUrl: process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+  sessionSecret: process.env.SESSION_SECRET || null,
+  sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS) || 12,
+  secureCookies: process.env.SESSION_COOKIE_SECURE === 'true',
+  // { "<group>": "<role>" }; the highest mapped role wins
+  roleMapping: parseJsonEnv('AUTH_ROLE_MAPPING', {}),
+  // Role for SSO users without a mapped group; "none" rejects them
+  defaultRole: process.env.AUTH_DEFAULT_ROLE || 'viewer',
+  oidc: process.env.OIDC_ISSUER ? {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE || 'openid email profile',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups'
+  } : null,
+  saml: process.env.SAML_ENTRY_POINT ? {
+    entryPoint: process.env.SAML_ENTRY_POINT,
+    issuer: process.env.SAML_ISSUER || 'aws-resource-monitor',
+    // PEM contents or a path to a PEM file
+    idpCert: process.env.SAML_IDP_CERT,
+    roleAttribute: process.env.SAML_ROLE_ATTRIBUTE || 'groups'
+  } : null
+};
+
+const failedLogins = new Map();
+let oidcClient = null;
+let samlClient = null;
+
+// Override defaults (data directory from the server)
+function configureAuth(options) {
+  Object.assign(settings, options);
+  if (!ROLES.includes(settings.defaultRole) && settings.defaultRole !== 'none') {
+    throw new Error(`AUTH_DEFAULT_ROLE must be one of ${ROLES.join(', ')} or none`);
+  }
+  for (const [group, role] of Object.entries(settings.roleMapping)) {
+    if (!ROLES.includes(role)) throw new Error(`AUTH_ROLE_MAPPING: "${group}" maps to unknown role "${role}"`);
+  }
+}
+
+function sessionSecret() {
+  if (!settings.sessionSecret) {
+    // Sessions then end whenever the server restarts
+    settings.sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET not set; using a random secret for this process');
+  }
+  return settings.sessionSecret;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Highest role among a user's SSO groups
+function roleForGroups(groups) {
+  const list = [].concat(groups || []).map(String);
+  let best = settings.defaultRole === 'none' ? null : settings.defaultRole;
+  for (let group of list) {
+    const role = settings.roleMapping[group];
+    if (role && (!best || ROLES.indexOf(role) > ROLES.indexOf(best))) best = role;
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// JSON stores (local users and API tokens)
+// ---------------------------------------------------------------------------
+
+function storePath(name) {
+  return path.join(settings.dataDir, name);
+}
+
+function readStore(name) {
+  try {
+    return JSON.parse(fs.readFileSync(storePath(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function writeStore(name, entries) {
+  // Written with owner-only permissions: the files hold password and token hashes
+  fs.writeFileSync(storePath(name), JSON.stringify(entries, null, 2), { mode: 0o600 });
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = Buffer.from(hashPassword(password, salt).split('$')[2], 'hex');
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function listUsers() {
+  return readStore('users.json').map(({ username, role, createdAt }) => ({ username, role, createdAt }));
+}
+
+// Create or update a local user
+function setUser(username, password, role) {
+  if (!username || !/^[\w.@-]+$/.test(username)) throw new Error('Username may only contain letters, digits, ".", "@", "_" and "-"');
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  if (!password || password.length < 10) throw new Error('Password must be at least 10 characters');
+  const users = readStore('users.json').filter(u => u.username !== username);
+  users.push({ username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() });
+  writeStore('users.json', users);
+}
+
+function deleteUser(username) {
+  const users = readStore('users.json');
+  const remaining = users.filter(u => u.username !== username);
+  if (remaining.length === users.length) throw new Error(`Unknown user: ${username}`);
+  writeStore('users.json', remaining);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create an API token; the plain token is only ever returned here
+function createToken({ name, role, expiresInDays }, createdBy) {
+  if (!name) throw new Error('Token name is required');
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  const id = crypto.randomBytes(6).toString('hex');
+  const token = `${TOKEN_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const entry = {
+    id,
+    name,
+    role,
+    hash: hashToken(token),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInDays > 0 ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+  };
+  writeStore('api-tokens.json', readStore('api-tokens.json').concat(entry));
+  const { hash, ...info } = entry;
+  return { ...info, token };
+}
+
+function listTokens() {
+  return readStore('api-tokens.json').map(({ hash, ...info }) => info);
+}
+
+function revokeToken(id) {
+  const tokens = readStore('api-tokens.json');
+  const remaining = tokens.filter(t => t.id !== id);
+  if (remaining.length === tokens.length) throw new Error(`Unknown token: ${id}`);
+  writeStore('api-tokens.json', remaining);
+}
+
+function userFromToken(token) {
+  const [prefix, id] = token.split('_');
+  if (prefix !== TOKEN_PREFIX || !id) return null;
+  const entry = readStore('api-tokens.json').find(t => t.id === id);
+  if (!entry) return null;
+  const expected = Buffer.from(entry.hash, 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(hashToken(token), 'hex'))) return null;
+  if (entry.expiresAt && new Date(entry.expiresAt) < new Date()) return null;
+  return { name: `token:${entry.name}`, role: entry.role, provider: 'token' };
+}
+
+// ---------------------------------------------------------------------------
+// Signed cookies
+// ---------------------------------------------------------------------------
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function unsign(value) {
+  const [body, signature] = (value || '').split('.');
+  if (!body || !signature) return null;
+  const expected = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) return null;
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  return payload.exp > Date.now() ? payload : null;
+}
+
+function readCookie(req, name) {
+  for (let part of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function setCookie(res, name, value, { maxAgeMs, sameSite }) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', `SameSite=${sameSite}`, `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (settings.secureCookies) parts.push('Secure');
+  res.append('Set-Cookie', parts.join('; '));
+}
+
+function startSession(res, user) {
+  const maxAgeMs = settings.sessionTtlHours * 60 * 60 * 1000;
+  // Strict, so links from other sites cannot trigger actions with the session
+  setCookie(res, SESSION_COOKIE, sign({ ...user, exp: Date.now() + maxAgeMs }), { maxAgeMs, sameSite: 'Strict' });
+}
+
+// ---------------------------------------------------------------------------
+// Middleware
+// ---------------------------------------------------------------------------
+
+// Resolve req.user from a bearer token or the session cookie
+function authenticate(req, res, next) {
+  if (settings.disabled) {
+    req.user = { name: 'anonymous', role: 'admin', provider: 'none' };
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    req.user = userFromToken(header.slice(7).trim());
+    if (!req.user) return res.status(401).json({ error: 'Invalid or expired API token' });
+    return next();
+  }
+
+  const session = unsign(readCookie(req, SESSION_COOKIE));
+  if (session && session.provider === 'local') {
+    // Local users can be removed or change role at any time
+    const stored = readStore('users.json').find(u => u.username === session.name);
+    req.user = stored ? { name: stored.username, role: stored.role, provider: 'local' } : null;
+  } else if (session) {
+    req.user = { name: session.name, role: session.role, provider: session.provider };
+  }
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ error: `This action requires the ${role} role` });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Identity providers
+// ---------------------------------------------------------------------------
+
+async function getOidcClient() {
+  if (!oidcClient) {
+    const issuer = await Issuer.discover(settings.oidc.issuer);
+    oidcClient = new issuer.Client({
+      client_id: settings.oidc.clientId,
+      client_secret: settings.oidc.clientSecret,
+      redirect_uris: [`${settings.baseUrl}/api/auth/oidc/callback`],
+      response_types: ['code']
+    });
+  }
+  return oidcClient;
+}
+
+function getSamlClient() {
+  if (!samlClient) {
+    const { idpCert } = settings.saml;
+    samlClient = new SAML({
+      entryPoint: settings.saml.entryPoint,
+      issuer: settings.saml.issuer,
+      audience: settings.saml.issuer,
+      callbackUrl: `${settings.baseUrl}/api/auth/saml/callback`,
+      idpCert: idpCert && fs.existsSync(idpCert) ? fs.readFileSync(idpCert, 'utf8') : idpCert,
+      wantAssertionsSigned: true
+    });
+  }
+  return samlClient;
+}
+
+function methods() {
+  return {
+    local: !settings.disabled,
+    oidc: Boolean(settings.oidc) && !settings.disabled,
+    saml: Boolean(settings.saml) && !settings.disabled
+  };
+}
+
+// Sign in an SSO user, or send them back to the login page with an error
+function completeSsoLogin(res, provider, name, groups) {
+  const role = roleForGroups(groups);
+  if (!role) {
+    console.warn(`Rejected ${provider} login for ${name}: no role mapped to groups ${[].concat(groups || []).join(', ')}`);
+    return res.redirect('/login.html?error=' + encodeURIComponent('Your account has no access to this dashboard'));
+  }
+  startSession(res, { name, role, provider });
+  console.log(`${provider} login: ${name} (${role})`);
+  res.redirect('/');
+}
+
+function tooManyFailures(key, max) {
+  const entry = failedLogins.get(key);
+  if (!entry || Date.now() - entry.first > LOGIN_ATTEMPTS.WINDOW_MS) {
+    failedLogins.delete(key);
+    return false;
+  }
+  return entry.count >= max;
+}
+
+// Count a failure. Entries are kept in the order their window started, so the
+// expired ones (and, past TRACKED, the oldest) are dropped from the front.
+function recordFailure(key) {
+  const now = Date.now();
+  for (let [oldKey, oldEntry] of failedLogins) {
+    if (now - oldEntry.first <= LOGIN_ATTEMPTS.WINDOW_MS && failedLogins.size < LOGIN_ATTEMPTS.TRACKED) break;
+    failedLogins.delete(oldKey);
+  }
+  const entry = failedLogins.get(key) || { count: 0, first: now };
+  entry.count += 1;
+  failedLogins.set(key, entry);
+}
+
+// Routes under /api/auth: login methods, sessions and (for admins) API tokens
+function createAuthRouter() {
+  const router = express.Router();
+
+  router.get('/methods', (req, res) => {
+    res.json({ disabled: settings.disabled, ...methods() });
+  });
+
+  router.post('/login', express.json(), (req, res) => {
+    const { username, password } = req.body || {};
+    const key = `user:${req.ip}:${username}`;
+    // A second limit per client stops one address trying a password across many usernames
+    const ipKey = `ip:${req.ip}`;
+    if (tooManyFailures(key, LOGIN_ATTEMPTS.MAX) || tooManyFailures(ipKey, LOGIN_ATTEMPTS.MAX_PER_IP)) {
+      return res.status(429).json({ error: 'Too many failed attempts; try again later' });
+    }
+    const user = readStore('users.json').find(u => u.username === username);
+    if (!user || !verifyPassword(password || '', user.passwordHash)) {
+      recordFailure(key);
+      recordFailure(ipKey);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    failedLogins.delete(key);
+    startSession(res, { name: user.username, role: user.role, provider: 'local' });
+    res.json({ name: user.username, role: user.role, provider: 'local' });
+  });
+
+  router.post('/logout', (req, res) => {
+    setCookie(res, SESSION_COOKIE, '', { maxAgeMs: 0, sameSite: 'Strict' });
+    res.json({ message: 'Logged out' });
+  });
+
+  router.get('/me', authenticate, (req, res) => {
+    res.json({ ...req.user, roles: ROLES.filter(role => hasRole(req.user, role)) });
+  });
+
+  router.get('/oidc/login', async (req, res) => {
+    if (!methods().oidc) return res.status(404).json({ error: 'OIDC login is not configured' });
+    try {
+      const client = await getOidcClient();
+      const state = { state: generators.state(), nonce: generators.nonce(), codeVerifier: generators.codeVerifier() };
+      // Lax: the cookie has to come back on the redirect from the identity provider
+      setCookie(res, STATE_COOKIE, sign({ ...state, exp: Date.now() + 10 * 60 * 1000 }), { maxAgeMs: 10 * 60 * 1000, sameSite: 'Lax' });
+      res.redirect(client.authorizationUrl({
+        scope: settings.oidc.scope,
+        state: state.state,
+        nonce: state.nonce,
+        code_challenge: generators.codeChallenge(state.codeVerifier),
+        code_challenge_method: 'S256'
+      }));
+    } catch (err) {
+      console.error('OIDC login error:', err);
+      res.status(502).json({ error: err.message || 'Failed to start OIDC login' });
+    }
+  });
+
+  router.get('/oidc/callback', async (req, res) => {
+    const saved = unsign(readCookie(req, STATE_COOKIE));
+    setCookie(res, STATE_COOKIE, '', { maxAgeMs: 0, sameSite: 'Lax' });
+    if (!saved) return res.redirect('/login.html?error=' + encodeURIComponent('Login expired, please try again'));
+    try {
+      const client = await getOidcClient();
+      const tokenSet = await client.callback(`${settings.baseUrl}/api/auth/oidc/callback`, client.callbackParams(req), {
+        state: saved.state,
+        nonce: saved.nonce,
+        code_verifier: saved.codeVerifier
+      });
+      let claims = tokenSet.claims();
+      // Some providers only put groups in the userinfo response
+      if (claims[settings.oidc.roleClaim] === undefined && tokenSet.access_token) {
+        claims = { ...claims, ...(await client.userinfo(tokenSet.access_token)) };
+      }
+      completeSsoLogin(res, 'oidc', claims.email || claims.preferred_username || claims.sub, claims[settings.oidc.roleClaim]);
+    } catch (err) {
+      console.error('OIDC callback error:', err);
+      res.redirect('/login.html?error=' + encodeURIComponent('OIDC login failed'));
+    }
+  });
+
+  router.get('/saml/login', async (req, res) => {
+    if (!methods().saml) return res.status(404).json({ error: 'SAML login is not configured' });
+    try {
+      res.redirect(await getSamlClient().getAuthorizeUrlAsync('', req.get('host'), {}));
+    } catch (err) {
+      console.error('SAML login error:', err);
+      res.status(502).json({ error: err.message || 'Failed to start SAML login' });
+    }
+  });
+
+  router.post('/saml/callback', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const { profile } = await getSamlClient().validatePostResponseAsync(req.body);
+      completeSsoLogin(res, 'saml', profile.email || profile.nameID, profile[settings.saml.roleAttribute]);
+    } catch (err) {
+      console.error('SAML callback error:', err);
+      res.redirect('/login.html?error=' + encodeURIComponent('SAML login failed'));
+    }
+  });
+
+  router.get('/saml/metadata', (req, res) => {
+    if (!methods().saml) return res.status(404).json({ error: 'SAML login is not configured' });
+    res.type('application/xml').send(getSamlClient().generateServiceProviderMetadata(null, null));
+  });
+
+  router.get('/tokens', authenticate, requireRole('admin'), (req, res) => {
+    res.json(listTokens());
+  });
+
+  router.post('/tokens', authenticate, requireRole('admin'), express.json(), (req, res) => {
+    try {
+      res.status(201).json(createToken(req.body || {}, req.user.name));
+    } catch (err) {
+      res.status(400).json({ error: err.message || 'Failed to create token' });
+    }
+  });
+
+  router.delete('/tokens/:id', authenticate, requireRole('admin'), (req, res) => {
+    try {
+      revokeToken(req.params.id);
+      res.json({ message: `Token ${req.params.id} revoked` });
+    } catch (err) {
+      res.status(404).json({ error: err.message || 'Failed to revoke token' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ROLES,
+  configureAuth,
+  authenticate,
+  requireRole,
+  hasRole,
+  createAuthRouter,
+  listUsers,
+  setUser,
+  deleteUser,
+  createToken,
+  listTokens,
+  revokeToken
+};
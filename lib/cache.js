@@ -0,0 +1,294 @@
+// Cache with a Redis backend and an in-process LRU fallback.
+//
+// Keys are namespaced under CACHE_PREFIX (default "arm:") so clearing the
+// cache never touches other data in the same Redis database, and invalidation
+// walks keys with SCAN instead of the blocking KEYS. Entries are stored as
+// { value, storedAt, expiresAt } and outlive their TTL by CACHE_STALE_SECONDS:
+// cached() serves such a stale entry straight away and refreshes it in the
+// background (stale-while-revalidate). While Redis is unreachable, or with
+// CACHE_BACKEND=memory, entries live in the in-process LRU instead.
+
+const redis = require('redis');
+
+const settings = {
+  backend: process.env.CACHE_BACKEND || 'redis',
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  password: process.env.REDIS_PASSWORD || undefined,
+  prefix: process.env.CACHE_PREFIX || 'arm:',
+  staleSeconds: parseInt(process.env.CACHE_STALE_SECONDS, 10) || 900,
+  memoryMaxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 5000
+};
+
+const SCAN_COUNT = 500;
+
+const stats = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshErrors: 0 };
+
+// Loads in flight per key, so concurrent misses and refreshes share one call
+const inflight = new Map();
+
+// Redis glob pattern -> RegExp ("*" and "?" only; callers escape the rest)
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (ch === '*') source += '.*';
+    else if (ch === '?') source += '.';
+    else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Escape glob metacharacters in a literal key segment
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// In-process LRU: a Map kept in access order, oldest first
+function createMemoryBackend(maxEntries) {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.evictAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = live(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.data;
+    },
+    async set(key, data, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { data, evictAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async keys(pattern) {
+      const regex = globToRegExp(pattern);
+      return [...entries.keys()].filter(key => live(key) && regex.test(key));
+    },
+    async del(keys) {
+      for (let key of keys) entries.delete(key);
+    },
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+function createRedisBackend() {
+  const client = redis.createClient({
+    url: settings.url,
+    password: settings.password,
+    // Fail fast while disconnected instead of queueing commands until Redis is back
+    disableOfflineQueue: true,
+    socket: { reconnectStrategy: retries => Math.min(retries * 500, 10000) }
+  });
+
+  let reportedDown = false;
+  client.on('error', err => {
+    // Reconnect attempts repeat the same error; report it once per outage
+    if (!reportedDown) console.error(`Redis unavailable (${err.message}); using the in-memory cache until it is back`);
+    reportedDown = true;
+  });
+  client.on('ready', () => {
+    console.log('Redis Client Connected');
+    reportedDown = false;
+  });
+  client.connect().catch(err => console.error('Redis connect error:', err.message));
+
+  return {
+    name: 'redis',
+    client,
+    isReady: () => client.isReady,
+    async get(key) {
+      const data = await client.get(key);
+      return data ? JSON.parse(data) : null;
+    },
+    async set(key, data, ttlSeconds) {
+      await client.setEx(key, ttlSeconds, JSON.stringify(data));
+    },
+    async keys(pattern) {
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) keys.push(key);
+      return keys;
+    },
+    async del(keys) {
+      for (let i = 0; i < keys.length; i += SCAN_COUNT) await client.unlink(keys.slice(i, i + SCAN_COUNT));
+    }
+  };
+}
+
+let memory = null;
+let redisBackend = null;
+
+// Start the cache; options override the environment defaults
+function configureCache(options = {}) {
+  Object.assign(settings, options);
+  memory = createMemoryBackend(settings.memoryMaxEntries);
+  redisBackend = settings.backend === 'redis' ? createRedisBackend() : null;
+}
+
+// Redis when connected, otherwise the in-process LRU
+function backend() {
+  if (!memory) configureCache();
+  return redisBackend && redisBackend.isReady() ? redisBackend : memory;
+}
+
+async function readEntry(key) {
+  const store = backend();
+  try {
+    return await store.get(settings.prefix + key);
+  } catch (err) {
+    console.error(`Cache get error (${store.name}):`, err.message);
+    return null;
+  }
+}
+
+async function writeEntry(key, value, ttl) {
+  const now = Date.now();
+  const entry = { value, storedAt: now, expiresAt: now + ttl * 1000 };
+  const store = backend();
+  try {
+    await store.set(settings.prefix + key, entry, ttl + settings.staleSeconds);
+  } catch (err) {
+    console.error(`Cache set error (${store.name}):`, err.message);
+  }
+  return entry;
+}
+
+function entryMeta(entry, status) {
+  return {
+    status,
+    backend: backend().name,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000)
+  };
+}
+
+// Fresh cached value, or null when missing or past its TTL
+async function getCached(key) {
+  const entry = await readEntry(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits += 1;
+    return entry.value;
+  }
+  stats.misses += 1;
+  return null;
+}
+
+async function setCached(key, value, ttl) {
+  await writeEntry(key, value, ttl);
+}
+
+function load(key, ttl, loader) {
+  if (!inflight.has(key)) {
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => writeEntry(key, value, ttl))
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+  }
+  return inflight.get(key);
+}
+
+// Read-through cache with stale-while-revalidate. Resolves to
+// { value, cache: { status: 'hit'|'stale'|'miss', storedAt, expiresAt, ageSeconds, backend } }.
+async function cached(key, ttl, loader, { forceRefresh = false } = {}) {
+  if (!forceRefresh) {
+    const entry = await readEntry(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      stats.hits += 1;
+      return { value: entry.value, cache: entryMeta(entry, 'hit') };
+    }
+    if (entry) {
+      stats.staleHits += 1;
+      if (!inflight.has(key)) {
+        stats.refreshes += 1;
+        load(key, ttl, loader).catch(err => {
+          stats.refreshErrors += 1;
+          console.error(`Background refresh of ${key} failed:`, err.message);
+        });
+      }
+      return { value: entry.value, cache: entryMeta(entry, 'stale') };
+    }
+  }
+  stats.misses += 1;
+  const entry = await load(key, ttl, loader);
+  return { value: entry.value, cache: entryMeta(entry, 'miss') };
+}
+
+// Combine the cache metadata of several cached() results: the oldest age,
+// the earliest expiry and how many were hits, stale or misses
+function mergeCacheMeta(metas) {
+  const merged = { hits: 0, stale: 0, misses: 0, ageSeconds: 0, expiresAt: null };
+  for (let meta of metas) {
+    if (meta.status === 'hit') merged.hits += 1;
+    else if (meta.status === 'stale') merged.stale += 1;
+    else merged.misses += 1;
+    merged.ageSeconds = Math.max(merged.ageSeconds, meta.ageSeconds);
+    if (!merged.expiresAt || meta.expiresAt < merged.expiresAt) merged.expiresAt = meta.expiresAt;
+  }
+  return merged;
+}
+
+// Delete every key matching a glob pattern (relative to the namespace)
+async function invalidate(pattern = '*') {
+  const store = backend();
+  const keys = await store.keys(settings.prefix + pattern);
+  await store.del(keys);
+  // Entries written while Redis was down would be served again if it drops out later
+  if (store !== memory) await memory.del(await memory.keys(settings.prefix + pattern));
+  if (keys.length > 0) console.log(`Cleared ${keys.length} cache keys matching ${pattern}`);
+  return keys.length;
+}
+
+async function cacheStats({ sample = 20 } = {}) {
+  const store = backend();
+  const keys = (await store.keys(settings.prefix + '*')).map(key => key.slice(settings.prefix.length));
+  return {
+    backend: store.name,
+    redisConnected: Boolean(redisBackend && redisBackend.isReady()),
+    prefix: settings.prefix,
+    staleSeconds: settings.staleSeconds,
+    totalKeys: keys.length,
+    memoryEntries: memory.size(),
+    ...stats,
+    keys: keys.slice(0, sample)
+  };
+}
+
+// Hit/miss counters without touching the store (cheap enough for every metrics scrape)
+function cacheCounters() {
+  return { backend: backend().name, redisConnected: Boolean(redisBackend && redisBackend.isReady()), ...stats };
+}
+
+async function closeCache() {
+  if (!redisBackend) return;
+  const { client } = redisBackend;
+  if (client.isReady) await client.quit();
+  else if (client.isOpen) await client.disconnect();
+}
+
+module.exports = {
+  configureCache,
+  getCached,
+  setCached,
+  cached,
+  mergeCacheMeta,
+  invalidate,
+  escapeGlob,
+  cacheStats,
+  cacheCounters,
+  closeCache
+};
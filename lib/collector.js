@@ -0,0 +1,233 @@
+// Concurrency, rate limiting and retries for the AWS calls made by collectors.
+//
+// sendAws() waits for a token from a per service and region token bucket
+// (AWS throttles per account and region), then retries throttling and
+// transient errors with exponential backoff and full jitter. runTasks() fans
+// work out over a bounded worker pool with a timeout per task and reports
+// failures next to the results instead of failing the whole batch. Every
+// request is counted per service and operation for the metrics exporter.
+
+const settings = {
+  // Region x service tasks in flight at once
+  concurrency: parseInt(process.env.COLLECTOR_CONCURRENCY, 10) || 8,
+  // Per-resource CloudWatch/pricing lookups in flight within one task
+  resourceConcurrency: parseInt(process.env.COLLECTOR_RESOURCE_CONCURRENCY, 10) || 4,
+  taskTimeoutMs: parseInt(process.env.COLLECTOR_REGION_TIMEOUT_MS, 10) || 120000,
+  maxAttempts: parseInt(process.env.AWS_RETRY_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: 250,
+  maxDelayMs: 20000,
+  // Requests per second per service and region, keyed by the SDK's serviceId
+  rateLimits: {
+    EC2: 20,
+    CloudWatch: 20,
+    'CloudWatch Logs': 5,
+    S3: 50,
+    RDS: 10,
+    Lambda: 10,
+    'Elastic Load Balancing': 10,
+    'Elastic Load Balancing v2': 10,
+    Pricing: 5,
+    STS: 10,
+    Organizations: 5,
+    'Cost Explorer': 5,
+    savingsplans: 5,
+    ...(process.env.AWS_RATE_LIMITS ? JSON.parse(process.env.AWS_RATE_LIMITS) : {})
+  }
+};
+
+const DEFAULT_RATE_LIMIT = 10;
+
+const THROTTLING_ERRORS = new Set([
+  'Throttling', 'ThrottlingException', 'ThrottledException', 'RequestThrottled', 'RequestThrottledException',
+  'TooManyRequestsException', 'RequestLimitExceeded', 'SlowDown', 'EC2ThrottledException',
+  'ProvisionedThroughputExceededException', 'PriorRequestNotComplete', 'BandwidthLimitExceeded'
+]);
+const TRANSIENT_ERRORS = new Set(['TimeoutError', 'RequestTimeout', 'RequestTimeoutException', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'InternalError', 'ServiceUnavailable']);
+
+const limiters = new Map();
+
+// Request counters per "service:operation"
+const callStats = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isThrottlingError(err) {
+  return THROTTLING_ERRORS.has(err.name) || THROTTLING_ERRORS.has(err.Code) || err.$metadata?.httpStatusCode === 429;
+}
+
+function isRetryableError(err) {
+  if (isThrottlingError(err)) return true;
+  const status = err.$metadata?.httpStatusCode;
+  return TRANSIENT_ERRORS.has(err.name) || TRANSIENT_ERRORS.has(err.code) || (status >= 500 && status < 600);
+}
+
+// Token bucket; each caller waits its turn so bursts are spread out
+function createRateLimiter(ratePerSecond) {
+  let tokens = ratePerSecond;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  return () => {
+    const turn = queue.then(async () => {
+      const now = Date.now();
+      tokens = Math.min(ratePerSecond, tokens + ((now - updatedAt) / 1000) * ratePerSecond);
+      updatedAt = now;
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / ratePerSecond) * 1000);
+        tokens = 1;
+        updatedAt = Date.now();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  };
+}
+
+function limiterFor(service, region) {
+  const key = `${service}:${region}`;
+  if (!limiters.has(key)) {
+    limiters.set(key, createRateLimiter(settings.rateLimits[service] || DEFAULT_RATE_LIMIT));
+  }
+  return limiters.get(key);
+}
+
+function statsFor(service, operation) {
+  const key = `${service}:${operation}`;
+  if (!callStats.has(key)) {
+    callStats.set(key, { service, operation, calls: 0, retries: 0, throttled: 0, errors: {} });
+  }
+  return callStats.get(key);
+}
+
+// Send an AWS SDK command with rate limiting and retries on throttling/transient
+// errors. These retries come on top of the SDK's own quick ones, so they cover
+// sustained throttling rather than a single rejected request.
+async function sendAws(client, command) {
+  const service = client.config.serviceId;
+  const region = await client.config.region();
+  const acquire = limiterFor(service, region);
+  const stats = statsFor(service, command.constructor.name.replace(/Command$/, ''));
+
+  for (let attempt = 1; ; attempt++) {
+    await acquire();
+    stats.calls += 1;
+    try {
+      return await client.send(command);
+    } catch (err) {
+      if (isThrottlingError(err)) stats.throttled += 1;
+      if (attempt >= settings.maxAttempts || !isRetryableError(err)) {
+        const { code } = describeError(err);
+        stats.errors[code] = (stats.errors[code] || 0) + 1;
+        throw err;
+      }
+      stats.retries += 1;
+      // Full jitter: a random delay up to the exponential backoff ceiling
+      const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+      const delay = Math.round(Math.random() * ceiling);
+      console.warn(`${service} ${command.constructor.name} in ${region} failed with ${err.name}; retry ${attempt}/${settings.maxAttempts - 1} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Reject if the promise does not settle within ms
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+      err.name = 'TimeoutError';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Helper to paginate AWS describe calls. EC2 and Organizations page with
+// NextToken, Lambda returns NextMarker and RDS returns Marker; both of the
+// latter expect the token back as Marker.
+async function paginateDescribe(client, CommandClass, params, resultKey) {
+  let results = [];
+  let page = {};
+  do {
+    const data = await sendAws(client, new CommandClass({ ...params, ...page }));
+    if (data[resultKey]) results = results.concat(data[resultKey]);
+    if (data.NextToken) page = { NextToken: data.NextToken };
+    else if (data.NextMarker || data.Marker) page = { Marker: data.NextMarker || data.Marker };
+    else page = null;
+  } while (page);
+  return results;
+}
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight.
+// Stops starting new calls after the first failure.
+async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Map an error to the entry reported in API `errors` arrays
+function describeError(err) {
+  return {
+    code: (err.name !== 'Error' && err.name) || err.code || 'Error',
+    message: err.message,
+    throttled: isThrottlingError(err)
+  };
+}
+
+// Run every task through the worker pool with a timeout each. Never rejects:
+// resolves to [{ task, ok, value }] or [{ task, ok: false, error }] in task order.
+// isCancelled() is checked before each task starts; skipped tasks get { cancelled: true }.
+async function runTasks(tasks, worker, { concurrency = settings.concurrency, timeoutMs = settings.taskTimeoutMs, label = () => 'Task', onStart, onSettled, isCancelled } = {}) {
+  return mapPool(tasks, concurrency, async task => {
+    if (isCancelled && isCancelled()) return { task, ok: false, cancelled: true };
+    if (onStart) onStart(task);
+    let outcome;
+    try {
+      outcome = { task, ok: true, value: await withTimeout(worker(task), timeoutMs, label(task)) };
+    } catch (err) {
+      outcome = { task, ok: false, error: err };
+    }
+    if (onSettled) onSettled(outcome);
+    return outcome;
+  });
+}
+
+function collectorSettings() {
+  return { ...settings };
+}
+
+// Requests sent (attempts, including retries), retries, throttled attempts and
+// failed requests by error code, per service and operation
+function awsCallStats() {
+  return [...callStats.values()].map(stats => ({ ...stats, errors: { ...stats.errors } }));
+}
+
+module.exports = {
+  sendAws,
+  paginateDescribe,
+  mapPool,
+  runTasks,
+  withTimeout,
+  describeError,
+  isThrottlingError,
+  collectorSettings,
+  awsCallStats
+};
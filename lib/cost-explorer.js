@@ -0,0 +1,226 @@
+// Actual spend from AWS Cost Explorer.
+//
+// Costs are read with the base (payer/management account) credentials and
+// filtered by linked account. COST_EXPLORER_ENDPOINT points the client at
+// another endpoint, e.g. scripts/cost-explorer-stub.js for local testing.
+// Resource-level costs (GetCostAndUsageWithResources) must be enabled in the
+// Cost Explorer settings and only cover the last 14 days; set
+// COST_EXPLORER_RESOURCE_LEVEL=true to use them.
+
+const {
+  CostExplorerClient, GetCostAndUsageCommand, GetCostAndUsageWithResourcesCommand
+} = require('@aws-sdk/client-cost-explorer');
+const { sendAws } = require('./collector');
+
+const RESOURCE_LEVEL_DAYS = 14;
+
+const settings = {
+  endpoint: process.env.COST_EXPLORER_ENDPOINT || undefined,
+  resourceLevel: process.env.COST_EXPLORER_RESOURCE_LEVEL === 'true',
+  credentials: undefined,
+  getCached: async () => null,
+  setCached: async () => {},
+  cacheTtl: 21600
+};
+
+// Cost Explorer SERVICE dimension values mapped to this app's services
+const CE_SERVICES = {
+  'Amazon Elastic Compute Cloud - Compute': 'ec2',
+  'EC2 - Other': 'ebs',
+  'Amazon Simple Storage Service': 's3',
+  'Amazon Relational Database Service': 'rds',
+  'AWS Lambda': 'lambda',
+  'Elastic Load Balancing': 'network',
+  'Amazon Virtual Private Cloud': 'network' // public IPv4 addresses
+};
+
+// Services whose spend is split further by USAGE_TYPE. Usage types carry a
+// region prefix ("USE1-NatGateway-Hours"), so the patterns are unanchored;
+// anything unmatched stays with the service's entry in CE_SERVICES.
+const CE_USAGE_TYPES = {
+  'EC2 - Other': [
+    [/NatGateway-/, 'network'],
+    [/ElasticIP:/, 'network'],
+    // Includes the snapshots behind AMIs, which bill no storage of their own
+    [/EBS:Snapshot/, 'snapshot']
+  ],
+  // Backup storage beyond the free allowance ("RDS:ChargedBackupUsage",
+  // "Aurora:BackupUsage"), i.e. manual and retained snapshots
+  'Amazon Relational Database Service': [
+    [/BackupUsage/, 'rds-snapshot']
+  ]
+};
+
+// Override defaults (credentials and cache helpers from the server)
+function configureCostExplorer(options) {
+  Object.assign(settings, options);
+}
+
+function isResourceLevelEnabled() {
+  return settings.resourceLevel;
+}
+
+// The app service for a Cost Explorer service and, where it is split, usage type
+function ceServiceToAppService(name, usageType = '') {
+  const rule = (CE_USAGE_TYPES[name] || []).find(([pattern]) => pattern.test(usageType));
+  return rule ? rule[1] : CE_SERVICES[name] || 'other';
+}
+
+function serviceFilter(accountIds, ceService) {
+  return { And: [linkedAccountFilter(accountIds), { Dimensions: { Key: 'SERVICE', Values: [ceService] } }] };
+}
+
+function createClient() {
+  return new CostExplorerClient({
+    region: 'us-east-1',
+    credentials: settings.credentials,
+    endpoint: settings.endpoint
+  });
+}
+
+// Format a Date as YYYY-MM-DD (UTC)
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Month-to-date period; End is exclusive, so it is empty on the 1st
+function monthToDatePeriod(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+  return { start: isoDate(start), end: isoDate(end), daysElapsed: now.getUTCDate() - 1, daysInMonth };
+}
+
+function lastMonthPeriod(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return { start: isoDate(start), end: isoDate(end) };
+}
+
+function linkedAccountFilter(accountIds) {
+  return { Dimensions: { Key: 'LINKED_ACCOUNT', Values: accountIds } };
+}
+
+// Follow NextPageToken through every page of results
+async function sendPaged(client, CommandClass, params) {
+  let results = [];
+  let nextPageToken;
+  do {
+    const data = await sendAws(client, new CommandClass({ ...params, NextPageToken: nextPageToken }));
+    results = results.concat(data.ResultsByTime || []);
+    nextPageToken = data.NextPageToken;
+  } while (nextPageToken);
+  return results;
+}
+
+// Unblended cost per service and region for a period (with caching)
+async function getServiceRegionCosts({ start, end }, accountIds) {
+  if (start >= end) return [];
+  const cacheKey = `costexplorer:service-region:${accountIds.join(',')}:${start}:${end}`;
+  const cached = await settings.getCached(cacheKey);
+  if (cached !== null) return cached;
+
+  const client = createClient();
+  const query = (Filter, GroupBy) => sendPaged(client, GetCostAndUsageCommand, {
+    TimePeriod: { Start: start, End: end },
+    Granularity: 'MONTHLY',
+    Metrics: ['UnblendedCost'],
+    Filter,
+    GroupBy
+  });
+
+  // Sum across the monthly buckets (a period may span two months)
+  const totals = new Map();
+  const add = (service, region, group) => {
+    const key = `${service}|${region}`;
+    const amount = parseFloat(group.Metrics.UnblendedCost.Amount) || 0;
+    totals.set(key, (totals.get(key) || 0) + amount);
+  };
+  const byService = await query(linkedAccountFilter(accountIds), [
+    { Type: 'DIMENSION', Key: 'SERVICE' }, { Type: 'DIMENSION', Key: 'REGION' }
+  ]);
+  for (let period of byService) {
+    for (let group of period.Groups || []) {
+      const [ceService, region] = group.Keys;
+      if (!CE_USAGE_TYPES[ceService]) add(ceServiceToAppService(ceService), region, group);
+    }
+  }
+  // GroupBy takes two dimensions, so split services get their own query by
+  // region and usage type in place of their service/region totals
+  for (let ceService of Object.keys(CE_USAGE_TYPES)) {
+    const byUsageType = await query(serviceFilter(accountIds, ceService), [
+      { Type: 'DIMENSION', Key: 'REGION' }, { Type: 'DIMENSION', Key: 'USAGE_TYPE' }
+    ]);
+    for (let period of byUsageType) {
+      for (let group of period.Groups || []) {
+        const [region, usageType] = group.Keys;
+        add(ceServiceToAppService(ceService, usageType), region, group);
+      }
+    }
+  }
+
+  const costs = [...totals.entries()].map(([key, amount]) => {
+    const [service, region] = key.split('|');
+    return { service, region, amount };
+  });
+
+  await settings.setCached(cacheKey, costs, settings.cacheTtl);
+  return costs;
+}
+
+// Cost per resource over the last 14 days (with caching)
+async function getResourceCosts(accountIds, now = new Date()) {
+  if (!settings.resourceLevel) return [];
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const start = new Date(end.getTime() - RESOURCE_LEVEL_DAYS * 24 * 60 * 60 * 1000);
+  const cacheKey = `costexplorer:resources:${accountIds.join(',')}:${isoDate(end)}`;
+  const cached = await settings.getCached(cacheKey);
+  if (cached !== null) return cached;
+
+  const client = createClient();
+  const totals = new Map();
+  // Resource-level queries must be filtered by service
+  for (let ceService of Object.keys(CE_SERVICES)) {
+    const results = await sendPaged(client, GetCostAndUsageWithResourcesCommand, {
+      TimePeriod: { Start: isoDate(start), End: isoDate(end) },
+      Granularity: 'DAILY',
+      Metrics: ['UnblendedCost'],
+      Filter: serviceFilter(accountIds, ceService),
+      GroupBy: [{ Type: 'DIMENSION', Key: 'RESOURCE_ID' }].concat(
+        CE_USAGE_TYPES[ceService] ? [{ Type: 'DIMENSION', Key: 'USAGE_TYPE' }] : []
+      )
+    });
+    for (let period of results) {
+      for (let group of period.Groups || []) {
+        const [resourceId, usageType] = group.Keys;
+        const key = `${ceServiceToAppService(ceService, usageType)}|${resourceId}`;
+        const amount = parseFloat(group.Metrics.UnblendedCost.Amount) || 0;
+        totals.set(key, (totals.get(key) || 0) + amount);
+      }
+    }
+  }
+
+  const costs = [...totals.entries()].map(([key, amount]) => {
+    const [service, resourceId] = key.split('|');
+    return {
+      service,
+      resourceId,
+      actualLast14Days: amount,
+      monthlyRunRate: amount / RESOURCE_LEVEL_DAYS * 30
+    };
+  });
+
+  await settings.setCached(cacheKey, costs, settings.cacheTtl);
+  return costs;
+}
+
+module.exports = {
+  RESOURCE_LEVEL_DAYS,
+  configureCostExplorer,
+  isResourceLevelEnabled,
+  ceServiceToAppService,
+  monthToDatePeriod,
+  lastMonthPeriod,
+  getServiceRegionCosts,
+  getResourceCosts
+};
@@ -0,0 +1,324 @@
+// Lambda function analysis.
+//
+// collectFunctions() lists every function with its published versions and
+// aliases, reads invocations and duration over LAMBDA_LOOKBACK_DAYS (default
+// 14) and prices a month at that rate for the function's architecture,
+// ephemeral storage and provisioned concurrency. It also flags provisioned
+// concurrency that served nothing in the lookback window, runtimes past (or
+// near) their deprecation date, memory far above the peak actually used and
+// x86_64 functions that would be cheaper on arm64, each with an estimated
+// monthly saving. Peak memory comes from the REPORT lines in the function's
+// logs through CloudWatch Logs Insights (LAMBDA_LOGS_INSIGHTS=false turns it
+// off); Insights bills per GB scanned, so results are cached for
+// LAMBDA_MEMORY_CACHE_SECONDS (default 6 hours).
+
+const {
+  ListFunctionsCommand, ListAliasesCommand, ListProvisionedConcurrencyConfigsCommand, ListTagsCommand
+} = require('@aws-sdk/client-lambda');
+const { StartQueryCommand, GetQueryResultsCommand, StopQueryCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const { sendAws, paginateDescribe, mapPool, collectorSettings } = require('./collector');
+const { getCached, setCached } = require('./cache');
+const { priceLambda } = require('./pricing');
+
+const settings = {
+  lookbackDays: parseInt(process.env.LAMBDA_LOOKBACK_DAYS, 10) || 14,
+  logsInsights: process.env.LAMBDA_LOGS_INSIGHTS !== 'false',
+  memoryCacheTtl: parseInt(process.env.LAMBDA_MEMORY_CACHE_SECONDS, 10) || 21600,
+  // Memory is over-provisioned when the peak used is below this share of it
+  overProvisionedRatio: 0.5,
+  // Recommended memory: peak used plus this headroom, rounded up to 64 MB
+  memoryHeadroom: 1.2,
+  // Runtimes deprecated within this many days are flagged as "deprecating"
+  deprecationWarningDays: 180,
+  // Logs Insights queries running at once across every account and region;
+  // the service limits concurrent queries per account
+  logsQueryConcurrency: parseInt(process.env.LAMBDA_LOGS_QUERY_CONCURRENCY, 10) || 4,
+  logsQueryTimeoutMs: 60000,
+  logsPollMs: 1000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_MEMORY_MB = 128;
+
+let runningQueries = 0;
+const queuedQueries = [];
+
+// Lambda runtime deprecation dates (Phase 1: no more security patches)
+const RUNTIME_DEPRECATIONS = {
+  'nodejs10.x': '2021-07-30',
+  'nodejs12.x': '2023-03-31',
+  'nodejs14.x': '2023-12-04',
+  'nodejs16.x': '2024-06-12',
+  'nodejs18.x': '2025-09-01',
+  'nodejs20.x': '2026-04-30',
+  'python2.7': '2021-07-15',
+  'python3.6': '2022-07-18',
+  'python3.7': '2023-12-04',
+  'python3.8': '2024-10-14',
+  'python3.9': '2025-12-15',
+  'java8': '2024-01-08',
+  'dotnetcore3.1': '2023-04-03',
+  'dotnet6': '2024-12-20',
+  'dotnet7': '2024-05-14',
+  'ruby2.7': '2023-12-07',
+  'ruby3.2': '2026-03-31',
+  'go1.x': '2023-12-31',
+  'provided': '2023-12-31'
+};
+
+// Runtimes that have no arm64 build
+const X86_ONLY_RUNTIMES = ['nodejs10.x', 'python2.7', 'python3.6', 'python3.7', 'java8', 'go1.x', 'provided'];
+
+// "deprecated", "deprecating" (within deprecationWarningDays) or "supported";
+// container image functions have no managed runtime
+function runtimeStatus(runtime, now = Date.now()) {
+  const date = RUNTIME_DEPRECATIONS[runtime];
+  if (!runtime) return { status: null, deprecation: null };
+  if (!date) return { status: 'supported', deprecation: null };
+  const daysLeft = (new Date(date).getTime() - now) / DAY_MS;
+  return { status: daysLeft <= 0 ? 'deprecated' : daysLeft <= settings.deprecationWarningDays ? 'deprecating' : 'supported', deprecation: date };
+}
+
+// Smallest memory size (64 MB steps) that leaves the headroom above the peak used
+function recommendedMemory(maxMemoryUsedMB, memoryMB) {
+  const target = Math.max(MIN_MEMORY_MB, Math.ceil((maxMemoryUsedMB * settings.memoryHeadroom) / 64) * 64);
+  return target < memoryMB ? target : null;
+}
+
+// Run fn once fewer than logsQueryConcurrency queries are running. A finished
+// query hands its slot straight to the next one waiting.
+async function withQuerySlot(fn) {
+  if (runningQueries < settings.logsQueryConcurrency) runningQueries += 1;
+  else await new Promise(resolve => queuedQueries.push(resolve));
+  try {
+    return await fn();
+  } finally {
+    const next = queuedQueries.shift();
+    if (next) next();
+    else runningQueries -= 1;
+  }
+}
+
+// Run a Logs Insights query and wait for it; resolves to the result rows as objects
+async function runInsightsQuery(logsClient, params) {
+  const { queryId } = await sendAws(logsClient, new StartQueryCommand(params));
+  const deadline = Date.now() + settings.logsQueryTimeoutMs;
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, settings.logsPollMs));
+    const data = await sendAws(logsClient, new GetQueryResultsCommand({ queryId }));
+    if (data.status === 'Complete') {
+      return (data.results || []).map(row => Object.fromEntries(row.map(cell => [cell.field, cell.value])));
+    }
+    if (['Failed', 'Cancelled', 'Timeout', 'Unknown'].includes(data.status)) {
+      throw new Error(`Logs Insights query ${data.status.toLowerCase()}`);
+    }
+    if (Date.now() > deadline) {
+      await sendAws(logsClient, new StopQueryCommand({ queryId })).catch(() => {});
+      throw new Error('Logs Insights query timed out');
+    }
+  }
+}
+
+// Peak and average memory used (MB) over the lookback window from the
+// function's REPORT log lines, cached per function. Null without log data.
+async function memoryUsage(logsClient, cachePrefix, fn) {
+  const cacheKey = `${cachePrefix}:${fn.FunctionName}:${settings.lookbackDays}`;
+  const cachedUsage = await getCached(cacheKey);
+  if (cachedUsage !== null) return cachedUsage.maxMemoryUsedMB === null ? null : cachedUsage;
+
+  const endTime = Math.floor(Date.now() / 1000);
+  const rows = await withQuerySlot(() => runInsightsQuery(logsClient, {
+    logGroupName: (fn.LoggingConfig && fn.LoggingConfig.LogGroup) || `/aws/lambda/${fn.FunctionName}`,
+    startTime: endTime - settings.lookbackDays * 86400,
+    endTime,
+    queryString: 'filter @type = "REPORT" | stats max(@maxMemoryUsed / 1000 / 1000) as maxMemoryUsedMB, ' +
+      'avg(@maxMemoryUsed / 1000 / 1000) as avgMemoryUsedMB, count(*) as reports'
+  }));
+  const row = rows[0];
+  const usage = row && Number(row.reports) > 0
+    ? { maxMemoryUsedMB: Number(row.maxMemoryUsedMB), avgMemoryUsedMB: Number(row.avgMemoryUsedMB), reports: Number(row.reports) }
+    : { maxMemoryUsedMB: null };
+  await setCached(cacheKey, usage, settings.memoryCacheTtl);
+  return usage.maxMemoryUsedMB === null ? null : usage;
+}
+
+// Published versions not targeted by any alias (candidates for deletion)
+function unreferencedVersions(versions, aliases) {
+  const referenced = new Set();
+  for (let alias of aliases) {
+    referenced.add(alias.FunctionVersion);
+    for (let version of Object.keys((alias.RoutingConfig && alias.RoutingConfig.AdditionalVersionWeights) || {})) {
+      referenced.add(version);
+    }
+  }
+  return versions.filter(version => !referenced.has(version));
+}
+
+// Every function in a region, analysed. readMetric(namespace, name,
+// dimensions, statistic, lookbackDays) reads CloudWatch for the account and
+// region; cachePrefix scopes the cached memory figures to them.
+async function collectFunctions({ lambdaClient, logsClient, region, readMetric, cachePrefix }) {
+  const concurrency = collectorSettings().resourceConcurrency;
+  const days = settings.lookbackDays;
+  const monthFactor = 30 / days;
+
+  // FunctionVersion=ALL lists $LATEST and every published version
+  const listed = await paginateDescribe(lambdaClient, ListFunctionsCommand, { FunctionVersion: 'ALL' }, 'Functions');
+  const functions = listed.filter(fn => fn.Version === '$LATEST');
+  const versionsByFunction = new Map();
+  for (let fn of listed) {
+    if (fn.Version === '$LATEST') continue;
+    if (!versionsByFunction.has(fn.FunctionName)) versionsByFunction.set(fn.FunctionName, []);
+    versionsByFunction.get(fn.FunctionName).push(fn.Version);
+  }
+
+  const details = await mapPool(functions, concurrency, async fn => {
+    const [aliases, provisioned, tags] = await Promise.all([
+      paginateDescribe(lambdaClient, ListAliasesCommand, { FunctionName: fn.FunctionName }, 'Aliases'),
+      paginateDescribe(lambdaClient, ListProvisionedConcurrencyConfigsCommand, { FunctionName: fn.FunctionName }, 'ProvisionedConcurrencyConfigs'),
+      sendAws(lambdaClient, new ListTagsCommand({ Resource: fn.FunctionArn })).then(data => data.Tags || {}, err => {
+        console.error(`Error reading tags for function ${fn.FunctionName}:`, err.message);
+        return {};
+      })
+    ]);
+    return { aliases, provisioned, tags };
+  });
+
+  // Function and provisioned concurrency metrics for every function go out in shared GetMetricData calls
+  const usage = await Promise.all(functions.map((fn, index) => {
+    const dims = [{ Name: 'FunctionName', Value: fn.FunctionName }];
+    return Promise.all([
+      readMetric('AWS/Lambda', 'Invocations', dims, 'Sum', days),
+      readMetric('AWS/Lambda', 'Duration', dims, 'Sum', days),
+      Promise.all(details[index].provisioned.map(config => {
+        const qualifier = config.FunctionArn.split(':').pop();
+        const resourceDims = [...dims, { Name: 'Resource', Value: `${fn.FunctionName}:${qualifier}` }];
+        return Promise.all([
+          readMetric('AWS/Lambda', 'ProvisionedConcurrencyInvocations', resourceDims, 'Sum', days),
+          readMetric('AWS/Lambda', 'ProvisionedConcurrencyUtilization', resourceDims, 'Maximum', days)
+        ]);
+      }))
+    ]);
+  }));
+
+  return mapPool(functions, concurrency, async (fn, index) => {
+    const { aliases, provisioned, tags } = details[index];
+    const [invocations, durationMs, provisionedUsage] = usage[index];
+    const architecture = (fn.Architectures && fn.Architectures[0]) || 'x86_64';
+    const memoryMB = fn.MemorySize;
+    const ephemeralStorageMB = (fn.EphemeralStorage && fn.EphemeralStorage.Size) || 512;
+
+    const provisionedConcurrency = provisioned.map((config, i) => {
+      const [pcInvocations, peakUtilization] = provisionedUsage[i];
+      return {
+        qualifier: config.FunctionArn.split(':').pop(),
+        allocated: config.AllocatedProvisionedConcurrentExecutions || config.RequestedProvisionedConcurrentExecutions || 0,
+        status: config.Status,
+        invocations: pcInvocations,
+        peakUtilization,
+        idle: pcInvocations === 0
+      };
+    });
+    const allocated = provisionedConcurrency.reduce((sum, pc) => sum + pc.allocated, 0);
+    const pcInvocations = provisionedConcurrency.reduce((sum, pc) => sum + pc.invocations, 0);
+    const usageInputs = {
+      region,
+      memoryMB,
+      ephemeralStorageMB,
+      requests: invocations * monthFactor,
+      durationSeconds: (durationMs / 1000) * monthFactor,
+      provisionedConcurrency: allocated,
+      provisionedShare: invocations > 0 ? Math.min(1, pcInvocations / invocations) : 0
+    };
+    const price = await priceLambda({ ...usageInputs, architecture });
+
+    let memory = null;
+    if (settings.logsInsights && invocations > 0) {
+      try {
+        memory = await memoryUsage(logsClient, cachePrefix, fn);
+      } catch (err) {
+        console.error(`Error reading memory usage of function ${fn.FunctionName}:`, err.message);
+      }
+    }
+
+    const runtime = runtimeStatus(fn.Runtime);
+    const suggestions = [];
+    if (runtime.status === 'deprecated' || runtime.status === 'deprecating') {
+      suggestions.push({
+        action: 'upgrade-runtime',
+        description: `Upgrade the ${fn.Runtime} runtime (${runtime.status === 'deprecated' ? 'deprecated' : 'deprecation'} on ${runtime.deprecation})`,
+        estimatedSaving: 0
+      });
+    }
+    // Each change is priced on top of the ones before it, so the savings add up
+    let current = { ...usageInputs, architecture };
+    let currentMonthly = price.monthly;
+    const suggest = async (action, description, changes) => {
+      const next = { ...current, ...changes };
+      const changed = await priceLambda(next);
+      suggestions.push({ action, description, estimatedSaving: currentMonthly - changed.monthly });
+      current = next;
+      currentMonthly = changed.monthly;
+    };
+
+    const idleProvisioned = provisionedConcurrency.filter(pc => pc.idle && pc.allocated > 0);
+    if (idleProvisioned.length > 0) {
+      const units = idleProvisioned.reduce((sum, pc) => sum + pc.allocated, 0);
+      await suggest('remove-provisioned-concurrency',
+        `Remove provisioned concurrency on ${idleProvisioned.map(pc => `${pc.qualifier} (${pc.allocated})`).join(', ')}; ` +
+          `no invocations in ${days} days`,
+        { provisionedConcurrency: allocated - units });
+    }
+    const targetMemory = memory && memory.maxMemoryUsedMB < memoryMB * settings.overProvisionedRatio
+      ? recommendedMemory(memory.maxMemoryUsedMB, memoryMB)
+      : null;
+    if (targetMemory) {
+      // Assumes the duration stays the same; CPU share scales with memory, so check CPU-bound functions
+      await suggest('reduce-memory',
+        `Lower memory from ${memoryMB} MB to ${targetMemory} MB (peak used ${Math.ceil(memory.maxMemoryUsedMB)} MB in ${days} days)`,
+        { memoryMB: targetMemory });
+    }
+    if (architecture === 'x86_64' && fn.PackageType !== 'Image' && !X86_ONLY_RUNTIMES.includes(fn.Runtime) && invocations + allocated > 0) {
+      await suggest('switch-to-arm64', 'Switch to arm64 (Graviton); native dependencies must have arm64 builds',
+        { architecture: 'arm64' });
+    }
+
+    const versions = versionsByFunction.get(fn.FunctionName) || [];
+    return {
+      name: fn.FunctionName,
+      arn: fn.FunctionArn,
+      runtime: fn.Runtime || fn.PackageType,
+      runtimeStatus: runtime.status,
+      runtimeDeprecation: runtime.deprecation,
+      architecture,
+      memory: memoryMB,
+      ephemeralStorage: ephemeralStorageMB,
+      timeout: fn.Timeout,
+      codeSize: fn.CodeSize,
+      lookbackDays: days,
+      invocations,
+      avgDurationMs: invocations > 0 ? durationMs / invocations : 0,
+      maxMemoryUsedMB: memory ? memory.maxMemoryUsedMB : null,
+      avgMemoryUsedMB: memory ? memory.avgMemoryUsedMB : null,
+      recommendedMemory: targetMemory,
+      provisionedConcurrency,
+      // Idle provisioned concurrency is reported through the state for the policy
+      state: idleProvisioned.length > 0 ? 'provisioned-idle' : 'active',
+      versions: versions.length,
+      aliases: aliases.map(alias => alias.Name),
+      unreferencedVersions: unreferencedVersions(versions, aliases),
+      suggestions,
+      estimatedSaving: suggestions.reduce((sum, suggestion) => sum + suggestion.estimatedSaving, 0),
+      creation: new Date(fn.LastModified),
+      tags,
+      usageStatus: invocations > 0 ? 'used' : 'idle',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+module.exports = {
+  runtimeStatus,
+  collectFunctions
+};
@@ -0,0 +1,135 @@
+// Batched CloudWatch metric collection.
+//
+// Metric requests made against the same CloudWatch client within a short
+// window (METRIC_BATCH_WINDOW_MS) are queued and sent together: identical
+// requests are merged, requests sharing a time range and period are packed up
+// to 500 queries per GetMetricData call, every page of the response is read
+// and the datapoints are handed back to each caller as a raw time series
+// ({ timestamps, values }, oldest first). Callers reduce the series to the
+// figure they need (average, sum, percentile) themselves.
+
+const { GetMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
+const { sendAws } = require('./collector');
+
+const settings = {
+  windowMs: parseInt(process.env.METRIC_BATCH_WINDOW_MS, 10) || 50,
+  // GetMetricData accepts at most 500 queries per call
+  maxQueries: 500
+};
+
+// Pending batch per CloudWatch client (each client is bound to one account and region)
+const pending = new WeakMap();
+
+// Hourly datapoints for a day or less, daily ones beyond
+function metricPeriod(days) {
+  return days <= 1 ? 3600 : 86400;
+}
+
+function queryKey(query) {
+  return JSON.stringify([query.namespace, query.name, query.dimensions, query.stat, query.days]);
+}
+
+// Queue one metric query; resolves to its { timestamps, values } series
+function fetchMetricSeries(cwClient, { namespace, name, dimensions = [], stat = 'Average', days = 1 }) {
+  const query = { namespace, name, dimensions, stat, days };
+  let batch = pending.get(cwClient);
+  if (!batch) {
+    batch = { queries: new Map(), timer: setTimeout(() => flush(cwClient, batch), settings.windowMs) };
+    pending.set(cwClient, batch);
+  }
+
+  const key = queryKey(query);
+  if (!batch.queries.has(key)) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    batch.queries.set(key, { query, promise, resolve, reject });
+  }
+  const { promise } = batch.queries.get(key);
+
+  if (batch.queries.size >= settings.maxQueries) {
+    clearTimeout(batch.timer);
+    flush(cwClient, batch);
+  }
+  return promise;
+}
+
+// Send a batch, one set of calls per lookback window
+function flush(cwClient, batch) {
+  if (pending.get(cwClient) === batch) pending.delete(cwClient);
+  const byWindow = new Map();
+  for (let entry of batch.queries.values()) {
+    const days = entry.query.days;
+    if (!byWindow.has(days)) byWindow.set(days, []);
+    byWindow.get(days).push(entry);
+  }
+  for (let [days, entries] of byWindow) {
+    for (let i = 0; i < entries.length; i += settings.maxQueries) {
+      const chunk = entries.slice(i, i + settings.maxQueries);
+      sendQueries(cwClient, days, chunk).catch(err => {
+        for (let entry of chunk) entry.reject(err);
+      });
+    }
+  }
+}
+
+// One GetMetricData request (following NextToken) for up to 500 queries
+async function sendQueries(cwClient, days, entries) {
+  const period = metricPeriod(days);
+  const endTime = new Date();
+  const params = {
+    StartTime: new Date(endTime.getTime() - days * 24 * 60 * 60 * 1000),
+    EndTime: endTime,
+    ScanBy: 'TimestampAscending',
+    MetricDataQueries: entries.map((entry, index) => ({
+      Id: `q${index}`,
+      MetricStat: {
+        Metric: { Namespace: entry.query.namespace, MetricName: entry.query.name, Dimensions: entry.query.dimensions },
+        Period: period,
+        Stat: entry.query.stat
+      },
+      ReturnData: true
+    }))
+  };
+
+  const series = entries.map(() => ({ timestamps: [], values: [] }));
+  let nextToken;
+  do {
+    const data = await sendAws(cwClient, new GetMetricDataCommand({ ...params, NextToken: nextToken }));
+    // A query's datapoints can be spread over several pages
+    for (let result of data.MetricDataResults || []) {
+      const target = series[parseInt(result.Id.slice(1), 10)];
+      if (!target) continue;
+      (result.Timestamps || []).forEach(ts => target.timestamps.push(new Date(ts).toISOString()));
+      target.values.push(...(result.Values || []));
+    }
+    nextToken = data.NextToken;
+  } while (nextToken);
+
+  entries.forEach((entry, index) => entry.resolve(series[index]));
+}
+
+// Reduce a series to one figure: total for Sum, peak for Maximum and
+// percentiles (an upper bound for the latter), low for Minimum, else the mean
+function summarizeSeries(series, stat) {
+  const values = series.values;
+  if (values.length === 0) return 0;
+  if (stat === 'Sum') return values.reduce((a, b) => a + b, 0);
+  if (stat === 'Maximum' || stat.startsWith('p')) return Math.max(...values);
+  if (stat === 'Minimum') return Math.min(...values);
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Nearest-rank percentile (0-100) of a series' datapoints
+function seriesPercentile(series, percentile) {
+  const sorted = [...series.values].sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+module.exports = {
+  fetchMetricSeries,
+  summarizeSeries,
+  seriesPercentile,
+  metricPeriod
+};
@@ -0,0 +1,474 @@
+// Notification channels: email (any SMTP server), Slack incoming webhooks,
+// Microsoft Teams webhooks and generic JSON webhooks signed with HMAC.
+//
+// Channels are listed in NOTIFIERS_FILE (default notifiers.json, see
+// notifiers.example.json). "${VAR}" in any string value is replaced with the
+// environment variable, so webhook URLs and passwords can stay in .env. Without
+// the file, EMAIL_USER/EMAIL_PASS/RECEIVER_EMAIL configure a single Gmail
+// channel as before. Each channel filters resources by its own
+// minMonthlyCost and services before formatting a channel-native message.
+// Report files are attached to emails; Slack and Teams get links to them and
+// webhooks get them inline (base64).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const settings = {
+  file: process.env.NOTIFIERS_FILE || path.join(__dirname, '..', 'notifiers.json'),
+  timeoutMs: parseInt(process.env.NOTIFIER_TIMEOUT_MS, 10) || 10000,
+  log: console.log
+};
+
+// Slack allows 50 blocks per message, Teams cards get unwieldy past this
+const MAX_LISTED_RESOURCES = 40;
+
+let channels = [];
+
+// Override defaults (logger)
+function configureNotifiers(options) {
+  Object.assign(settings, options);
+}
+
+function formatCost(resource) {
+  return `$${(resource.monthlyCost || 0).toFixed(2)}`;
+}
+
+function resourceLabel(resource) {
+  return resource.id || resource.name;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Replace "${VAR}" with process.env.VAR throughout a config value
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, expandEnv(v)]));
+  }
+  return value;
+}
+
+// POST a JSON body, failing on non-2xx responses
+async function postJson(url, body, headers = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: payload,
+    signal: AbortSignal.timeout(settings.timeoutMs)
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Channel types
+// Each type validates its config and creates a send(message) function, where
+// message is { subject, intro, resources, totalMonthlyCost, isManual } plus an
+// optional `to` that replaces an email channel's recipients and optional
+// `attachments` ([{ filename, contentType, content, url }]).
+// ---------------------------------------------------------------------------
+
+const NOTIFIER_TYPES = {
+  email: {
+    validate(config, errors, where) {
+      if (!config.to || (Array.isArray(config.to) && config.to.length === 0)) errors.push(`${where}: "to" is required`);
+      if (!config.smtp || typeof config.smtp !== 'object') errors.push(`${where}: "smtp" transport options are required`);
+    },
+    create(config) {
+      // Anything nodemailer accepts: { host, port, secure, auth } or { service: 'gmail', auth }
+      const transporter = nodemailer.createTransport(config.smtp);
+      const from = config.from || `AWS Resource Monitor <${config.smtp.auth?.user}>`;
+      return async message => {
+        await transporter.sendMail({
+          from,
+          to: message.to || config.to,
+          subject: message.subject,
+          text: emailText(message),
+          html: emailHtml(message),
+          attachments: (message.attachments || []).map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+        });
+      };
+    }
+  },
+
+  slack: {
+    validate(config, errors, where) {
+      if (!config.webhookUrl) errors.push(`${where}: "webhookUrl" is required`);
+    },
+    create(config) {
+      return message => postJson(config.webhookUrl, slackPayload(message, config));
+    }
+  },
+
+  teams: {
+    validate(config, errors, where) {
+      if (!config.webhookUrl) errors.push(`${where}: "webhookUrl" is required`);
+    },
+    create(config) {
+      return message => postJson(config.webhookUrl, teamsPayload(message));
+    }
+  },
+
+  webhook: {
+    validate(config, errors, where) {
+      if (!config.url) errors.push(`${where}: "url" is required`);
+    },
+    create(config) {
+      return async message => {
+        const body = JSON.stringify(webhookPayload(message));
+        const headers = { ...(config.headers || {}) };
+        if (config.secret) {
+          // Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare
+          const timestamp = Math.floor(Date.now() / 1000).toString();
+          const signature = crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+          headers['X-Monitor-Timestamp'] = timestamp;
+          headers['X-Monitor-Signature'] = `sha256=${signature}`;
+        }
+        await postJson(config.url, body, headers);
+      };
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Message formatting
+// ---------------------------------------------------------------------------
+
+function emailText(message) {
+  if (message.resources.length === 0) return message.intro;
+  return `${message.intro}\n\n` +
+    message.resources.map(r => `${r.service.toUpperCase()} in ${r.accountName || r.accountId}/${r.region}: ${resourceLabel(r)} (${r.usageStatus}, Cost: ${formatCost(r)})`).join('\n') +
+    `\n\nTotal: $${message.totalMonthlyCost.toFixed(2)}/mo`;
+}
+
+function emailHtml(message) {
+  const cell = 'style="border:1px solid #ddd;padding:4px 8px;text-align:left"';
+  const rows = message.resources.map(r => `
+      <tr>
+        <td ${cell}>${escapeHtml(r.service.toUpperCase())}</td>
+        <td ${cell}>${escapeHtml(r.accountName || r.accountId)}</td>
+        <td ${cell}>${escapeHtml(r.region)}</td>
+        <td ${cell}>${escapeHtml(resourceLabel(r))}</td>
+        <td ${cell}>${escapeHtml(r.type || '-')}</td>
+        <td ${cell}>${escapeHtml(r.usageStatus)}</td>
+        <td ${cell} align="right">${formatCost(r)}</td>
+      </tr>`).join('');
+  const table = message.resources.length === 0 ? '' : `
+    <table style="border-collapse:collapse;font-family:sans-serif;font-size:13px">
+      <thead>
+        <tr>
+          <th ${cell}>Service</th><th ${cell}>Account</th><th ${cell}>Region</th><th ${cell}>ID/Name</th>
+          <th ${cell}>Type</th><th ${cell}>Status</th><th ${cell}>Monthly Cost</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot>
+        <tr><th ${cell} colspan="6">Total</th><th ${cell}>$${message.totalMonthlyCost.toFixed(2)}</th></tr>
+      </tfoot>
+    </table>`;
+  return `<p style="font-family:sans-serif">${escapeHtml(message.intro)}</p>${table}`;
+}
+
+// Attachments with a download link; chat webhooks cannot carry files
+function linkedAttachments(message) {
+  return (message.attachments || []).filter(a => a.url);
+}
+
+function slackPayload(message, config) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: message.subject } },
+    { type: 'section', text: { type: 'mrkdwn', text: message.intro } }
+  ];
+  const links = linkedAttachments(message);
+  if (links.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: links.map(a => `<${a.url}|${a.filename}>`).join('  ·  ') } });
+  }
+  const listed = message.resources.slice(0, MAX_LISTED_RESOURCES);
+  for (let r of listed) {
+    blocks.push({
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*${r.service.toUpperCase()}* \`${resourceLabel(r)}\`\n${r.accountName || r.accountId} / ${r.region}` },
+        { type: 'mrkdwn', text: `${r.usageStatus}\n*${formatCost(r)}*/mo` }
+      ]
+    });
+  }
+  if (message.resources.length > 0) {
+    const more = message.resources.length - listed.length;
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `Total *$${message.totalMonthlyCost.toFixed(2)}/mo* across ${message.resources.length} resources` +
+          (more > 0 ? ` (${more} more not shown)` : '')
+      }]
+    });
+  }
+  const payload = { text: message.subject, blocks };
+  if (config.channel) payload.channel = config.channel;
+  return payload;
+}
+
+// Adaptive Card, accepted by both Workflows and legacy incoming webhooks
+function teamsPayload(message) {
+  const listed = message.resources.slice(0, MAX_LISTED_RESOURCES);
+  const body = [
+    { type: 'TextBlock', size: 'Large', weight: 'Bolder', text: message.subject, wrap: true },
+    { type: 'TextBlock', text: message.intro, wrap: true }
+  ];
+  const links = linkedAttachments(message);
+  if (links.length > 0) {
+    body.push({ type: 'TextBlock', text: links.map(a => `[${a.filename}](${a.url})`).join(' · '), wrap: true });
+  }
+  if (listed.length > 0) {
+    body.push({
+      type: 'FactSet',
+      facts: listed.map(r => ({
+        title: resourceLabel(r),
+        value: `${r.service.toUpperCase()} · ${r.accountName || r.accountId}/${r.region} · ${r.usageStatus} · ${formatCost(r)}/mo`
+      }))
+    });
+    const more = message.resources.length - listed.length;
+    body.push({
+      type: 'TextBlock',
+      weight: 'Bolder',
+      text: `Total $${message.totalMonthlyCost.toFixed(2)}/mo${more > 0 ? ` (${more} more not shown)` : ''}`
+    });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: { $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', type: 'AdaptiveCard', version: '1.4', body }
+    }]
+  };
+}
+
+function webhookPayload(message) {
+  return {
+    subject: message.subject,
+    manual: message.isManual,
+    sentAt: new Date().toISOString(),
+    totalMonthlyCost: message.totalMonthlyCost,
+    resources: message.resources.map(r => ({
+      accountId: r.accountId,
+      accountName: r.accountName,
+      service: r.service,
+      region: r.region,
+      id: resourceLabel(r),
+      type: r.type,
+      state: r.state,
+      usageStatus: r.usageStatus,
+      monthlyCost: r.monthlyCost || 0,
+      tags: r.tags || {}
+    })),
+    attachments: (message.attachments || []).map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      url: a.url,
+      contentBase64: a.content.toString('base64')
+    }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Channel configuration
+// ---------------------------------------------------------------------------
+
+function validateChannels(doc) {
+  const errors = [];
+  if (!doc || !Array.isArray(doc.channels)) {
+    throw new Error('Invalid notifiers config: expected { "channels": [...] }');
+  }
+  const names = new Set();
+  doc.channels.forEach((config, index) => {
+    const where = `channels[${index}]${config && config.name ? ` (${config.name})` : ''}`;
+    if (!config || typeof config.name !== 'string' || !config.name) {
+      errors.push(`${where}: "name" is required`);
+      return;
+    }
+    if (names.has(config.name)) errors.push(`${where}: duplicate name`);
+    names.add(config.name);
+    const type = NOTIFIER_TYPES[config.type];
+    if (!type) {
+      errors.push(`${where}: "type" must be one of ${Object.keys(NOTIFIER_TYPES).join(', ')}`);
+      return;
+    }
+    if (config.minMonthlyCost !== undefined && !(typeof config.minMonthlyCost === 'number' && config.minMonthlyCost >= 0)) {
+      errors.push(`${where}: "minMonthlyCost" must be a non-negative number`);
+    }
+    if (config.services !== undefined && (!Array.isArray(config.services) || config.services.some(s => typeof s !== 'string'))) {
+      errors.push(`${where}: "services" must be an array of service names`);
+    }
+    type.validate(config, errors, where);
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid notifiers config:\n  ${errors.join('\n  ')}`);
+  }
+  return doc;
+}
+
+// Channel config from the legacy EMAIL_* variables, if they are set
+function legacyEmailConfig() {
+  const { EMAIL_USER, EMAIL_PASS, RECEIVER_EMAIL } = process.env;
+  if (!EMAIL_USER || !EMAIL_PASS || !RECEIVER_EMAIL) return { channels: [] };
+  return {
+    channels: [{
+      name: 'email',
+      type: 'email',
+      smtp: { service: 'gmail', auth: { user: EMAIL_USER, pass: EMAIL_PASS } },
+      to: RECEIVER_EMAIL
+    }]
+  };
+}
+
+// Read and validate the channel list; the active channels only change on success
+function loadChannels() {
+  const fromFile = fs.existsSync(settings.file);
+  const doc = validateChannels(expandEnv(fromFile
+    ? JSON.parse(fs.readFileSync(settings.file, 'utf8'))
+    : legacyEmailConfig()));
+
+  channels = doc.channels.map(config => ({
+    name: config.name,
+    type: config.type,
+    minMonthlyCost: config.minMonthlyCost || 0,
+    services: config.services || null,
+    send: NOTIFIER_TYPES[config.type].create(config)
+  }));
+  settings.log(`Loaded ${channels.length} notification channel(s) from ${fromFile ? settings.file : 'EMAIL_* settings'}`);
+  return listChannels();
+}
+
+// Channel names, types and filters (no URLs or credentials)
+function listChannels() {
+  return channels.map(({ name, type, minMonthlyCost, services }) => ({ name, type, minMonthlyCost, services }));
+}
+
+// Send resources to every channel (or just `channelName`) after applying its filters.
+// Resolves to one { channel, type, status, count, error } entry per channel.
+async function notify(resources, { isManual = false, channelName } = {}) {
+  const targets = channelName ? channels.filter(c => c.name === channelName) : channels;
+  if (targets.length === 0) {
+    throw new Error(channelName ? `Unknown notification channel: ${channelName}` : 'No notification channels configured');
+  }
+
+  const results = [];
+  for (let channel of targets) {
+    const selected = resources
+      .filter(r => !channel.services || channel.services.includes(r.service))
+      .filter(r => (r.monthlyCost || 0) >= channel.minMonthlyCost)
+      .sort((a, b) => (b.monthlyCost || 0) - (a.monthlyCost || 0));
+
+    // Scheduled runs stay quiet when nothing passes the channel's filters
+    if (selected.length === 0 && !isManual) {
+      results.push({ channel: channel.name, type: channel.type, status: 'skipped', count: 0 });
+      continue;
+    }
+
+    const message = buildMessage(selected, {
+      subject: isManual ? 'Manual AWS Resources Notification' : 'AWS Long-Idle Resources Notification',
+      intro: selected.length
+        ? `The following ${selected.length} AWS resources were identified:`
+        : 'No unused resources found. This is a test notification.',
+      isManual
+    });
+    try {
+      await channel.send(message);
+      settings.log(`Notification sent to ${channel.name} (${channel.type}) with ${selected.length} resources`);
+      results.push({ channel: channel.name, type: channel.type, status: 'sent', count: selected.length });
+    } catch (err) {
+      console.error(`Error sending notification to ${channel.name}:`, err);
+      results.push({ channel: channel.name, type: channel.type, status: 'failed', count: selected.length, error: err.message });
+    }
+  }
+  return results;
+}
+
+function buildMessage(resources, { subject, intro, isManual = false }) {
+  return {
+    subject,
+    intro,
+    resources,
+    totalMonthlyCost: resources.reduce((sum, r) => sum + (r.monthlyCost || 0), 0),
+    isManual
+  };
+}
+
+// Send a message to one contact, { email: address(es), channels: [channel names] },
+// without channel filters. Email goes through the first email channel's transport.
+// Resolves to one result entry per destination.
+async function notifyContact(resources, contact, { subject, intro }) {
+  const message = buildMessage(resources, { subject, intro });
+  const deliveries = [];
+  if (contact.email && contact.email.length > 0) {
+    const emailChannel = channels.find(c => c.type === 'email');
+    if (!emailChannel) throw new Error('No email channel configured for direct email');
+    deliveries.push({ channel: emailChannel, message: { ...message, to: contact.email } });
+  }
+  for (let name of contact.channels || []) {
+    const channel = channels.find(c => c.name === name);
+    if (!channel) throw new Error(`Unknown notification channel: ${name}`);
+    deliveries.push({ channel, message });
+  }
+
+  const results = [];
+  for (let { channel, message: msg } of deliveries) {
+    try {
+      await channel.send(msg);
+      results.push({ channel: channel.name, type: channel.type, status: 'sent', count: resources.length });
+    } catch (err) {
+      console.error(`Error sending notification to ${channel.name}:`, err);
+      results.push({ channel: channel.name, type: channel.type, status: 'failed', count: resources.length, error: err.message });
+    }
+  }
+  return results;
+}
+
+// Send a report to the named channels (or every channel) without channel
+// filters: the message lists `resources` and carries the report files.
+// Resolves to one result entry per channel.
+async function notifyReport(resources, { subject, intro, attachments, channelNames }) {
+  const targets = channelNames ? channelNames.map(name => {
+    const channel = channels.find(c => c.name === name);
+    if (!channel) throw new Error(`Unknown notification channel: ${name}`);
+    return channel;
+  }) : channels;
+  if (targets.length === 0) throw new Error('No notification channels configured');
+
+  const message = { ...buildMessage(resources, { subject, intro }), attachments };
+  const results = [];
+  for (let channel of targets) {
+    try {
+      await channel.send(message);
+      settings.log(`Report sent to ${channel.name} (${channel.type}) with ${attachments.length} file(s)`);
+      results.push({ channel: channel.name, type: channel.type, status: 'sent', count: resources.length });
+    } catch (err) {
+      console.error(`Error sending report to ${channel.name}:`, err);
+      results.push({ channel: channel.name, type: channel.type, status: 'failed', count: resources.length, error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  configureNotifiers,
+  loadChannels,
+  listChannels,
+  notify,
+  notifyContact,
+  notifyReport
+};
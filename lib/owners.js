@@ -0,0 +1,278 @@
+// Owner routing for idle-resource alerts.
+//
+// A resource's owner is the first of the owner tag keys it carries (Owner,
+// Team, CostCenter by default; OWNER_TAG_KEYS or "tagKeys" in the owners file
+// change the list), otherwise the owner of the first matching mapping in
+// OWNERS_FILE (default owners.json, see owners.example.json). Owners are
+// reached through their "contacts" entry, or directly when the owner value is
+// an email address. Owners who stay idle past escalation.afterNotices notices
+// are escalated once; notice counts live in <DATA_DIR>/owner-notices.json and
+// are dropped as soon as a resource is no longer long-idle.
+
+const fs = require('fs');
+const path = require('path');
+const { notify, notifyContact } = require('./notifiers');
+const { matchesPattern } = require('./policy');
+
+const settings = {
+  file: process.env.OWNERS_FILE || path.join(__dirname, '..', 'owners.json'),
+  stateFile: path.join(__dirname, '..', 'data', 'owner-notices.json'),
+  tagKeys: (process.env.OWNER_TAG_KEYS || 'Owner,Team,CostCenter').split(',').map(k => k.trim()).filter(Boolean),
+  log: console.log
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let config = { tagKeys: settings.tagKeys, contacts: {}, mappings: [], admins: null, escalation: null };
+let enabled = false;
+
+// Override defaults (state file location from the server, logger)
+function configureOwners(options) {
+  Object.assign(settings, options);
+}
+
+function resourceKey(resource) {
+  return `${resource.accountId}:${resource.service}:${resource.region}:${resource.id || resource.name}`;
+}
+
+// A contact is { email: address or [addresses], channels: [notifier channel names] }
+function validateContact(contact, where, errors) {
+  if (!contact || typeof contact !== 'object') {
+    errors.push(`${where}: must be an object with "email" and/or "channels"`);
+    return;
+  }
+  const emails = [].concat(contact.email || []);
+  if (emails.some(e => !EMAIL_PATTERN.test(e))) errors.push(`${where}: "email" must be an address or a list of addresses`);
+  if (contact.channels !== undefined && (!Array.isArray(contact.channels) || contact.channels.some(c => typeof c !== 'string'))) {
+    errors.push(`${where}: "channels" must be an array of channel names`);
+  }
+  if (emails.length === 0 && !(contact.channels || []).length) errors.push(`${where}: needs "email" or "channels"`);
+}
+
+function validateOwners(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object') throw new Error('Invalid owners file: expected an object');
+
+  if (doc.tagKeys !== undefined && (!Array.isArray(doc.tagKeys) || doc.tagKeys.some(k => typeof k !== 'string'))) {
+    errors.push('"tagKeys" must be an array of tag keys');
+  }
+  for (const [owner, contact] of Object.entries(doc.contacts || {})) {
+    validateContact(contact, `contacts.${owner}`, errors);
+    if (contact && contact.escalateTo !== undefined) validateContact(contact.escalateTo, `contacts.${owner}.escalateTo`, errors);
+  }
+  if (doc.mappings !== undefined && !Array.isArray(doc.mappings)) errors.push('"mappings" must be an array');
+  (doc.mappings || []).forEach((mapping, index) => {
+    const where = `mappings[${index}]`;
+    if (!mapping || typeof mapping.owner !== 'string') errors.push(`${where}: "owner" is required`);
+    for (const field of ['accountId', 'service', 'region', 'id']) {
+      if (mapping && mapping[field] !== undefined && typeof mapping[field] !== 'string') errors.push(`${where}: "${field}" must be a pattern string`);
+    }
+    if (mapping && mapping.tags !== undefined && (typeof mapping.tags !== 'object' || Array.isArray(mapping.tags))) {
+      errors.push(`${where}: "tags" must be an object of key/pattern pairs`);
+    }
+  });
+  if (doc.admins !== undefined) validateContact(doc.admins, 'admins', errors);
+  if (doc.escalation !== undefined) {
+    if (!(Number.isInteger(doc.escalation.afterNotices) && doc.escalation.afterNotices > 0)) {
+      errors.push('"escalation.afterNotices" must be a positive integer');
+    }
+    if (doc.escalation.contact !== undefined) validateContact(doc.escalation.contact, 'escalation.contact', errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid owners file:\n  ${errors.join('\n  ')}`);
+  }
+  return doc;
+}
+
+// Read and validate the owners file. Routing is only enabled when it exists;
+// the active config only changes on success.
+function loadOwners() {
+  if (!fs.existsSync(settings.file)) {
+    enabled = false;
+    config = { tagKeys: settings.tagKeys, contacts: {}, mappings: [], admins: null, escalation: null };
+    return null;
+  }
+  const doc = validateOwners(JSON.parse(fs.readFileSync(settings.file, 'utf8')));
+  config = {
+    tagKeys: doc.tagKeys || settings.tagKeys,
+    contacts: doc.contacts || {},
+    mappings: doc.mappings || [],
+    admins: doc.admins || null,
+    escalation: doc.escalation || null
+  };
+  enabled = true;
+  settings.log(`Loaded owner routing from ${settings.file} (${Object.keys(config.contacts).length} contacts, ${config.mappings.length} mappings)`);
+  return ownersSummary();
+}
+
+function isOwnerRoutingEnabled() {
+  return enabled;
+}
+
+function ownersSummary() {
+  return {
+    enabled,
+    file: settings.file,
+    tagKeys: config.tagKeys,
+    owners: Object.keys(config.contacts),
+    mappings: config.mappings,
+    escalation: config.escalation ? { afterNotices: config.escalation.afterNotices } : null
+  };
+}
+
+// Owner from the resource's tags, falling back to the mapping file
+function resolveOwner(resource) {
+  const tags = resource.tags || {};
+  for (let key of config.tagKeys) {
+    if (tags[key]) return { owner: tags[key], source: `tag:${key}` };
+  }
+  const mapping = config.mappings.find(m =>
+    (!m.accountId || matchesPattern(m.accountId, resource.accountId)) &&
+    (!m.service || matchesPattern(m.service, resource.service)) &&
+    (!m.region || matchesPattern(m.region, resource.region)) &&
+    (!m.id || matchesPattern(m.id, resource.id || resource.name)) &&
+    Object.entries(m.tags || {}).every(([key, pattern]) => tags[key] !== undefined && matchesPattern(pattern, tags[key])));
+  return mapping ? { owner: mapping.owner, source: 'mapping' } : null;
+}
+
+// How to reach an owner, or null if they cannot be reached
+function ownerContact(owner) {
+  if (config.contacts[owner]) return config.contacts[owner];
+  if (EMAIL_PATTERN.test(owner)) return { email: owner };
+  return null;
+}
+
+function readNotices() {
+  try {
+    return JSON.parse(fs.readFileSync(settings.stateFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Error reading owner notices:', err);
+    return {};
+  }
+}
+
+function writeNotices(notices) {
+  fs.writeFileSync(settings.stateFile, JSON.stringify(notices, null, 2));
+}
+
+function delivered(results) {
+  return results.some(r => r.status === 'sent');
+}
+
+// Send each owner a digest of their long-idle resources, admins a summary of
+// unowned ones, and escalate resources whose owner has ignored repeated notices.
+async function routeToOwners(resources) {
+  const previous = readNotices();
+  const notices = {};
+  const now = new Date().toISOString();
+  const byOwner = new Map();
+  const unowned = [];
+  const unreachable = [];
+
+  for (let resource of resources) {
+    const resolved = resolveOwner(resource);
+    if (!resolved) {
+      unowned.push(resource);
+      continue;
+    }
+    const contact = ownerContact(resolved.owner);
+    if (!contact) {
+      unreachable.push({ ...resource, owner: resolved.owner });
+      continue;
+    }
+    if (!byOwner.has(resolved.owner)) byOwner.set(resolved.owner, { contact, resources: [] });
+    byOwner.get(resolved.owner).resources.push(resource);
+  }
+
+  const results = { owners: [], admins: null, escalations: [] };
+  const toEscalate = new Map();
+  for (let [owner, { contact, resources: owned }] of byOwner) {
+    let sent = false;
+    try {
+      const total = owned.reduce((sum, r) => sum + (r.monthlyCost || 0), 0);
+      const delivery = await notifyContact(owned, contact, {
+        subject: `Your long-idle AWS resources: ${owned.length} costing $${total.toFixed(2)}/mo`,
+        intro: `${owner}, these AWS resources you own have been idle for a long time. Please stop or delete them, or tag them if they belong to someone else.`
+      });
+      sent = delivered(delivery);
+      results.owners.push({ owner, count: owned.length, results: delivery });
+    } catch (err) {
+      console.error(`Error notifying owner ${owner}:`, err);
+      results.owners.push({ owner, count: owned.length, error: err.message });
+    }
+
+    for (let resource of owned) {
+      const key = resourceKey(resource);
+      // A new owner starts with a clean slate
+      const entry = previous[key] && previous[key].owner === owner
+        ? { ...previous[key] }
+        : { owner, notices: 0, firstNotifiedAt: null, lastNotifiedAt: null, escalatedAt: null };
+      if (sent) {
+        entry.notices += 1;
+        entry.firstNotifiedAt = entry.firstNotifiedAt || now;
+        entry.lastNotifiedAt = now;
+      }
+      notices[key] = entry;
+
+      if (config.escalation && !entry.escalatedAt && entry.notices > config.escalation.afterNotices) {
+        const escalateTo = contact.escalateTo || config.escalation.contact || config.admins;
+        if (!escalateTo) continue;
+        const target = JSON.stringify(escalateTo);
+        if (!toEscalate.has(target)) toEscalate.set(target, { contact: escalateTo, resources: [], keys: [] });
+        toEscalate.get(target).resources.push({ ...resource, owner });
+        toEscalate.get(target).keys.push(key);
+      }
+    }
+  }
+
+  for (let { contact, resources: ignored, keys } of toEscalate.values()) {
+    const owners = [...new Set(ignored.map(r => r.owner))];
+    try {
+      const delivery = await notifyContact(ignored, contact, {
+        subject: `Escalation: ${ignored.length} idle AWS resources ignored by their owners`,
+        intro: `These resources are still idle after ${config.escalation.afterNotices} notices to ${owners.join(', ')}.`
+      });
+      if (delivered(delivery)) {
+        for (let key of keys) notices[key].escalatedAt = now;
+      }
+      results.escalations.push({ owners, count: ignored.length, results: delivery });
+    } catch (err) {
+      console.error('Error sending escalation:', err);
+      results.escalations.push({ owners, count: ignored.length, error: err.message });
+    }
+  }
+
+  // Admin summary of everything no owner could be told about
+  const adminResources = unowned.concat(unreachable);
+  if (adminResources.length > 0) {
+    const intro = `${unowned.length} long-idle resources have no owner (no ${config.tagKeys.join('/')} tag or mapping)` +
+      (unreachable.length ? ` and ${unreachable.length} belong to owners without a contact (${[...new Set(unreachable.map(r => r.owner))].join(', ')})` : '') +
+      `. ${byOwner.size} owners were notified directly.`;
+    const subject = `Unowned AWS resources: ${adminResources.length} long-idle`;
+    try {
+      const delivery = config.admins
+        ? await notifyContact(adminResources, config.admins, { subject, intro })
+        // Without an admins contact the summary goes to every channel, filters applied
+        : await notify(adminResources);
+      results.admins = { count: adminResources.length, results: delivery };
+    } catch (err) {
+      console.error('Error sending unowned summary:', err);
+      results.admins = { count: adminResources.length, error: err.message };
+    }
+  }
+
+  // Resources that are no longer long-idle drop out, resetting their count
+  writeNotices(notices);
+  return results;
+}
+
+module.exports = {
+  configureOwners,
+  loadOwners,
+  isOwnerRoutingEnabled,
+  ownersSummary,
+  resolveOwner,
+  routeToOwners,
+  readNotices
+};
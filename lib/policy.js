@@ -0,0 +1,229 @@
+// Idle-detection policy.
+//
+// Rules are loaded from POLICY_FILE (default policy.json) and evaluated in
+// order; the first rule whose service, type, region, tag and age scope matches a
+// resource decides its usageStatus, from its state or from a CloudWatch metric
+// compared against the rule's thresholds. A rule's activityMetric is checked
+// before a resource is called idle: at or above its threshold (for example any
+// database connection) the resource is only underutilized. Rules with
+// longIdleDays mark resources that have been stopped or idle that long for
+// notification. A reload only replaces the active policy when the new file is
+// valid.
+
+const fs = require('fs');
+const path = require('path');
+
+const settings = {
+  file: process.env.POLICY_FILE || path.join(__dirname, '..', 'policy.json'),
+  // Services a rule may name (set by lib/resources.js from its collectors)
+  services: [],
+  // Receives the "Loaded N rules" message
+  log: console.log
+};
+
+const METRIC_STATISTICS = ['Average', 'Sum', 'Minimum', 'Maximum', 'SampleCount'];
+let policy = null;
+
+// Override defaults (policy file, known services, logger)
+function configurePolicy(options) {
+  Object.assign(settings, options);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Check a metric definition ("metric" or "activityMetric") of a rule
+function validateMetric(metric, field, where, errors) {
+  if (!metric || typeof metric.namespace !== 'string' || typeof metric.name !== 'string') {
+    errors.push(`${where}: "${field}" needs "namespace" and "name"`);
+    return;
+  }
+  if (!Array.isArray(metric.dimensions) || metric.dimensions.some(d => !d || typeof d.Name !== 'string' || typeof d.Value !== 'string')) {
+    errors.push(`${where}: "${field}.dimensions" must be an array of { Name, Value }`);
+  }
+  if (!METRIC_STATISTICS.includes(metric.statistic) && !/^p\d{1,2}(\.\d+)?$/.test(metric.statistic || '')) {
+    errors.push(`${where}: "${field}.statistic" must be one of ${METRIC_STATISTICS.join(', ')} or a percentile such as p95`);
+  }
+  if (!(metric.lookbackDays > 0)) errors.push(`${where}: "${field}.lookbackDays" must be a positive number`);
+}
+
+// Validate a parsed policy document; throws with every problem found
+function validatePolicy(doc) {
+  const errors = [];
+  if (!doc || !Array.isArray(doc.rules) || doc.rules.length === 0) {
+    throw new Error('Policy must contain a non-empty "rules" array');
+  }
+
+  const names = new Set();
+  doc.rules.forEach((rule, i) => {
+    const where = `rules[${i}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof rule.name !== 'string' || !rule.name) errors.push(`${where}: "name" is required`);
+    else if (names.has(rule.name)) errors.push(`${where}: duplicate rule name`);
+    else names.add(rule.name);
+
+    if (rule.service !== '*' && !settings.services.includes(rule.service)) {
+      errors.push(`${where}: "service" must be "*" or one of ${settings.services.join(', ')}`);
+    }
+    if (rule.types !== undefined && (!Array.isArray(rule.types) || rule.types.some(t => typeof t !== 'string'))) {
+      errors.push(`${where}: "types" must be an array of resource types or patterns`);
+    }
+    if (rule.regions !== undefined && (!Array.isArray(rule.regions) || rule.regions.some(r => typeof r !== 'string'))) {
+      errors.push(`${where}: "regions" must be an array of region names or patterns`);
+    }
+    if (rule.tags !== undefined && (typeof rule.tags !== 'object' || Array.isArray(rule.tags) ||
+        Object.values(rule.tags).some(v => typeof v !== 'string'))) {
+      errors.push(`${where}: "tags" must map tag keys to string values`);
+    }
+    if (rule.states !== undefined && !Array.isArray(rule.states)) {
+      errors.push(`${where}: "states" must be an array`);
+    }
+    if (rule.stateStatus !== undefined && (typeof rule.stateStatus !== 'object' || Array.isArray(rule.stateStatus))) {
+      errors.push(`${where}: "stateStatus" must map states to a usage status`);
+    }
+    for (const field of ['minAgeDays', 'longIdleDays']) {
+      if (rule[field] !== undefined && !isNonNegativeNumber(rule[field])) {
+        errors.push(`${where}: "${field}" must be a non-negative number`);
+      }
+    }
+
+    if (rule.metric !== undefined) {
+      validateMetric(rule.metric, 'metric', where, errors);
+      const { thresholds } = rule;
+      if (!thresholds || !isNonNegativeNumber(thresholds.idle)) {
+        errors.push(`${where}: "thresholds.idle" is required when a metric is set`);
+      } else if (thresholds.underutilized !== undefined &&
+          (!isNonNegativeNumber(thresholds.underutilized) || thresholds.underutilized < thresholds.idle)) {
+        errors.push(`${where}: "thresholds.underutilized" must be a number >= thresholds.idle`);
+      }
+    }
+    if (rule.activityMetric !== undefined) {
+      if (rule.metric === undefined) errors.push(`${where}: "activityMetric" needs a "metric"`);
+      validateMetric(rule.activityMetric, 'activityMetric', where, errors);
+      if (!isNonNegativeNumber((rule.activityMetric || {}).threshold)) {
+        errors.push(`${where}: "activityMetric.threshold" must be a non-negative number`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid policy:\n  ${errors.join('\n  ')}`);
+  }
+  return doc;
+}
+
+// Read and validate the policy file; the active policy only changes on success
+function loadPolicy() {
+  const doc = JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+  policy = validatePolicy(doc);
+  settings.log(`Loaded ${policy.rules.length} idle-detection rules from ${settings.file}`);
+  return policy;
+}
+
+// The active policy and the file it came from
+function getPolicy() {
+  return { file: settings.file, ...policy };
+}
+
+// Match a value against a pattern where "*" is a wildcard
+function matchesPattern(pattern, value) {
+  const regex = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(value || '');
+}
+
+function resourceAgeDays(resource) {
+  if (!resource.creation) return Infinity;
+  return (Date.now() - new Date(resource.creation).getTime()) / (24 * 60 * 60 * 1000);
+}
+
+// Find the first rule that applies to a resource
+function findPolicyRule(resource) {
+  return policy.rules.find(rule => {
+    if (rule.service !== '*' && rule.service !== resource.service) return false;
+    if (rule.types && !rule.types.some(p => matchesPattern(p, resource.type))) return false;
+    if (rule.regions && !rule.regions.some(p => matchesPattern(p, resource.region))) return false;
+    if (rule.tags) {
+      const tags = resource.tags || {};
+      const tagsMatch = Object.entries(rule.tags).every(([key, value]) =>
+        tags[key] !== undefined && matchesPattern(value, tags[key]));
+      if (!tagsMatch) return false;
+    }
+    if (rule.minAgeDays && resourceAgeDays(resource) < rule.minAgeDays) return false;
+    return true;
+  });
+}
+
+// Fill "{id}"/"{name}" placeholders in metric dimensions from the resource
+function resolveDimensions(dimensions, resource) {
+  return dimensions.map(d => ({
+    Name: d.Name,
+    Value: d.Value.replace(/\{(\w+)\}/g, (match, field) => resource[field] ?? '')
+  }));
+}
+
+// Evaluate the policy against a resource and set usageStatus/policyRule.
+// readMetric(namespace, name, dimensions, statistic, lookbackDays) resolves to
+// the metric's value for the resource's account and region.
+async function applyPolicy(resource, readMetric) {
+  const rule = findPolicyRule(resource);
+  if (!rule) return resource;
+  resource.policyRule = rule.name;
+
+  const stateOverride = rule.stateStatus && rule.stateStatus[resource.state];
+  if (rule.states && !rule.states.includes(resource.state)) {
+    resource.usageStatus = stateOverride || resource.state;
+    return resource;
+  }
+  if (!rule.metric) {
+    resource.usageStatus = stateOverride || 'used';
+    return resource;
+  }
+
+  const { metric, thresholds } = rule;
+  const value = await readMetric(metric.namespace, metric.name,
+    resolveDimensions(metric.dimensions, resource), metric.statistic, metric.lookbackDays);
+  resource.policyMetric = { name: metric.name, statistic: metric.statistic, lookbackDays: metric.lookbackDays, value };
+
+  if (value < thresholds.idle) resource.usageStatus = 'idle';
+  else if (thresholds.underutilized !== undefined && value < thresholds.underutilized) resource.usageStatus = 'underutilized';
+  else resource.usageStatus = 'used';
+
+  // An idle resource that still shows activity on the second metric is only underutilized
+  const { activityMetric } = rule;
+  if (activityMetric && resource.usageStatus === 'idle') {
+    const activity = await readMetric(activityMetric.namespace, activityMetric.name,
+      resolveDimensions(activityMetric.dimensions, resource), activityMetric.statistic, activityMetric.lookbackDays);
+    resource.policyActivity = { name: activityMetric.name, statistic: activityMetric.statistic, lookbackDays: activityMetric.lookbackDays, value: activity };
+    if (activity >= activityMetric.threshold) resource.usageStatus = 'underutilized';
+  }
+  return resource;
+}
+
+// A resource is long idle when its rule sets longIdleDays and it has been
+// stopped or idle for at least that long
+function isLongIdle(resource) {
+  const rule = resource.policyRule && policy.rules.find(r => r.name === resource.policyRule);
+  if (!rule || rule.longIdleDays === undefined || !resource.creation) return false;
+  if (resourceAgeDays(resource) < rule.longIdleDays) return false;
+  return resource.state === 'stopped' || resource.usageStatus === 'idle';
+}
+
+// Resources that count as unused (and their cost as idle cost)
+function isUnused(resource) {
+  return resource.usageStatus !== 'used' && resource.usageStatus !== 'available';
+}
+
+module.exports = {
+  configurePolicy,
+  loadPolicy,
+  getPolicy,
+  matchesPattern,
+  resourceAgeDays,
+  applyPolicy,
+  isLongIdle,
+  isUnused
+};
@@ -0,0 +1,1009 @@
+// Pricing engine backed by the AWS Price List bulk offer files.
+//
+// Offer files are downloaded per service and region as CSV, reduced to the
+// On-Demand rows this app needs and saved under PRICING_DIR as compact JSON.
+// With PRICING_OFFLINE=true nothing is downloaded: a saved compact file or a
+// raw index.csv placed at <PRICING_DIR>/<ServiceCode>/<region>.csv is used.
+// When no offer data is available, compute prices fall back to the Pricing
+// API (GetProducts) and storage and network prices to us-east-1 list prices.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { PricingClient, GetProductsCommand } = require('@aws-sdk/client-pricing');
+const { sendAws } = require('./collector');
+
+const HOURS_PER_MONTH = 730;
+const GB = 1024 ** 3;
+// Bumped whenever the compact file layout changes, so older files are re-parsed
+const OFFER_FORMAT_VERSION = 3;
+
+const settings = {
+  dir: process.env.PRICING_DIR || path.join(__dirname, '..', 'data', 'pricing'),
+  offline: process.env.PRICING_OFFLINE === 'true',
+  refreshDays: parseFloat(process.env.PRICING_REFRESH_DAYS) || 7,
+  baseUrl: process.env.PRICING_BASE_URL || 'https://pricing.us-east-1.amazonaws.com',
+  credentials: undefined,
+  getCached: async () => null,
+  setCached: async () => {},
+  cacheTtl: 86400,
+  // Download and load progress
+  log: console.log
+};
+
+// Attributes kept from the offer files (CSV headers, normalized)
+const KEPT_ATTRIBUTES = [
+  'productfamily', 'instancetype', 'operation', 'tenancy', 'operatingsystem', 'licensemodel', 'preinstalledsw',
+  'volumeapiname', 'group', 'usagetype', 'databaseengine', 'databaseedition', 'deploymentoption', 'volumetype',
+  'storageclass', 'memory'
+];
+
+// Pricing API location names, used only for the GetProducts fallback
+const regionToLocation = {
+  'us-east-1': 'US East (N. Virginia)',
+  'us-east-2': 'US East (Ohio)',
+  'us-west-1': 'US West (N. California)',
+  'us-west-2': 'US West (Oregon)',
+  'af-south-1': 'Africa (Cape Town)',
+  'ap-east-1': 'Asia Pacific (Hong Kong)',
+  'ap-south-1': 'Asia Pacific (Mumbai)',
+  'ap-south-2': 'Asia Pacific (Hyderabad)',
+  'ap-southeast-1': 'Asia Pacific (Singapore)',
+  'ap-southeast-2': 'Asia Pacific (Sydney)',
+  'ap-southeast-3': 'Asia Pacific (Jakarta)',
+  'ap-southeast-4': 'Asia Pacific (Melbourne)',
+  'ap-southeast-5': 'Asia Pacific (Malaysia)',
+  'ap-southeast-7': 'Asia Pacific (Thailand)',
+  'ap-northeast-1': 'Asia Pacific (Tokyo)',
+  'ap-northeast-2': 'Asia Pacific (Seoul)',
+  'ap-northeast-3': 'Asia Pacific (Osaka)',
+  'ca-central-1': 'Canada (Central)',
+  'ca-west-1': 'Canada West (Calgary)',
+  'eu-central-1': 'EU (Frankfurt)',
+  'eu-central-2': 'EU (Zurich)',
+  'eu-west-1': 'EU (Ireland)',
+  'eu-west-2': 'EU (London)',
+  'eu-west-3': 'EU (Paris)',
+  'eu-south-1': 'EU (Milan)',
+  'eu-south-2': 'EU (Spain)',
+  'eu-north-1': 'EU (Stockholm)',
+  'il-central-1': 'Israel (Tel Aviv)',
+  'me-south-1': 'Middle East (Bahrain)',
+  'me-central-1': 'Middle East (UAE)',
+  'mx-central-1': 'Mexico (Central)',
+  'sa-east-1': 'South America (Sao Paulo)',
+  'us-gov-east-1': 'AWS GovCloud (US-East)',
+  'us-gov-west-1': 'AWS GovCloud (US-West)'
+};
+
+// us-east-1 list prices used when no offer data can be loaded
+const DEFAULT_EBS_GB_MONTH = { gp2: 0.10, gp3: 0.08, io1: 0.125, io2: 0.125, st1: 0.045, sc1: 0.015, standard: 0.05 };
+const DEFAULT_EBS_SNAPSHOT_GB_MONTH = { standard: 0.05, archive: 0.0125 };
+const DEFAULT_S3_GB_MONTH = {
+  StandardStorage: 0.023,
+  IntelligentTieringFAStorage: 0.023,
+  IntelligentTieringIAStorage: 0.0125,
+  IntelligentTieringAIAStorage: 0.004,
+  IntelligentTieringAAStorage: 0.0036,
+  IntelligentTieringDAAStorage: 0.00099,
+  StandardIAStorage: 0.0125,
+  OneZoneIAStorage: 0.01,
+  ReducedRedundancyStorage: 0.024,
+  GlacierInstantRetrievalStorage: 0.004,
+  GlacierStorage: 0.0036,
+  DeepArchiveStorage: 0.00099
+};
+const DEFAULT_S3_TIERING_MONITORING_OBJECT = 0.0000025;
+const DEFAULT_LAMBDA = {
+  x86_64: { request: 0.0000002, gbSecond: 0.0000166667, provisioned: 0.0000041667, provisionedGbSecond: 0.0000097222 },
+  arm64: { request: 0.0000002, gbSecond: 0.0000133334, provisioned: 0.0000033334, provisionedGbSecond: 0.0000077778 },
+  ephemeralGbSecond: 0.0000000309
+};
+// Single-AZ RDS storage per GB-month, IOPS-month and MiBps-month (Multi-AZ is twice these)
+const DEFAULT_RDS_STORAGE = {
+  gp2: { gb: 0.115 },
+  gp3: { gb: 0.115, iops: 0.02, throughput: 0.08 },
+  io1: { gb: 0.125, iops: 0.10 },
+  io2: { gb: 0.125, iops: 0.10 },
+  standard: { gb: 0.10 }
+};
+const DEFAULT_AURORA = {
+  storage: 0.10,
+  ioOptimizedStorage: 0.225,
+  io: 0.0000002,
+  serverlessV2: 0.12,
+  ioOptimizedServerlessV2: 0.156,
+  serverless: 0.06,
+  backup: 0.021
+};
+const DEFAULT_RDS_BACKUP_GB_MONTH = 0.095;
+const DEFAULT_PUBLIC_IPV4_HOUR = 0.005;
+const DEFAULT_NAT_GATEWAY = { hour: 0.045, gb: 0.045 };
+const DEFAULT_LOAD_BALANCER = {
+  application: { hour: 0.0225, capacityUnit: 0.008 },
+  network: { hour: 0.0225, capacityUnit: 0.006 },
+  gateway: { hour: 0.0125, capacityUnit: 0.004 },
+  classic: { hour: 0.025, gb: 0.008 }
+};
+
+// Override defaults (credentials, cache helpers and logger from the server)
+function configurePricing(options) {
+  Object.assign(settings, options);
+}
+
+// Normalize a CSV header ("Instance Type" -> "instancetype")
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Split one CSV line where every field is double-quoted
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Compute rows for other capacity states or dedicated hosts are never looked up
+function keepProduct(attrs) {
+  if (attrs.productfamily && attrs.productfamily.startsWith('Compute Instance')) {
+    return attrs.capacitystatus === 'Used' && (attrs.tenancy === 'Shared' || attrs.tenancy === 'Dedicated');
+  }
+  return true;
+}
+
+// Families whose Reserved Instance terms are kept
+const RESERVED_FAMILIES = ['Compute Instance', 'Compute Instance (bare metal)', 'Database Instance'];
+
+// Stream an offer CSV and keep the On-Demand rows as compact products, plus
+// standard Reserved Instance terms for instance families
+async function parseOfferCsv(csvPath) {
+  const rl = readline.createInterface({ input: fs.createReadStream(csvPath), crlfDelay: Infinity });
+  const products = [];
+  const reserved = [];
+  let columns = null;
+  let publishedAt = null;
+
+  for await (const line of rl) {
+    if (!columns) {
+      if (line.startsWith('"Publication Date"')) publishedAt = parseCsvLine(line)[1];
+      if (line.startsWith('"SKU"')) columns = parseCsvLine(line).map(normalizeHeader);
+      continue;
+    }
+    const values = parseCsvLine(line);
+    const row = {};
+    columns.forEach((col, i) => { row[col] = values[i]; });
+    const isReserved = row.termtype === 'Reserved' && RESERVED_FAMILIES.includes(row.productfamily) &&
+      (!row.offeringclass || row.offeringclass === 'standard');
+    if ((row.termtype !== 'OnDemand' && !isReserved) || row.currency !== 'USD') continue;
+    // the generic "capacitystatus" column is only needed for filtering
+    const attrs = { capacitystatus: row.capacitystatus };
+    for (const key of KEPT_ATTRIBUTES) {
+      if (row[key]) attrs[key] = row[key];
+    }
+    if (!keepProduct(attrs)) continue;
+    delete attrs.capacitystatus;
+
+    if (isReserved) {
+      // Each term has an hourly row and, for upfront options, a one-off "Quantity" row
+      reserved.push({
+        ...attrs,
+        lease: row.leasecontractlength,
+        purchaseOption: row.purchaseoption,
+        unit: row.unit,
+        price: parseFloat(row.priceperunit) || 0
+      });
+      continue;
+    }
+    products.push({
+      ...attrs,
+      unit: row.unit,
+      price: parseFloat(row.priceperunit) || 0,
+      begin: row.startingrange ? parseFloat(row.startingrange) : 0,
+      // null (not Infinity) so the open-ended tier survives JSON
+      end: row.endingrange && row.endingrange !== 'Inf' ? parseFloat(row.endingrange) : null
+    });
+  }
+  return { formatVersion: OFFER_FORMAT_VERSION, publishedAt, products, reserved };
+}
+
+async function downloadOfferCsv(serviceCode, region, csvPath) {
+  const url = `${settings.baseUrl}/offers/v1.0/aws/${serviceCode}/current/${region}/index.csv`;
+  settings.log(`Downloading price list ${url}`);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Price list download failed (${res.status}) for ${serviceCode} in ${region}`);
+  const tmpPath = `${csvPath}.download`;
+  await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmpPath));
+  await fs.promises.rename(tmpPath, csvPath);
+}
+
+function isFresh(filePath) {
+  try {
+    const ageMs = Date.now() - fs.statSync(filePath).mtimeMs;
+    return ageMs < settings.refreshDays * 24 * 60 * 60 * 1000;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Group products by family for faster lookups
+function indexOffer(offer) {
+  const byFamily = new Map();
+  for (const product of offer.products) {
+    const family = product.productfamily || '';
+    if (!byFamily.has(family)) byFamily.set(family, []);
+    byFamily.get(family).push(product);
+  }
+  return { publishedAt: offer.publishedAt, byFamily, reserved: offer.reserved || [] };
+}
+
+// Load an offer from disk, downloading it first when allowed
+async function readOffer(serviceCode, region) {
+  const serviceDir = path.join(settings.dir, serviceCode);
+  const compactPath = path.join(serviceDir, `${region}.json`);
+  const csvPath = path.join(serviceDir, `${region}.csv`);
+  await fs.promises.mkdir(serviceDir, { recursive: true });
+
+  let compact = null;
+  if (fs.existsSync(compactPath)) {
+    compact = JSON.parse(await fs.promises.readFile(compactPath, 'utf8'));
+    if (compact.formatVersion !== OFFER_FORMAT_VERSION) compact = null;
+  }
+  const hasCompact = compact !== null;
+  if (hasCompact && (settings.offline || isFresh(compactPath))) {
+    return compact;
+  }
+
+  const hasCsv = fs.existsSync(csvPath);
+  let downloaded = false;
+  if (!settings.offline && !(hasCsv && isFresh(csvPath))) {
+    try {
+      await downloadOfferCsv(serviceCode, region, csvPath);
+      downloaded = true;
+    } catch (err) {
+      console.error(err.message);
+      // A stale copy is better than none
+      if (hasCompact) return compact;
+      if (!hasCsv) return null;
+    }
+  } else if (!hasCsv) {
+    return null;
+  }
+
+  const offer = await parseOfferCsv(csvPath);
+  await fs.promises.writeFile(compactPath, JSON.stringify(offer));
+  // Downloaded CSVs are large; a copy someone saved by hand is left alone
+  if (downloaded && process.env.PRICING_KEEP_RAW !== 'true') {
+    await fs.promises.unlink(csvPath).catch(() => {});
+  }
+  settings.log(`Loaded ${offer.products.length} ${serviceCode} prices for ${region}`);
+  return offer;
+}
+
+// Loaded offers, keyed by service/region. A loaded offer is refreshed in the
+// background once it is PRICING_REFRESH_DAYS old (its prices stay in use
+// meanwhile); failed loads are retried after an hour.
+const offers = new Map();
+const OFFER_RETRY_MS = 60 * 60 * 1000;
+
+function offerMaxAgeMs() {
+  return settings.refreshDays * 24 * 60 * 60 * 1000;
+}
+
+// Read and index an offer, replacing the entry for it when done. A failed
+// refresh keeps the previous prices and is retried after an hour.
+function loadOffer(serviceCode, region, previous = null) {
+  const key = `${serviceCode}:${region}`;
+  return readOffer(serviceCode, region)
+    .catch(err => {
+      console.error(`Failed to load ${serviceCode} price list for ${region}:`, err.message);
+      return null;
+    })
+    .then(offer => {
+      const indexed = offer ? indexOffer(offer) : null;
+      if (!indexed && previous) {
+        offers.set(key, { ...previous, refreshing: false, loadedAt: Date.now() - offerMaxAgeMs() + OFFER_RETRY_MS });
+        return previous.offer;
+      }
+      offers.set(key, { promise: Promise.resolve(indexed), offer: indexed, loadedAt: Date.now() });
+      return indexed;
+    });
+}
+
+async function getOffer(serviceCode, region) {
+  const key = `${serviceCode}:${region}`;
+  const entry = offers.get(key);
+  if (entry && entry.offer) {
+    if (!entry.refreshing && Date.now() - entry.loadedAt >= offerMaxAgeMs()) {
+      entry.refreshing = true;
+      loadOffer(serviceCode, region, entry);
+    }
+    return entry.promise;
+  }
+  if (entry && Date.now() - entry.loadedAt < OFFER_RETRY_MS) return entry.promise;
+
+  const promise = loadOffer(serviceCode, region);
+  offers.set(key, { promise, offer: null, loadedAt: Date.now() });
+  return promise;
+}
+
+// Products in the given families matching every attribute in `match`. A
+// function value is used as a predicate; other values must be equal.
+function findProducts(offer, families, match) {
+  const results = [];
+  for (const family of families) {
+    for (const product of offer.byFamily.get(family) || []) {
+      const ok = Object.entries(match).every(([attr, expected]) =>
+        typeof expected === 'function' ? expected(product[attr] || '') : product[attr] === expected);
+      if (ok) results.push(product);
+    }
+  }
+  return results;
+}
+
+// Price a quantity against (possibly tiered) products
+function tieredCost(products, quantity) {
+  const tiers = [...products].sort((a, b) => a.begin - b.begin);
+  let cost = 0;
+  for (const tier of tiers) {
+    if (quantity <= tier.begin) break;
+    cost += (Math.min(quantity, tier.end ?? Infinity) - tier.begin) * tier.price;
+  }
+  return cost;
+}
+
+function component(dimension, description, unit, quantity, rate, source, cost = quantity * rate) {
+  return { dimension, description, unit, quantity, rate, cost, source };
+}
+
+function sumBreakdown(breakdown) {
+  return breakdown.reduce((sum, c) => sum + c.cost, 0);
+}
+
+// Hourly On-Demand price from the Pricing API (fallback when no offer file)
+async function getHourlyPrice(serviceCode, filters) {
+  const cacheKey = `price:${serviceCode}:${JSON.stringify(filters)}`;
+  const cachedPrice = await settings.getCached(cacheKey);
+  if (cachedPrice !== null) {
+    return cachedPrice;
+  }
+
+  const pricingClient = new PricingClient({ region: 'us-east-1', credentials: settings.credentials });
+  const params = {
+    ServiceCode: serviceCode,
+    Filters: filters,
+    MaxResults: 1,
+    FormatVersion: 'aws_v1'
+  };
+
+  try {
+    const data = await sendAws(pricingClient, new GetProductsCommand(params));
+    if (data.PriceList.length > 0) {
+      const priceItem = JSON.parse(data.PriceList[0]);
+      const onDemand = Object.values(priceItem.terms.OnDemand)[0];
+      const priceDim = Object.values(onDemand.priceDimensions)[0];
+      const price = parseFloat(priceDim.pricePerUnit.USD);
+
+      await settings.setCached(cacheKey, price, settings.cacheTtl);
+      return price;
+    }
+  } catch (err) {
+    console.error('Pricing error:', err);
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// EC2 instances
+// ---------------------------------------------------------------------------
+
+const EC2_TENANCY = { default: 'Shared', dedicated: 'Dedicated', host: 'Host' };
+
+// Price an EC2 instance by type, UsageOperation (OS/licence/software) and tenancy
+async function priceEc2Instance({ region, instanceType, operation = 'RunInstances', platform = 'Linux/UNIX', tenancy = 'default' }) {
+  const pricingTenancy = EC2_TENANCY[tenancy] || 'Shared';
+  const description = `${instanceType} ${platform} ${pricingTenancy}`;
+  if (pricingTenancy === 'Host') {
+    // Dedicated Hosts are billed per host, not per instance
+    const breakdown = [component('compute', `${description} (billed per Dedicated Host)`, 'Hrs', HOURS_PER_MONTH, 0, 'none')];
+    return { hourly: 0, monthly: 0, breakdown };
+  }
+
+  const offer = await getOffer('AmazonEC2', region);
+  let hourly = 0;
+  let source = 'none';
+  if (offer) {
+    const [product] = findProducts(offer, ['Compute Instance', 'Compute Instance (bare metal)'], {
+      instancetype: instanceType,
+      operation,
+      tenancy: pricingTenancy
+    });
+    if (product) {
+      hourly = product.price;
+      source = 'price-list';
+    }
+  } else if (regionToLocation[region] && operation === 'RunInstances') {
+    hourly = await getHourlyPrice('AmazonEC2', [
+      { Type: 'TERM_MATCH', Field: 'instanceType', Value: instanceType },
+      { Type: 'TERM_MATCH', Field: 'operatingSystem', Value: 'Linux' },
+      { Type: 'TERM_MATCH', Field: 'tenancy', Value: pricingTenancy },
+      { Type: 'TERM_MATCH', Field: 'capacitystatus', Value: 'Used' },
+      { Type: 'TERM_MATCH', Field: 'preInstalledSw', Value: 'NA' },
+      { Type: 'TERM_MATCH', Field: 'location', Value: regionToLocation[region] }
+    ]);
+    source = hourly ? 'pricing-api' : 'none';
+  }
+
+  const breakdown = [component('compute', description, 'Hrs', HOURS_PER_MONTH, hourly, source)];
+  return { hourly, monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// ---------------------------------------------------------------------------
+// EBS volumes
+// ---------------------------------------------------------------------------
+
+// Included performance for gp3 volumes
+const GP3_BASELINE = { iops: 3000, throughput: 125 };
+
+// Price an EBS volume: storage, provisioned IOPS and gp3 throughput
+async function priceEbsVolume({ region, volumeType, size, iops = 0, throughput = 0 }) {
+  const offer = await getOffer('AmazonEC2', region);
+  const breakdown = [];
+
+  let storageRate = DEFAULT_EBS_GB_MONTH[volumeType] ?? DEFAULT_EBS_GB_MONTH.gp2;
+  let source = 'default';
+  if (offer) {
+    const [product] = findProducts(offer, ['Storage'], { volumeapiname: volumeType });
+    if (product) {
+      storageRate = product.price;
+      source = 'price-list';
+    }
+  }
+  breakdown.push(component('storage', `${volumeType} storage`, 'GB-Mo', size, storageRate, source));
+
+  if (offer && (volumeType === 'io1' || volumeType === 'io2' || (volumeType === 'gp3' && iops > GP3_BASELINE.iops))) {
+    const billedIops = volumeType === 'gp3' ? iops - GP3_BASELINE.iops : iops;
+    const products = findProducts(offer, ['System Operation'], {
+      volumeapiname: volumeType,
+      group: 'EBS IOPS'
+    });
+    if (volumeType === 'io2') {
+      // io2 IOPS are tiered: up to 32,000, 32,001-64,000 and above 64,000
+      const tierOf = p => (p.usagetype.includes('tier3') ? 3 : p.usagetype.includes('tier2') ? 2 : 1);
+      const bounds = { 1: [0, 32000], 2: [32000, 64000], 3: [64000, Infinity] };
+      for (const product of products) {
+        const [low, high] = bounds[tierOf(product)];
+        const quantity = Math.max(0, Math.min(billedIops, high) - low);
+        if (quantity > 0) breakdown.push(component('iops', `io2 IOPS tier ${tierOf(product)}`, 'IOPS-Mo', quantity, product.price, 'price-list'));
+      }
+    } else if (products[0]) {
+      breakdown.push(component('iops', `${volumeType} provisioned IOPS`, 'IOPS-Mo', billedIops, products[0].price, 'price-list'));
+    }
+  }
+
+  if (offer && volumeType === 'gp3' && throughput > GP3_BASELINE.throughput) {
+    const [product] = findProducts(offer, ['Provisioned Throughput'], { volumeapiname: 'gp3' });
+    if (product) {
+      // The price list quotes throughput per GiBps-month; volumes are provisioned in MiB/s
+      const rate = product.unit && product.unit.startsWith('GiBps') ? product.price / 1024 : product.price;
+      breakdown.push(component('throughput', 'gp3 provisioned throughput', 'MiBps-Mo', throughput - GP3_BASELINE.throughput, rate, 'price-list'));
+    }
+  }
+
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Snapshot storage usage types per storage tier
+const EBS_SNAPSHOT_USAGE = { standard: 'EBS:SnapshotUsage', archive: 'EBS:SnapshotArchiveStorage' };
+
+// Price EBS snapshot storage. `sizeGB` is what the snapshot stores; for the
+// standard tier that is only the blocks changed since the previous snapshot.
+async function priceEbsSnapshot({ region, sizeGB, tier = 'standard' }) {
+  const offer = await getOffer('AmazonEC2', region);
+  const rate = findUsageRate(offer, ['Storage Snapshot'], EBS_SNAPSHOT_USAGE[tier] || EBS_SNAPSHOT_USAGE.standard);
+  const breakdown = [component('storage', `Snapshot storage (${tier})`, 'GB-Mo', sizeGB,
+    rate ?? DEFAULT_EBS_SNAPSHOT_GB_MONTH[tier] ?? DEFAULT_EBS_SNAPSHOT_GB_MONTH.standard, rate === null ? 'default' : 'price-list')];
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// ---------------------------------------------------------------------------
+// RDS and Aurora
+// ---------------------------------------------------------------------------
+
+// Engine names from DescribeDBInstances mapped to Price List engine/edition.
+// RDS Custom instances are listed under their own usage types.
+const RDS_ENGINES = {
+  mysql: { engine: 'MySQL' },
+  postgres: { engine: 'PostgreSQL' },
+  mariadb: { engine: 'MariaDB' },
+  'aurora-mysql': { engine: 'Aurora MySQL' },
+  // MySQL 5.6-compatible Aurora
+  aurora: { engine: 'Aurora MySQL' },
+  'aurora-postgresql': { engine: 'Aurora PostgreSQL' },
+  'oracle-ee': { engine: 'Oracle', edition: 'Enterprise' },
+  'oracle-ee-cdb': { engine: 'Oracle', edition: 'Enterprise' },
+  'oracle-se2': { engine: 'Oracle', edition: 'Standard Two' },
+  'oracle-se2-cdb': { engine: 'Oracle', edition: 'Standard Two' },
+  'oracle-se1': { engine: 'Oracle', edition: 'Standard One' },
+  'oracle-se': { engine: 'Oracle', edition: 'Standard' },
+  'sqlserver-ee': { engine: 'SQL Server', edition: 'Enterprise' },
+  'sqlserver-se': { engine: 'SQL Server', edition: 'Standard' },
+  'sqlserver-ex': { engine: 'SQL Server', edition: 'Express' },
+  'sqlserver-web': { engine: 'SQL Server', edition: 'Web' },
+  'sqlserver-dev-ee': { engine: 'SQL Server', edition: 'Developer' },
+  'db2-se': { engine: 'Db2', edition: 'Standard' },
+  'db2-ae': { engine: 'Db2', edition: 'Advanced' },
+  'custom-oracle-ee': { engine: 'Oracle', edition: 'Enterprise', custom: true },
+  'custom-oracle-ee-cdb': { engine: 'Oracle', edition: 'Enterprise', custom: true },
+  'custom-oracle-se2': { engine: 'Oracle', edition: 'Standard Two', custom: true },
+  'custom-oracle-se2-cdb': { engine: 'Oracle', edition: 'Standard Two', custom: true },
+  'custom-sqlserver-ee': { engine: 'SQL Server', edition: 'Enterprise', custom: true },
+  'custom-sqlserver-se': { engine: 'SQL Server', edition: 'Standard', custom: true },
+  'custom-sqlserver-web': { engine: 'SQL Server', edition: 'Web', custom: true },
+  'custom-sqlserver-dev': { engine: 'SQL Server', edition: 'Developer', custom: true }
+};
+
+const RDS_LICENSE_MODELS = {
+  'license-included': 'License included',
+  'bring-your-own-license': 'Bring your own license',
+  'marketplace-license': 'License included',
+  'general-public-license': 'No license required',
+  'postgresql-license': 'No license required'
+};
+
+const RDS_STORAGE_TYPES = {
+  gp2: 'General Purpose',
+  gp3: 'General Purpose-GP3',
+  io1: 'Provisioned IOPS',
+  io2: 'Provisioned IOPS-IO2',
+  standard: 'Magnetic'
+};
+
+// Aurora storage, I/O and capacity usage types, and the backup storage
+// usage types manual snapshots are billed under
+const AURORA_USAGE = {
+  storage: 'Aurora:StorageUsage',
+  ioOptimizedStorage: 'Aurora:IO-OptimizedStorageUsage',
+  io: 'Aurora:StorageIOUsage',
+  serverlessV2: 'Aurora:ServerlessV2Usage',
+  ioOptimizedServerlessV2: 'Aurora:ServerlessV2IOOptimizedUsage',
+  serverless: 'Aurora:ServerlessUsage',
+  backup: 'Aurora:BackupUsage'
+};
+const RDS_BACKUP_USAGE = 'RDS:ChargedBackupUsage';
+
+// Memory per vCPU (GiB) of the memory-ratio families, and burstable sizes,
+// used when no offer file gives an instance class's memory
+const DEFAULT_MEMORY_PER_VCPU = { m: 4, r: 8, x: 16, z: 8 };
+const DEFAULT_BURSTABLE_MEMORY = { micro: 1, small: 2, medium: 4, large: 8, xlarge: 16, '2xlarge': 32 };
+
+// Map an RDS engine name to Price List attributes; null for engines RDS does
+// not price (DocumentDB and Neptune instances also show up in the RDS API)
+function rdsPricingEngine(engine) {
+  return RDS_ENGINES[engine] || null;
+}
+
+function isAuroraEngine(engine) {
+  return engine === 'aurora' || (engine || '').startsWith('aurora-');
+}
+
+// Price List deployment option. Aurora instances are priced one by one as
+// Single-AZ; a Multi-AZ DB cluster is priced as a whole.
+function rdsDeployment({ engine, multiAz = false, multiAzCluster = false }) {
+  if (multiAzCluster) return 'Multi-AZ (readable standbys)';
+  return multiAz && !isAuroraEngine(engine) ? 'Multi-AZ' : 'Single-AZ';
+}
+
+// Rate of an Aurora usage type, or its us-east-1 list price
+function auroraRate(offer, key) {
+  const price = findUsageRate(offer, null, AURORA_USAGE[key]);
+  return price === null ? [DEFAULT_AURORA[key], 'default'] : [price, 'price-list'];
+}
+
+// Price an RDS instance or Multi-AZ DB cluster: compute (by engine, licence,
+// deployment and Aurora I/O-Optimized configuration) and storage
+async function priceRdsInstance({
+  region, instanceClass, engine, licenseModel, multiAz = false, multiAzCluster = false, ioOptimized = false,
+  storageType, allocatedStorage = 0, iops = 0, throughput = 0
+}) {
+  const mapped = rdsPricingEngine(engine);
+  if (!mapped) {
+    const breakdown = [component('compute', `${instanceClass} ${engine}`, 'Hrs', HOURS_PER_MONTH, 0, 'none')];
+    return { hourly: 0, monthly: 0, breakdown };
+  }
+  const { engine: pricingEngine, edition, custom } = mapped;
+  const deployment = rdsDeployment({ engine, multiAz, multiAzCluster });
+  const license = RDS_LICENSE_MODELS[licenseModel] || null;
+  const offer = await getOffer('AmazonRDS', region);
+  const breakdown = [];
+
+  let hourly = 0;
+  let source = 'none';
+  if (offer) {
+    const match = {
+      instancetype: instanceClass,
+      databaseengine: pricingEngine,
+      deploymentoption: deployment,
+      usagetype: value => /Custom/i.test(value) === Boolean(custom) && /IOOptimized/i.test(value) === ioOptimized
+    };
+    if (edition) match.databaseedition = edition;
+    if (license) match.licensemodel = license;
+    const [product] = findProducts(offer, ['Database Instance'], match);
+    if (product) {
+      hourly = product.price;
+      source = 'price-list';
+    }
+  } else if (regionToLocation[region]) {
+    hourly = await getHourlyPrice('AmazonRDS', [
+      { Type: 'TERM_MATCH', Field: 'instanceType', Value: instanceClass },
+      { Type: 'TERM_MATCH', Field: 'databaseEngine', Value: pricingEngine },
+      { Type: 'TERM_MATCH', Field: 'deploymentOption', Value: deployment },
+      { Type: 'TERM_MATCH', Field: 'location', Value: regionToLocation[region] }
+    ]);
+    source = hourly ? 'pricing-api' : 'none';
+  }
+  breakdown.push(component('compute', `${instanceClass} ${pricingEngine}${edition ? ` ${edition}` : ''} ${deployment}` +
+    `${ioOptimized ? ' I/O-Optimized' : ''}`, 'Hrs', HOURS_PER_MONTH, hourly, source));
+
+  // Aurora storage is billed per cluster, not per instance. Without an offer
+  // file, Single-AZ and Multi-AZ storage fall back to list prices.
+  const volumeType = RDS_STORAGE_TYPES[storageType];
+  if (volumeType && allocatedStorage > 0) {
+    const defaults = DEFAULT_RDS_STORAGE[storageType];
+    const defaultFactor = { 'Single-AZ': 1, 'Multi-AZ': 2 }[deployment];
+    const rate = (product, key) => {
+      if (product) return [product.price, 'price-list'];
+      if (offer || !defaultFactor || defaults[key] === undefined) return null;
+      return [defaults[key] * defaultFactor, 'default'];
+    };
+    const find = (families, match) => (offer ? findProducts(offer, families, match)[0] : null);
+
+    const engineMatches = value => !value || value === 'Any' || value === pricingEngine;
+    const storageRate = rate(find(['Database Storage'], {
+      volumetype: volumeType,
+      deploymentoption: deployment,
+      databaseengine: engineMatches
+    }), 'gb');
+    if (storageRate) {
+      breakdown.push(component('storage', `${storageType} storage ${deployment}`, 'GB-Mo', allocatedStorage, ...storageRate));
+    }
+
+    // gp3 includes 3,000 IOPS / 125 MiB/s below 400 GB and 12,000 / 500 above
+    const gp3Baseline = allocatedStorage >= 400 ? { iops: 12000, throughput: 500 } : { iops: 3000, throughput: 125 };
+    const billedIops = storageType === 'gp3' ? Math.max(0, iops - gp3Baseline.iops) : (storageType.startsWith('io') ? iops : 0);
+    if (billedIops > 0) {
+      const usageMatch = storageType === 'gp3' ? /GP3/i : storageType === 'io2' ? /IO2/i : /^(?!.*(GP3|IO2)).*PIOPS/i;
+      const iopsRate = rate(find(['Provisioned IOPS'], {
+        deploymentoption: deployment,
+        usagetype: value => usageMatch.test(value)
+      }), 'iops');
+      if (iopsRate) breakdown.push(component('iops', `${storageType} provisioned IOPS`, 'IOPS-Mo', billedIops, ...iopsRate));
+    }
+    if (storageType === 'gp3' && throughput > gp3Baseline.throughput) {
+      const throughputRate = rate(find(['Provisioned Throughput'], {
+        deploymentoption: deployment,
+        usagetype: value => /GP3/i.test(value)
+      }), 'throughput');
+      if (throughputRate) {
+        breakdown.push(component('throughput', 'gp3 provisioned throughput', 'MiBps-Mo', throughput - gp3Baseline.throughput, ...throughputRate));
+      }
+    }
+  }
+
+  return { hourly, monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Memory of a DB instance class in GiB, from the price list or estimated from
+// the family's memory per vCPU; null when unknown (e.g. db.serverless)
+async function rdsInstanceMemoryGiB({ region, instanceClass }) {
+  const offer = await getOffer('AmazonRDS', region);
+  if (offer) {
+    const [product] = findProducts(offer, ['Database Instance'], { instancetype: instanceClass, memory: value => value !== '' });
+    if (product) return parseFloat(product.memory.replace(/,/g, '')) || null;
+  }
+
+  const match = /^db\.([a-z])[a-z0-9-]*\.(\w+)$/.exec(instanceClass || '');
+  if (!match) return null;
+  const [, series, size] = match;
+  if (series === 't') return DEFAULT_BURSTABLE_MEMORY[size] || null;
+  const vcpus = size === 'large' ? 2 : size === 'xlarge' ? 4 : /^(\d+)xlarge$/.test(size) ? parseInt(size, 10) * 4 : null;
+  return vcpus && DEFAULT_MEMORY_PER_VCPU[series] ? vcpus * DEFAULT_MEMORY_PER_VCPU[series] : null;
+}
+
+// Price an Aurora cluster volume: storage used plus, on the Standard
+// configuration, I/O requests (included with I/O-Optimized)
+async function priceAuroraStorage({ region, storageGB, ioRequests = 0, ioOptimized = false }) {
+  const offer = await getOffer('AmazonRDS', region);
+  const breakdown = [component('storage', `Aurora storage${ioOptimized ? ' (I/O-Optimized)' : ''}`, 'GB-Mo', storageGB,
+    ...auroraRate(offer, ioOptimized ? 'ioOptimizedStorage' : 'storage'))];
+  if (!ioOptimized) breakdown.push(component('io', 'Aurora I/O requests', 'IOs', ioRequests, ...auroraRate(offer, 'io')));
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Price Aurora Serverless capacity for a month at an average number of ACUs
+// (v2 per instance, v1 per cluster)
+async function priceAuroraCapacity({ region, acus, ioOptimized = false, serverlessVersion = 2 }) {
+  const offer = await getOffer('AmazonRDS', region);
+  const key = serverlessVersion === 1 ? 'serverless' : ioOptimized ? 'ioOptimizedServerlessV2' : 'serverlessV2';
+  const breakdown = [component('capacity', `Aurora Serverless v${serverlessVersion} (${acus.toFixed(1)} ACU average)`,
+    'ACU-Hr', acus * HOURS_PER_MONTH, ...auroraRate(offer, key))];
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Price a manual DB or cluster snapshot at its full size. The free backup
+// storage (up to the region's provisioned storage) is not deducted.
+async function priceRdsSnapshot({ region, sizeGB, aurora = false }) {
+  const offer = await getOffer('AmazonRDS', region);
+  const rate = aurora ? findUsageRate(offer, null, AURORA_USAGE.backup) : findUsageRate(offer, null, RDS_BACKUP_USAGE);
+  const fallback = aurora ? DEFAULT_AURORA.backup : DEFAULT_RDS_BACKUP_GB_MONTH;
+  const breakdown = [component('storage', `${aurora ? 'Aurora' : 'RDS'} snapshot storage`, 'GB-Mo', sizeGB,
+    rate ?? fallback, rate === null ? 'default' : 'price-list')];
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// ---------------------------------------------------------------------------
+// Reserved Instances
+// ---------------------------------------------------------------------------
+
+// Group reserved rows into terms: { lease, purchaseOption, upfront, hourly }
+function reservedTerms(rows) {
+  const terms = new Map();
+  for (const row of rows) {
+    const key = `${row.lease}|${row.purchaseOption}`;
+    if (!terms.has(key)) terms.set(key, { lease: row.lease, purchaseOption: row.purchaseOption, upfront: 0, hourly: 0 });
+    const term = terms.get(key);
+    if (row.unit === 'Quantity') term.upfront += row.price;
+    else term.hourly += row.price;
+  }
+  return [...terms.values()].map(term => {
+    const months = term.lease === '3yr' ? 36 : 12;
+    return { ...term, effectiveMonthly: term.upfront / months + term.hourly * HOURS_PER_MONTH };
+  });
+}
+
+// Standard RI terms for an EC2 instance type, OS/licence and tenancy
+async function reservedEc2Terms({ region, instanceType, operation = 'RunInstances', tenancy = 'default' }) {
+  const offer = await getOffer('AmazonEC2', region);
+  if (!offer) return [];
+  const pricingTenancy = EC2_TENANCY[tenancy] || 'Shared';
+  return reservedTerms(offer.reserved.filter(row =>
+    row.instancetype === instanceType && row.operation === operation && row.tenancy === pricingTenancy));
+}
+
+// Standard RI terms for an RDS instance class, engine, licence and deployment
+async function reservedRdsTerms({ region, instanceClass, engine, licenseModel, multiAz = false }) {
+  const offer = await getOffer('AmazonRDS', region);
+  if (!offer) return [];
+  const mapped = rdsPricingEngine(engine);
+  if (!mapped) return [];
+  const { engine: pricingEngine, edition } = mapped;
+  const deployment = rdsDeployment({ engine, multiAz });
+  const license = RDS_LICENSE_MODELS[licenseModel] || null;
+  return reservedTerms(offer.reserved.filter(row =>
+    row.productfamily === 'Database Instance' &&
+    row.instancetype === instanceClass &&
+    row.databaseengine === pricingEngine &&
+    row.deploymentoption === deployment &&
+    (!edition || row.databaseedition === edition) &&
+    (!license || row.licensemodel === license)));
+}
+
+// ---------------------------------------------------------------------------
+// S3 storage
+// ---------------------------------------------------------------------------
+
+// CloudWatch BucketSizeBytes storage types mapped to Price List volume types
+const S3_STORAGE_TYPES = {
+  StandardStorage: /^Standard$/,
+  IntelligentTieringFAStorage: /^Intelligent-Tiering Frequent Access$/,
+  IntelligentTieringIAStorage: /^Intelligent-Tiering Infrequent Access$/,
+  IntelligentTieringAIAStorage: /^Intelligent-Tiering Archive Instant Access$/,
+  IntelligentTieringAAStorage: /^Intelligent-Tiering Archive Access$/,
+  IntelligentTieringDAAStorage: /^Intelligent-Tiering Deep Archive Access$/,
+  StandardIAStorage: /^Standard - Infrequent Access$/,
+  OneZoneIAStorage: /^One Zone - Infrequent Access$/,
+  ReducedRedundancyStorage: /^Reduced Redundancy$/,
+  GlacierInstantRetrievalStorage: /^Glacier Instant Retrieval$/,
+  GlacierStorage: /^Amazon Glacier$/,
+  DeepArchiveStorage: /Deep Archive$/
+};
+
+// Price S3 storage from bytes per CloudWatch storage type
+async function priceS3Storage({ region, bytesByStorageType }) {
+  const offer = await getOffer('AmazonS3', region);
+  const breakdown = [];
+
+  for (const [storageType, bytes] of Object.entries(bytesByStorageType)) {
+    if (!bytes) continue;
+    const sizeGB = bytes / GB;
+    const pattern = S3_STORAGE_TYPES[storageType];
+    const products = offer && pattern
+      ? findProducts(offer, ['Storage'], { volumetype: value => pattern.test(value) })
+      : [];
+    if (products.length > 0) {
+      const cost = tieredCost(products, sizeGB);
+      breakdown.push(component('storage', storageType, 'GB-Mo', sizeGB, sizeGB ? cost / sizeGB : 0, 'price-list', cost));
+    } else {
+      breakdown.push(component('storage', storageType, 'GB-Mo', sizeGB,
+        DEFAULT_S3_GB_MONTH[storageType] ?? DEFAULT_S3_GB_MONTH.StandardStorage, 'default'));
+    }
+  }
+
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Price the Intelligent-Tiering monitoring and automation fee for a number of objects
+async function priceS3Monitoring({ region, objects }) {
+  const offer = await getOffer('AmazonS3', region);
+  const rate = findUsageRate(offer, null, 'Monitoring-Automation-INT');
+  const breakdown = [component('monitoring', 'Intelligent-Tiering monitoring', 'Objects', objects,
+    rate ?? DEFAULT_S3_TIERING_MONITORING_OBJECT, rate === null ? 'default' : 'price-list')];
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// ---------------------------------------------------------------------------
+// Lambda
+// ---------------------------------------------------------------------------
+
+// Price List usage types per architecture (arm64 ones end in "-ARM")
+const LAMBDA_USAGE = {
+  request: 'Request',
+  gbSecond: 'Lambda-GB-Second',
+  provisioned: 'Lambda-Provisioned-Concurrency',
+  provisionedGbSecond: 'Lambda-Provisioned-GB-Second'
+};
+
+// Price a Lambda function for a month of usage: requests, GB-seconds of
+// duration on its architecture, ephemeral storage above the free 512 MB, and
+// provisioned concurrency, billed while configured plus a lower duration rate
+// for the share of invocations it serves. The first pricing tier is used.
+async function priceLambda({
+  region, architecture = 'x86_64', memoryMB, ephemeralStorageMB = 512, requests = 0, durationSeconds = 0,
+  provisionedConcurrency = 0, provisionedShare = 0
+}) {
+  const arch = architecture === 'arm64' ? 'arm64' : 'x86_64';
+  const offer = await getOffer('AWSLambda', region);
+  const rate = key => {
+    const price = findUsageRate(offer, null, arch === 'arm64' ? `${LAMBDA_USAGE[key]}-ARM` : LAMBDA_USAGE[key]);
+    return price === null ? [DEFAULT_LAMBDA[arch][key], 'default'] : [price, 'price-list'];
+  };
+  const memoryGB = memoryMB / 1024;
+  const onDemandSeconds = durationSeconds * (1 - provisionedShare);
+  const breakdown = [
+    component('requests', 'Requests', 'Requests', requests, ...rate('request')),
+    component('compute', `${memoryMB} MB ${arch} compute`, 'GB-Second', onDemandSeconds * memoryGB, ...rate('gbSecond'))
+  ];
+
+  if (ephemeralStorageMB > 512) {
+    const storageRate = findUsageRate(offer, null, 'Lambda-Ephemeral-Storage-GB-Second');
+    breakdown.push(component('storage', `${ephemeralStorageMB} MB ephemeral storage`, 'GB-Second',
+      durationSeconds * (ephemeralStorageMB - 512) / 1024, storageRate ?? DEFAULT_LAMBDA.ephemeralGbSecond,
+      storageRate === null ? 'default' : 'price-list'));
+  }
+
+  if (provisionedConcurrency > 0) {
+    breakdown.push(component('provisioned', `Provisioned concurrency (${provisionedConcurrency})`, 'GB-Second',
+      provisionedConcurrency * memoryGB * HOURS_PER_MONTH * 3600, ...rate('provisioned')));
+    breakdown.push(component('provisioned-compute', 'Provisioned concurrency duration', 'GB-Second',
+      durationSeconds * provisionedShare * memoryGB, ...rate('provisionedGbSecond')));
+  }
+
+  return { monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// ---------------------------------------------------------------------------
+// Network
+// ---------------------------------------------------------------------------
+
+// Load balancer types mapped to their Price List product family
+const LOAD_BALANCER_FAMILIES = {
+  application: 'Load Balancer-Application',
+  network: 'Load Balancer-Network',
+  gateway: 'Load Balancer-Gateway',
+  classic: 'Load Balancer'
+};
+
+// Rate of the first tier of `usage` in the given families (every family when
+// null). Usage types may carry a region prefix such as "EUW1-".
+function findUsageRate(offer, families, usage) {
+  if (!offer) return null;
+  const products = findProducts(offer, families || [...offer.byFamily.keys()], {
+    usagetype: value => value.replace(/^[A-Z]{2,4}\d*-/, '') === usage
+  });
+  if (products.length === 0) return null;
+  return products.reduce((first, product) => (product.begin < first.begin ? product : first)).price;
+}
+
+// Price a public IPv4 address. Every public address is billed by the hour,
+// whether it is attached (in use) or an unassociated Elastic IP (idle).
+async function pricePublicIpv4({ region, idle = false }) {
+  const offer = await getOffer('AmazonVPC', region);
+  const rate = findUsageRate(offer, null, idle ? 'PublicIPv4:IdleAddress' : 'PublicIPv4:InUseAddress');
+  const breakdown = [component('address', `Public IPv4 address (${idle ? 'idle' : 'in use'})`, 'Hrs', HOURS_PER_MONTH,
+    rate ?? DEFAULT_PUBLIC_IPV4_HOUR, rate === null ? 'default' : 'price-list')];
+  return { hourly: breakdown[0].rate, monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Price a NAT gateway: hours plus the data it processes per month
+async function priceNatGateway({ region, processedGB = 0 }) {
+  const offer = await getOffer('AmazonEC2', region);
+  const hourRate = findUsageRate(offer, ['NAT Gateway'], 'NatGateway-Hours');
+  const gbRate = findUsageRate(offer, ['NAT Gateway'], 'NatGateway-Bytes');
+  const breakdown = [
+    component('hours', 'NAT gateway', 'Hrs', HOURS_PER_MONTH, hourRate ?? DEFAULT_NAT_GATEWAY.hour, hourRate === null ? 'default' : 'price-list'),
+    component('data', 'Data processed', 'GB', processedGB, gbRate ?? DEFAULT_NAT_GATEWAY.gb, gbRate === null ? 'default' : 'price-list')
+  ];
+  return { hourly: breakdown[0].rate, monthly: sumBreakdown(breakdown), breakdown };
+}
+
+// Price a load balancer (application, network, gateway or classic): hours plus
+// the average capacity units in use (LCUs), or the data processed for classic
+async function priceLoadBalancer({ region, type, capacityUnits = 0, processedGB = 0 }) {
+  const defaults = DEFAULT_LOAD_BALANCER[type];
+  if (!defaults) throw new Error(`Unknown load balancer type: ${type}`);
+  const offer = await getOffer('AWSELB', region);
+  const families = [LOAD_BALANCER_FAMILIES[type]];
+  const hourRate = findUsageRate(offer, families, 'LoadBalancerUsage');
+  const breakdown = [component('hours', `${type} load balancer`, 'Hrs', HOURS_PER_MONTH,
+    hourRate ?? defaults.hour, hourRate === null ? 'default' : 'price-list')];
+  if (type === 'classic') {
+    const gbRate = findUsageRate(offer, families, 'DataProcessing-Bytes');
+    breakdown.push(component('data', 'Data processed', 'GB', processedGB, gbRate ?? defaults.gb, gbRate === null ? 'default' : 'price-list'));
+  } else {
+    const lcuRate = findUsageRate(offer, families, 'LCUUsage');
+    breakdown.push(component('capacity', 'Capacity units', 'LCU-Hrs', capacityUnits * HOURS_PER_MONTH,
+      lcuRate ?? defaults.capacityUnit, lcuRate === null ? 'default' : 'price-list'));
+  }
+  return { hourly: breakdown[0].rate, monthly: sumBreakdown(breakdown), breakdown };
+}
+
+module.exports = {
+  HOURS_PER_MONTH,
+  S3_STORAGE_TYPES,
+  configurePricing,
+  getOffer,
+  findProducts,
+  tieredCost,
+  getHourlyPrice,
+  priceEc2Instance,
+  priceEbsVolume,
+  priceEbsSnapshot,
+  priceRdsInstance,
+  rdsInstanceMemoryGiB,
+  priceAuroraStorage,
+  priceAuroraCapacity,
+  priceRdsSnapshot,
+  priceS3Storage,
+  priceS3Monitoring,
+  priceLambda,
+  pricePublicIpv4,
+  priceNatGateway,
+  priceLoadBalancer,
+  reservedEc2Terms,
+  reservedRdsTerms,
+  rdsPricingEngine,
+  isAuroraEngine
+};
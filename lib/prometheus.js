@@ -0,0 +1,209 @@
+// Prometheus metrics for /metrics.
+//
+// Resource gauges (count and estimated monthly cost by account, service,
+// region and usage status) describe the latest completed scan, and are seeded
+// from the newest snapshot at startup. Scan duration and outcome are recorded
+// as each scan job ends. AWS request counters and cache hit/miss counters are
+// read from lib/collector.js and lib/cache.js at scrape time, along with the
+// Node.js process metrics. Scrapers asking for OpenMetrics get that format,
+// everyone else the Prometheus text format.
+
+const client = require('prom-client');
+const { awsCallStats } = require('./collector');
+const { cacheCounters } = require('./cache');
+
+const PREFIX = 'aws_monitor_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const RESOURCE_LABELS = ['account_id', 'service', 'region', 'usage_status'];
+
+const resourceCount = new client.Gauge({
+  name: `${PREFIX}resources`,
+  help: 'Resources found by the latest completed scan',
+  labelNames: RESOURCE_LABELS,
+  registers: [registry]
+});
+
+const resourceCost = new client.Gauge({
+  name: `${PREFIX}resources_monthly_cost_dollars`,
+  help: 'Estimated monthly cost of the resources found by the latest completed scan',
+  labelNames: RESOURCE_LABELS,
+  registers: [registry]
+});
+
+const resourcesScannedAt = new client.Gauge({
+  name: `${PREFIX}resources_scan_timestamp_seconds`,
+  help: 'When the scan behind the resource gauges was taken',
+  registers: [registry]
+});
+
+const scanDuration = new client.Histogram({
+  name: `${PREFIX}scan_duration_seconds`,
+  help: 'Duration of scan jobs',
+  labelNames: ['trigger', 'status'],
+  buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry]
+});
+
+const scanSteps = new client.Gauge({
+  name: `${PREFIX}last_scan_steps`,
+  help: 'Account/region/service steps of the most recent scan, by outcome',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+const lastSuccessfulScan = new client.Gauge({
+  name: `${PREFIX}last_successful_scan_timestamp_seconds`,
+  help: 'When the last scan that completed successfully finished, by trigger (scheduled = cron)',
+  labelNames: ['trigger'],
+  registers: [registry]
+});
+
+// Counters mirrored from the collector's own totals on every scrape
+new client.Counter({
+  name: `${PREFIX}aws_api_requests_total`,
+  help: 'AWS API requests sent, including retries',
+  labelNames: ['service', 'operation'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (let stats of awsCallStats()) this.inc({ service: stats.service, operation: stats.operation }, stats.calls);
+  }
+});
+
+new client.Counter({
+  name: `${PREFIX}aws_api_retries_total`,
+  help: 'AWS API requests retried after throttling or a transient error',
+  labelNames: ['service', 'operation'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (let stats of awsCallStats()) this.inc({ service: stats.service, operation: stats.operation }, stats.retries);
+  }
+});
+
+new client.Counter({
+  name: `${PREFIX}aws_api_throttled_total`,
+  help: 'AWS API requests rejected with a throttling error',
+  labelNames: ['service', 'operation'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (let stats of awsCallStats()) this.inc({ service: stats.service, operation: stats.operation }, stats.throttled);
+  }
+});
+
+new client.Counter({
+  name: `${PREFIX}aws_api_errors_total`,
+  help: 'AWS API calls that failed after all retries, by error code',
+  labelNames: ['service', 'operation', 'code'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (let stats of awsCallStats()) {
+      for (let [code, count] of Object.entries(stats.errors)) {
+        this.inc({ service: stats.service, operation: stats.operation, code }, count);
+      }
+    }
+  }
+});
+
+new client.Counter({
+  name: `${PREFIX}cache_requests_total`,
+  help: 'Cache lookups by result (stale entries are served while they refresh)',
+  labelNames: ['result'],
+  registers: [registry],
+  collect() {
+    const { hits, staleHits, misses } = cacheCounters();
+    this.reset();
+    this.inc({ result: 'hit' }, hits);
+    this.inc({ result: 'stale' }, staleHits);
+    this.inc({ result: 'miss' }, misses);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}cache_hit_ratio`,
+  help: 'Share of cache lookups answered from the cache (fresh or stale) since startup',
+  registers: [registry],
+  collect() {
+    const { hits, staleHits, misses } = cacheCounters();
+    const total = hits + staleHits + misses;
+    this.set(total > 0 ? (hits + staleHits) / total : 0);
+  }
+});
+
+new client.Counter({
+  name: `${PREFIX}cache_refresh_errors_total`,
+  help: 'Background refreshes of stale cache entries that failed',
+  registers: [registry],
+  collect() {
+    this.reset();
+    this.inc(cacheCounters().refreshErrors);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}cache_redis_connected`,
+  help: '1 while Redis is the active cache backend, 0 on the in-memory fallback',
+  registers: [registry],
+  collect() {
+    this.set(cacheCounters().redisConnected ? 1 : 0);
+  }
+});
+
+// Replace the resource gauges with the resources of a scan
+// (full resource records or snapshot records)
+function setResourceMetrics(resources, takenAt) {
+  const groups = new Map();
+  for (let r of resources) {
+    const labels = { account_id: r.accountId || '', service: r.service, region: r.region, usage_status: r.usageStatus || 'unknown' };
+    const key = JSON.stringify(labels);
+    if (!groups.has(key)) groups.set(key, { labels, count: 0, cost: 0 });
+    const group = groups.get(key);
+    group.count += 1;
+    group.cost += r.monthlyCost || 0;
+  }
+  resourceCount.reset();
+  resourceCost.reset();
+  for (let { labels, count, cost } of groups.values()) {
+    resourceCount.set(labels, count);
+    resourceCost.set(labels, cost);
+  }
+  resourcesScannedAt.set(new Date(takenAt).getTime() / 1000);
+}
+
+// Record a finished scan job
+function recordScan(job) {
+  const seconds = (new Date(job.finishedAt) - new Date(job.createdAt)) / 1000;
+  scanDuration.observe({ trigger: job.trigger, status: job.status }, seconds);
+  scanSteps.reset();
+  for (let status of ['done', 'failed', 'cancelled', 'pending']) {
+    scanSteps.set({ status }, job.tasks.filter(t => t.status === status).length);
+  }
+  if (job.status === 'completed') markSuccessfulScan(job.trigger, job.finishedAt);
+}
+
+// Also used to restore the timestamps from snapshots at startup
+function markSuccessfulScan(trigger, finishedAt) {
+  lastSuccessfulScan.set({ trigger }, new Date(finishedAt).getTime() / 1000);
+}
+
+// The same metrics in OpenMetrics format
+const openMetricsRegistry = client.Registry.merge([registry]);
+openMetricsRegistry.setContentType(client.openMetricsContentType);
+
+// Exposition text and its content type, per the scraper's Accept header
+async function renderMetrics(accept = '') {
+  const target = accept.includes('application/openmetrics-text') ? openMetricsRegistry : registry;
+  return { contentType: target.contentType, body: await target.metrics() };
+}
+
+module.exports = {
+  setResourceMetrics,
+  recordScan,
+  markSuccessfulScan,
+  renderMetrics
+};
@@ -0,0 +1,598 @@
+// Resource reports in CSV, JSON, XLSX and PDF, and scheduled report runs.
+//
+// The server assembles a report ({ title, generatedAt, filters, resources,
+// aggregates, unusedCount, potentialSavings, topSavings, errors }) from the
+// same query /api/resources uses, and renderReport() turns it into a file:
+// CSV and JSON carry every field of the resource model, XLSX has a summary
+// sheet plus one sheet per service with that service's columns, and PDF is an
+// executive summary with charts and the top savings. Schedules are listed in
+// REPORTS_FILE (default reports.json, see reports.example.json); each one runs
+// on its cron expression, and generated files are kept in <DATA_DIR>/reports
+// for REPORT_RETENTION_DAYS.
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const settings = {
+  file: process.env.REPORTS_FILE || path.join(__dirname, '..', 'reports.json'),
+  dir: path.join(__dirname, '..', 'data', 'reports'),
+  retentionDays: parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 30,
+  timezone: 'Asia/Kolkata',
+  // Set by the server: validateQuery(query) throws on invalid filters,
+  // run(schedule) generates and delivers a scheduled report
+  validateQuery: () => {},
+  run: null
+};
+
+const FILE_NAME_PATTERN = /^[\w.-]+$/;
+
+let schedules = [];
+let tasks = [];
+
+// Override defaults (report directory and callbacks from the server)
+function configureReports(options) {
+  Object.assign(settings, options);
+  fs.mkdirSync(settings.dir, { recursive: true });
+}
+
+// ---------------------------------------------------------------------------
+// Columns
+// Every report starts with the common columns; each service adds its own.
+// ---------------------------------------------------------------------------
+
+function formatTags(tags) {
+  return Object.entries(tags || {}).map(([key, value]) => `${key}=${value}`).join('; ');
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+const COMMON_COLUMNS = [
+  { header: 'Account ID', value: r => r.accountId, width: 15 },
+  { header: 'Account Name', value: r => r.accountName, width: 18 },
+  { header: 'Service', value: r => r.service, width: 9 },
+  { header: 'Region', value: r => r.region, width: 14 },
+  { header: 'ID/Name', value: r => r.id || r.name, width: 30 },
+  { header: 'Type', value: r => r.type || r.runtime, width: 14 },
+  { header: 'State', value: r => r.state, width: 12 },
+  { header: 'Usage Status', value: r => r.usageStatus, width: 14 },
+  { header: 'Policy Rule', value: r => r.policyRule, width: 18 },
+  { header: 'Owner', value: r => r.owner, width: 18 },
+  { header: 'Monthly Cost ($)', value: r => r.monthlyCost || 0, type: 'currency', width: 14 },
+  { header: 'Created', value: r => isoDate(r.creation), type: 'date', width: 22 },
+  { header: 'Tags', value: r => formatTags(r.tags), width: 40 },
+  { header: 'Suppressed', value: r => r.suppressed ? r.suppressed.reason : '', width: 24 }
+];
+
+const SERVICE_COLUMNS = {
+  ec2: [
+    { header: 'Avg CPU (%)', value: r => r.avgCpu, type: 'number', width: 11 },
+    { header: 'Platform', value: r => r.platform, width: 18 },
+    { header: 'Tenancy', value: r => r.tenancy, width: 10 },
+    { header: 'Availability Zone', value: r => r.availabilityZone, width: 16 }
+  ],
+  ebs: [
+    { header: 'Size (GiB)', value: r => r.size, type: 'number', width: 10 },
+    { header: 'IOPS', value: r => r.iops, type: 'number', width: 8 },
+    { header: 'Throughput (MiB/s)', value: r => r.throughput, type: 'number', width: 12 }
+  ],
+  s3: [
+    { header: 'Objects', value: r => r.numObjects, type: 'number', width: 12 },
+    { header: 'Size (GB)', value: r => r.sizeGB, type: 'number', width: 12 },
+    { header: 'Storage Classes (GB)', value: r => Object.entries(r.storageClasses || {}).map(([type, gb]) => `${type}=${gb.toFixed(2)}`).join('; '),
+      width: 30 },
+    { header: 'Versioning', value: r => r.versioning, width: 10 },
+    { header: 'Lifecycle Rules', value: r => r.lifecycle && r.lifecycle.rules, type: 'number', width: 9 },
+    { header: 'Noncurrent (GB)', value: r => r.noncurrentGB, type: 'number', width: 12 },
+    { header: 'Incomplete Uploads (GB)', value: r => r.incompleteUploadGB, type: 'number', width: 12 },
+    { header: 'Suggestions', value: r => (r.suggestions || []).map(s => s.description).join('; '), width: 50 },
+    { header: 'Estimated Saving ($/month)', value: r => r.estimatedSaving, type: 'currency', width: 14 }
+  ],
+  rds: [
+    { header: 'Engine', value: r => r.engine, width: 14 },
+    { header: 'Avg CPU (%)', value: r => r.avgCpu, type: 'number', width: 11 },
+    { header: 'Multi-AZ', value: r => r.multiAz === undefined ? '' : r.multiAz ? 'yes' : 'no', width: 9 },
+    { header: 'Storage Type', value: r => r.storageType, width: 12 },
+    { header: 'Allocated Storage (GiB)', value: r => r.allocatedStorage, type: 'number', width: 12 },
+    { header: 'IOPS', value: r => r.iops, type: 'number', width: 8 },
+    { header: 'Cluster', value: r => r.clusterId || (r.members || []).join(', '), width: 22 },
+    { header: 'Max Connections (7d)', value: r => r.maxConnections, type: 'number', width: 11 },
+    { header: 'Serverless ACUs (avg)', value: r => r.acus, type: 'number', width: 10 },
+    { header: 'Cluster Storage (GB)', value: r => r.type === 'cluster' ? r.storageGB : null, type: 'number', width: 12 },
+    { header: 'Aurora I/O (per month)', value: r => r.ioRequests, type: 'number', width: 14 }
+  ],
+  'rds-snapshot': [
+    { header: 'Engine', value: r => r.engine, width: 14 },
+    { header: 'Size (GB)', value: r => r.sizeGB, type: 'number', width: 12 },
+    { header: 'Source DB', value: r => !r.sourceId || r.sourceExists ? r.sourceId : `${r.sourceId} (deleted)`, width: 26 },
+    { header: 'Age (days)', value: r => r.ageDays, type: 'number', width: 10 }
+  ],
+  lambda: [
+    { header: 'Runtime', value: r => r.runtime, width: 12 },
+    { header: 'Memory (MB)', value: r => r.memory, type: 'number', width: 11 },
+    { header: 'Architecture', value: r => r.architecture, width: 10 },
+    { header: 'Runtime Status', value: r => r.runtimeDeprecation ? `${r.runtimeStatus} (${r.runtimeDeprecation})` : r.runtimeStatus, width: 24 },
+    { header: 'Invocations (lookback)', value: r => r.invocations, type: 'number', width: 12 },
+    { header: 'Max Memory Used (MB)', value: r => r.maxMemoryUsedMB, type: 'number', width: 11 },
+    { header: 'Recommended Memory (MB)', value: r => r.recommendedMemory, type: 'number', width: 11 },
+    { header: 'Provisioned Concurrency', value: r => (r.provisionedConcurrency || []).map(pc => `${pc.qualifier}=${pc.allocated}`).join('; '),
+      width: 20 },
+    { header: 'Unreferenced Versions', value: r => (r.unreferencedVersions || []).join(', '), width: 16 },
+    { header: 'Suggestions', value: r => (r.suggestions || []).map(s => s.description).join('; '), width: 50 },
+    { header: 'Estimated Saving ($/month)', value: r => r.estimatedSaving, type: 'currency', width: 14 }
+  ],
+  network: [
+    { header: 'Public IP', value: r => r.publicIp, width: 16 },
+    { header: 'Attached To', value: r => r.attachedTo, width: 22 },
+    { header: 'Healthy Hosts', value: r => r.healthyHosts, type: 'number', width: 10 },
+    { header: 'Processed (GB/month)', value: r => r.processedGB, type: 'number', width: 12 }
+  ],
+  snapshot: [
+    { header: 'Size (GB)', value: r => r.sizeGB, type: 'number', width: 12 },
+    { header: 'Source Volume', value: r => !r.volumeId || r.volumeExists ? r.volumeId : `${r.volumeId} (deleted)`, width: 26 },
+    { header: 'AMIs', value: r => (r.imageIds || []).join(', '), width: 22 },
+    { header: 'Age (days)', value: r => r.ageDays, type: 'number', width: 10 }
+  ],
+  ami: [
+    { header: 'Size (GB)', value: r => r.sizeGB, type: 'number', width: 12 },
+    { header: 'Instances', value: r => r.instances, type: 'number', width: 10 },
+    { header: 'Launch Templates', value: r => (r.launchTemplates || []).join(', '), width: 22 },
+    { header: 'Last Launched', value: r => isoDate(r.lastLaunched), type: 'date', width: 22 }
+  ]
+};
+
+// Common columns plus those of every service present, without repeating a header
+function columnsFor(services) {
+  const columns = [...COMMON_COLUMNS];
+  for (let service of services) {
+    for (let column of SERVICE_COLUMNS[service] || []) {
+      if (!columns.some(c => c.header === column.header)) columns.push(column);
+    }
+  }
+  return columns;
+}
+
+function servicesIn(resources) {
+  return [...new Set(resources.map(r => r.service))].sort();
+}
+
+function cellValue(column, resource) {
+  const value = column.value(resource);
+  return value === undefined || value === null ? '' : value;
+}
+
+function money(value) {
+  return `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+
+function renderCsv(report) {
+  const columns = columnsFor(servicesIn(report.resources));
+  const escape = value => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(c => escape(c.header)).join(',')];
+  for (let resource of report.resources) {
+    lines.push(columns.map(c => escape(cellValue(c, resource))).join(','));
+  }
+  return Buffer.from(lines.join('\r\n') + '\r\n');
+}
+
+function renderJson(report) {
+  return Buffer.from(JSON.stringify({
+    title: report.title,
+    generatedAt: report.generatedAt,
+    filters: report.filters,
+    summary: {
+      resources: report.aggregates.count,
+      monthlyCost: report.aggregates.totalCostEstimate,
+      unused: report.unusedCount,
+      potentialSavings: report.potentialSavings
+    },
+    aggregates: report.aggregates,
+    topSavings: report.topSavings,
+    errors: report.errors,
+    resources: report.resources
+  }, null, 2));
+}
+
+const CURRENCY_FORMAT = '"$"#,##0.00';
+
+// Header row in bold, frozen, with filters
+function addTableSheet(workbook, name, columns, resources) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(c => ({
+    header: c.header,
+    width: c.width || 14,
+    style: c.type === 'currency' ? { numFmt: CURRENCY_FORMAT } : c.type === 'number' ? { numFmt: '#,##0.##' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (let resource of resources) sheet.addRow(columns.map(c => cellValue(c, resource)));
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return sheet;
+}
+
+async function renderXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'AWS Resource Monitor';
+  workbook.created = new Date(report.generatedAt);
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 28 }, { width: 18 }, { width: 18 }, { width: 18 }, { width: 16 }];
+  summary.addRow([report.title]).font = { bold: true, size: 14 };
+  summary.addRow(['Generated', new Date(report.generatedAt).toLocaleString('en-US', { timeZone: 'UTC' }) + ' UTC']);
+  summary.addRow(['Filters', report.filters]);
+  summary.addRow([]);
+  const kpis = [
+    ['Resources', report.aggregates.count],
+    ['Monthly cost', report.aggregates.totalCostEstimate],
+    ['Unused resources', report.unusedCount],
+    ['Potential monthly savings', report.potentialSavings]
+  ];
+  kpis.forEach(([label, value], index) => {
+    const row = summary.addRow([label, value]);
+    row.getCell(1).font = { bold: true };
+    if (index % 2 === 1) row.getCell(2).numFmt = CURRENCY_FORMAT;
+  });
+
+  summary.addRow([]);
+  summary.addRow(['Service', 'Resources', 'Monthly Cost ($)']).font = { bold: true };
+  for (let [service, group] of Object.entries(report.aggregates.byService)) {
+    summary.addRow([service, group.count, group.monthlyCost]).getCell(3).numFmt = CURRENCY_FORMAT;
+  }
+
+  if (report.topSavings.length > 0) {
+    summary.addRow([]);
+    summary.addRow(['Top savings', 'Service', 'Account', 'Region', 'Monthly Cost ($)']).font = { bold: true };
+    for (let r of report.topSavings) {
+      summary.addRow([r.id || r.name, r.service, r.accountName || r.accountId, r.region, r.monthlyCost || 0])
+        .getCell(5).numFmt = CURRENCY_FORMAT;
+    }
+  }
+
+  for (let service of servicesIn(report.resources)) {
+    const resources = report.resources.filter(r => r.service === service);
+    addTableSheet(workbook, service.toUpperCase(), columnsFor([service]), resources);
+  }
+
+  if (report.errors.length > 0) {
+    const errors = workbook.addWorksheet('Errors');
+    errors.columns = [
+      { header: 'Account', width: 15 }, { header: 'Region', width: 14 }, { header: 'Service', width: 10 },
+      { header: 'Code', width: 24 }, { header: 'Message', width: 80 }
+    ];
+    errors.getRow(1).font = { bold: true };
+    for (let e of report.errors) errors.addRow([e.accountId, e.region, e.service, e.code, e.message]);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Same palette as the dashboard's status chart
+const STATUS_COLORS = { running: '#36A2EB', stopped: '#FF6384', idle: '#FFCE56', underutilized: '#4BC0C0', used: '#9966FF' };
+const BAR_COLOR = '#36A2EB';
+const MUTED = '#6c757d';
+
+// Horizontal bar chart; returns the y below it
+function drawBarChart(doc, { x, y, width, title, rows, format }) {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(title, x, y);
+  y += 18;
+  const labelWidth = 90;
+  const valueWidth = 70;
+  const barWidth = width - labelWidth - valueWidth - 10;
+  const max = Math.max(...rows.map(r => r.value), 0);
+  for (let row of rows) {
+    doc.font('Helvetica').fontSize(9).fillColor('black').text(row.label, x, y + 2, { width: labelWidth - 5, lineBreak: false, ellipsis: true });
+    const length = max > 0 ? Math.max(1, (row.value / max) * barWidth) : 1;
+    doc.rect(x + labelWidth, y, length, 12).fill(row.color || BAR_COLOR);
+    doc.fillColor('black').text(format(row.value), x + labelWidth + barWidth + 10, y + 2, { width: valueWidth, align: 'right', lineBreak: false });
+    y += 17;
+  }
+  return y;
+}
+
+// Simple table with a shaded header; starts a new page when it runs out of room
+function drawTable(doc, { x, y, columns, rows }) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const header = () => {
+    const width = columns.reduce((sum, c) => sum + c.width, 0);
+    doc.rect(x, y, width, 16).fill('#e9ecef');
+    let cx = x;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('black');
+    for (let column of columns) {
+      doc.text(column.header, cx + 3, y + 4, { width: column.width - 6, align: column.align || 'left', lineBreak: false });
+      cx += column.width;
+    }
+    y += 18;
+  };
+  header();
+  doc.font('Helvetica').fontSize(9);
+  for (let row of rows) {
+    if (y + 14 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      header();
+      doc.font('Helvetica').fontSize(9);
+    }
+    let cx = x;
+    row.forEach((value, i) => {
+      doc.fillColor('black').text(String(value), cx + 3, y + 2, { width: columns[i].width - 6, align: columns[i].align || 'left', lineBreak: false, ellipsis: true });
+      cx += columns[i].width;
+    });
+    y += 14;
+  }
+  return y;
+}
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: report.title, Creator: 'AWS Resource Monitor' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const { aggregates } = report;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(report.title, left, 40);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(`Generated ${new Date(report.generatedAt).toUTCString()} | ${report.filters}`, { width });
+    if (report.errors.length > 0) {
+      doc.fillColor('#b02a37').text(`${report.errors.length} region/service part(s) could not be collected; figures are incomplete.`, { width });
+    }
+
+    // Headline figures
+    let y = doc.y + 14;
+    const kpis = [
+      ['Resources', String(aggregates.count)],
+      ['Monthly cost', money(aggregates.totalCostEstimate)],
+      ['Unused resources', String(report.unusedCount)],
+      ['Potential savings / mo', money(report.potentialSavings)]
+    ];
+    const boxWidth = (width - 30) / kpis.length;
+    kpis.forEach(([label, value], i) => {
+      const x = left + i * (boxWidth + 10);
+      doc.roundedRect(x, y, boxWidth, 50, 4).fillAndStroke('#f8f9fa', '#dee2e6');
+      doc.fillColor(MUTED).font('Helvetica').fontSize(8).text(label.toUpperCase(), x + 8, y + 8, { width: boxWidth - 16 });
+      doc.fillColor('black').font('Helvetica-Bold').fontSize(15).text(value, x + 8, y + 24, { width: boxWidth - 16, lineBreak: false });
+    });
+    y += 68;
+
+    // Charts side by side
+    const half = (width - 20) / 2;
+    const byService = Object.entries(aggregates.byService)
+      .map(([service, group]) => ({ label: service.toUpperCase(), value: group.monthlyCost }))
+      .sort((a, b) => b.value - a.value);
+    const byStatus = Object.entries(aggregates.byStatus)
+      .map(([status, count]) => ({ label: status, value: count, color: STATUS_COLORS[status] }));
+    const serviceBottom = drawBarChart(doc, { x: left, y, width: half, title: 'Monthly cost by service', rows: byService, format: money });
+    const statusBottom = drawBarChart(doc, { x: left + half + 20, y, width: half, title: 'Resources by status', rows: byStatus, format: String });
+    y = Math.max(serviceBottom, statusBottom) + 16;
+
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('black').text(`Top ${report.topSavings.length} savings opportunities`, left, y);
+    y += 20;
+    if (report.topSavings.length === 0) {
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED).text('No unused resources with a cost in this report.', left, y);
+      y += 20;
+    } else {
+      y = drawTable(doc, {
+        x: left,
+        y,
+        columns: [
+          { header: 'Resource', width: 150 },
+          { header: 'Service', width: 50 },
+          { header: 'Account / Region', width: 130 },
+          { header: 'Status', width: 85 },
+          { header: 'Monthly Cost', width: width - 415, align: 'right' }
+        ],
+        rows: report.topSavings.map(r => [
+          r.id || r.name, r.service, `${r.accountName || r.accountId} / ${r.region}`, r.usageStatus, money(r.monthlyCost)
+        ])
+      }) + 16;
+    }
+
+    const regions = Object.entries(aggregates.byRegion).sort((a, b) => b[1].monthlyCost - a[1].monthlyCost);
+    if (regions.length > 0) {
+      if (y + 60 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.font('Helvetica-Bold').fontSize(13).fillColor('black').text('Cost by region', left, y);
+      drawTable(doc, {
+        x: left,
+        y: y + 20,
+        columns: [
+          { header: 'Region', width: 200 },
+          { header: 'Resources', width: 100, align: 'right' },
+          { header: 'Monthly Cost', width: 120, align: 'right' }
+        ],
+        rows: regions.map(([region, group]) => [region, group.count, money(group.monthlyCost)])
+      });
+    }
+
+    doc.end();
+  });
+}
+
+const REPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: renderCsv },
+  json: { extension: 'json', contentType: 'application/json', render: renderJson },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: renderXlsx },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPdf }
+};
+
+// Render a report; resolves to { filename, contentType, content }
+async function renderReport(report, format, { basename = 'aws-resources' } = {}) {
+  const type = REPORT_FORMATS[format];
+  if (!type) throw new Error(`Unknown report format: ${format} (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  const stamp = new Date(report.generatedAt).toISOString().slice(0, 19).replace(/:/g, '-');
+  return {
+    filename: `${basename}-${stamp}.${type.extension}`,
+    contentType: type.contentType,
+    content: await type.render(report)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Stored reports
+// ---------------------------------------------------------------------------
+
+// Write a rendered report to the report directory, dropping files past retention
+async function saveReportFile(file) {
+  await fs.promises.writeFile(path.join(settings.dir, file.filename), file.content);
+  const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+  for (let entry of await listReportFiles()) {
+    if (new Date(entry.createdAt).getTime() < cutoff) await fs.promises.unlink(path.join(settings.dir, entry.name));
+  }
+}
+
+// Stored reports, newest first
+async function listReportFiles() {
+  const names = (await fs.promises.readdir(settings.dir)).filter(name => FILE_NAME_PATTERN.test(name));
+  const files = await Promise.all(names.map(async name => {
+    const stat = await fs.promises.stat(path.join(settings.dir, name));
+    return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+  }));
+  return files.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Path of a stored report, or null if there is no such file
+function reportFilePath(name) {
+  if (!FILE_NAME_PATTERN.test(name)) return null;
+  const file = path.join(settings.dir, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+// node-cron throws on an unknown zone only once the task is created, so check
+// it up front with the same Intl lookup
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validateSchedules(doc) {
+  const errors = [];
+  if (!doc || !Array.isArray(doc.schedules)) {
+    throw new Error('Invalid reports file: expected { "schedules": [...] }');
+  }
+  const names = new Set();
+  doc.schedules.forEach((schedule, index) => {
+    const where = `schedules[${index}]${schedule && schedule.name ? ` (${schedule.name})` : ''}`;
+    if (!schedule || typeof schedule.name !== 'string' || !FILE_NAME_PATTERN.test(schedule.name)) {
+      errors.push(`${where}: "name" is required (letters, digits, ".", "_" and "-")`);
+      return;
+    }
+    if (names.has(schedule.name)) errors.push(`${where}: duplicate name`);
+    names.add(schedule.name);
+    if (typeof schedule.cron !== 'string' || !cron.validate(schedule.cron)) errors.push(`${where}: "cron" must be a cron expression`);
+    if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+      errors.push(`${where}: "timezone" must be an IANA time zone name such as "Europe/Berlin"`);
+    }
+    const formats = [].concat(schedule.formats || []);
+    if (formats.length === 0 || formats.some(f => !REPORT_FORMATS[f])) {
+      errors.push(`${where}: "formats" must list one or more of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    if (schedule.channels !== undefined && (!Array.isArray(schedule.channels) || schedule.channels.some(c => typeof c !== 'string'))) {
+      errors.push(`${where}: "channels" must be an array of notification channel names`);
+    }
+    if (schedule.top !== undefined && !(Number.isInteger(schedule.top) && schedule.top > 0)) {
+      errors.push(`${where}: "top" must be a positive integer`);
+    }
+    if (schedule.query !== undefined && (typeof schedule.query !== 'object' || Array.isArray(schedule.query))) {
+      errors.push(`${where}: "query" must be an object of /api/resources parameters`);
+    } else {
+      try {
+        settings.validateQuery(schedule.query || {});
+      } catch (err) {
+        errors.push(`${where}: ${err.message}`);
+      }
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid reports file:\n  ${errors.join('\n  ')}`);
+  }
+  return doc;
+}
+
+// Read and validate the schedules and (re)start their cron jobs; the active
+// schedules only change on success. Without the file nothing is scheduled.
+function loadReportSchedules() {
+  const doc = fs.existsSync(settings.file)
+    ? validateSchedules(JSON.parse(fs.readFileSync(settings.file, 'utf8')))
+    : { schedules: [] };
+
+  const nextSchedules = doc.schedules.map(schedule => ({
+    name: schedule.name,
+    title: schedule.title || `AWS resource report: ${schedule.name}`,
+    cron: schedule.cron,
+    timezone: schedule.timezone || settings.timezone,
+    formats: [].concat(schedule.formats),
+    query: schedule.query || {},
+    top: schedule.top || 10,
+    channels: schedule.channels || null
+  }));
+  // Create every task before touching the running ones so a schedule that
+  // node-cron still rejects leaves the previous set active
+  const nextTasks = [];
+  try {
+    for (let schedule of nextSchedules) {
+      nextTasks.push(cron.createTask(schedule.cron, async () => {
+        try {
+          await settings.run(schedule);
+        } catch (err) {
+          console.error(`Scheduled report ${schedule.name} failed:`, err);
+        }
+      }, { timezone: schedule.timezone, name: `report:${schedule.name}` }));
+    }
+  } catch (err) {
+    for (let task of nextTasks) task.destroy();
+    throw err;
+  }
+
+  // destroy() also drops the old tasks from node-cron's registry
+  for (let task of tasks) task.destroy();
+  schedules = nextSchedules;
+  tasks = nextTasks;
+  for (let task of tasks) task.start();
+  if (schedules.length > 0) console.log(`Loaded ${schedules.length} report schedule(s) from ${settings.file}`);
+  return listReportSchedules();
+}
+
+function listReportSchedules() {
+  return schedules.map(schedule => ({ ...schedule }));
+}
+
+function getReportSchedule(name) {
+  return schedules.find(schedule => schedule.name === name) || null;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  configureReports,
+  renderReport,
+  saveReportFile,
+  listReportFiles,
+  reportFilePath,
+  loadReportSchedules,
+  listReportSchedules,
+  getReportSchedule
+};
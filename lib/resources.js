@@ -0,0 +1,1146 @@
+// Resource collection and queries.
+//
+// collectServiceResources() lists one service's resources in one account and
+// region, prices them (lib/pricing.js), reads their CloudWatch usage, resolves
+// owners and applies the idle-detection policy. fetchServiceResources() puts
+// that behind the cache and adds suppressions, and loadResources() runs it for
+// every requested account x region x service on the collector pool. The query
+// helpers filter, sort, aggregate and page the result on the server: pages are
+// addressed with an opaque cursor holding the sort value and key of the last
+// row, so paging stays stable while the data is refreshed. Used by the web
+// server and the command-line scanner (scripts/cli.js).
+
+const {
+  EC2Client, DescribeInstancesCommand, DescribeVolumesCommand, DescribeAddressesCommand, DescribeNetworkInterfacesCommand,
+  DescribeNatGatewaysCommand, DescribeSnapshotsCommand, DescribeImagesCommand, DescribeLaunchTemplateVersionsCommand
+} = require('@aws-sdk/client-ec2');
+const { S3Client, GetBucketTaggingCommand } = require('@aws-sdk/client-s3');
+const {
+  RDSClient, DescribeDBInstancesCommand, DescribeDBClustersCommand, DescribeDBSnapshotsCommand, DescribeDBClusterSnapshotsCommand
+} = require('@aws-sdk/client-rds');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+const {
+  ElasticLoadBalancingV2Client, DescribeLoadBalancersCommand, DescribeTargetGroupsCommand, DescribeTagsCommand
+} = require('@aws-sdk/client-elastic-load-balancing-v2');
+const {
+  ElasticLoadBalancingClient, DescribeLoadBalancersCommand: DescribeClassicLoadBalancersCommand,
+  DescribeTagsCommand: DescribeClassicTagsCommand
+} = require('@aws-sdk/client-elastic-load-balancing');
+const { CloudWatchLogsClient } = require('@aws-sdk/client-cloudwatch-logs');
+const {
+  priceEc2Instance, priceEbsVolume, priceEbsSnapshot, priceRdsInstance, priceAuroraStorage, priceAuroraCapacity, priceRdsSnapshot,
+  priceS3Storage, pricePublicIpv4, priceNatGateway, priceLoadBalancer, isAuroraEngine, S3_STORAGE_TYPES
+} = require('./pricing');
+const { sendAws, paginateDescribe, mapPool, runTasks, describeError, collectorSettings } = require('./collector');
+const { fetchMetricSeries, summarizeSeries } = require('./metrics');
+const { getCached, setCached, cached } = require('./cache');
+const { getAccountCredentials, getCloudWatchClient, resolveAccounts, getAllRegions } = require('./accounts');
+const { configurePolicy, matchesPattern, resourceAgeDays, applyPolicy, isUnused } = require('./policy');
+const { resolveOwner } = require('./owners');
+const { annotateSuppressions } = require('./suppressions');
+const { listBuckets, analyzeBucket, suggestBucketChanges } = require('./s3-analysis');
+const { collectFunctions } = require('./lambda-analysis');
+
+const settings = {
+  resourcesTtl: 300, // 5 minutes for resources
+  metricsTtl: 300, // 5 minutes for CloudWatch metrics
+  // EBS snapshots older than this that back no AMI, and manual RDS snapshots
+  // older than this, are reported as expired
+  snapshotRetentionDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 90,
+  // Per-region collection progress
+  log: console.log
+};
+
+// Services with a resource collector
+const SERVICES = ['ec2', 'ebs', 's3', 'rds', 'rds-snapshot', 'lambda', 'network', 'snapshot', 'ami'];
+configurePolicy({ services: SERVICES });
+
+const GB = 1024 ** 3;
+
+// CloudWatch namespaces of the Elastic Load Balancing v2 types
+const LOAD_BALANCER_NAMESPACES = { application: 'AWS/ApplicationELB', network: 'AWS/NetworkELB', gateway: 'AWS/GatewayELB' };
+
+// DescribeTags accepts up to 20 load balancers per call
+const LOAD_BALANCER_TAG_BATCH = 20;
+
+// Days of CloudWatch data behind database connections, Aurora I/O and Serverless capacity
+const RDS_USAGE_DAYS = 7;
+
+// DocumentDB and Neptune share the RDS API but are not RDS databases
+const NON_RDS_ENGINES = ['docdb', 'neptune'];
+
+// Instance states in which an instance still references its AMI
+const LIVE_INSTANCE_STATES = ['pending', 'running', 'shutting-down', 'stopping', 'stopped'];
+
+// CloudWatch and pricing lookups in flight per region/service task
+const RESOURCE_CONCURRENCY = collectorSettings().resourceConcurrency;
+
+// Override defaults (cache TTLs, snapshot retention and logger from the server)
+function configureResources(options) {
+  Object.assign(settings, options);
+}
+
+// Helper to get a metric's raw datapoints from CloudWatch (with caching).
+// `cw` is { client, accountId, region }: resources are often identified by name
+// alone, so the account and region keep their cached series apart.
+// Requests made around the same time are batched into shared GetMetricData calls.
+async function getMetricSeries(cw, namespace, metricName, dimensions, stat = 'Average', days = 1) {
+  const cacheKey = `metric-series:${cw.accountId}:${cw.region}:${namespace}:${metricName}:${JSON.stringify(dimensions)}:${stat}:${days}`;
+
+  // Try to get from cache first
+  const cachedSeries = await getCached(cacheKey);
+  if (cachedSeries !== null) {
+    return cachedSeries;
+  }
+
+  const series = await fetchMetricSeries(cw.client, { namespace, name: metricName, dimensions, stat, days });
+
+  // Cache the datapoints (shorter TTL for metrics)
+  await setCached(cacheKey, series, settings.metricsTtl);
+  return series;
+}
+
+// Helper to get a metric from CloudWatch reduced to a single value
+async function getMetric(cw, namespace, metricName, dimensions, stat = 'Average', days = 1) {
+  const series = await getMetricSeries(cw, namespace, metricName, dimensions, stat, days);
+  return summarizeSeries(series, stat);
+}
+
+// Convert an AWS [{ Key, Value }] tag list to a plain object
+function tagsToObject(tagList) {
+  return Object.fromEntries((tagList || []).map(t => [t.Key, t.Value]));
+}
+
+// Helper to fetch resources for a specific account, service and region (with
+// caching). Expired results are served while a background refresh runs; the
+// result's `cache` field says whether it was a hit, stale or a miss.
+async function fetchServiceResources(account, service, region, forceRefresh = false) {
+  const cacheKey = `resources:${account.id}:${service}:${region}`;
+  const { value, cache } = await cached(cacheKey, settings.resourcesTtl,
+    () => collectServiceResources(account, service, region), { forceRefresh });
+  // Suppressions change independently of the cached data, so they are applied on every read
+  return { ...value, resources: annotateSuppressions(value.resources), cache };
+}
+
+// Elastic IPs, and the Amazon-assigned public IPv4 addresses of network
+// interfaces (instances, load balancers, ...); both are billed by the hour
+async function collectPublicAddresses(ec2Client, region) {
+  const [{ Addresses: addresses = [] }, interfaces] = await Promise.all([
+    sendAws(ec2Client, new DescribeAddressesCommand({})),
+    paginateDescribe(ec2Client, DescribeNetworkInterfacesCommand, {}, 'NetworkInterfaces')
+  ]);
+  const [inUse, idle] = await Promise.all([pricePublicIpv4({ region }), pricePublicIpv4({ region, idle: true })]);
+
+  const elasticIps = addresses.map(address => {
+    const associated = Boolean(address.AssociationId);
+    const price = associated ? inUse : idle;
+    return {
+      type: 'elastic-ip',
+      id: address.AllocationId || address.PublicIp,
+      publicIp: address.PublicIp,
+      state: associated ? 'associated' : 'unassociated',
+      attachedTo: address.InstanceId || address.NetworkInterfaceId || null,
+      tags: tagsToObject(address.Tags),
+      usageStatus: associated ? 'used' : 'idle',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+
+  // Elastic IPs show up on their interfaces too
+  const elasticIpSet = new Set(addresses.map(address => address.PublicIp));
+  const assigned = interfaces.flatMap(eni => (eni.PrivateIpAddresses || [])
+    .filter(ip => ip.Association && ip.Association.PublicIp && !elasticIpSet.has(ip.Association.PublicIp))
+    .map(ip => ({
+      type: 'public-ipv4',
+      id: ip.Association.PublicIp,
+      publicIp: ip.Association.PublicIp,
+      state: 'associated',
+      attachedTo: (eni.Attachment && eni.Attachment.InstanceId) || eni.Description || eni.NetworkInterfaceId,
+      tags: tagsToObject(eni.TagSet),
+      usageStatus: 'used',
+      monthlyCost: inUse.monthly,
+      costBreakdown: inUse.breakdown
+    })));
+
+  return elasticIps.concat(assigned);
+}
+
+// NAT gateways, priced by the hour plus the data they processed over the last day
+async function collectNatGateways(ec2Client, cw, region) {
+  const gateways = (await paginateDescribe(ec2Client, DescribeNatGatewaysCommand, {}, 'NatGateways'))
+    .filter(gw => !['deleting', 'deleted', 'failed'].includes(gw.State));
+
+  const bytes = await Promise.all(gateways.map(gw => {
+    const dims = [{ Name: 'NatGatewayId', Value: gw.NatGatewayId }];
+    return Promise.all([
+      getMetric(cw, 'AWS/NATGateway', 'BytesInFromSource', dims, 'Sum', 1),
+      getMetric(cw, 'AWS/NATGateway', 'BytesInFromDestination', dims, 'Sum', 1)
+    ]);
+  }));
+
+  return mapPool(gateways, RESOURCE_CONCURRENCY, async (gw, index) => {
+    const [fromSource, fromDestination] = bytes[index];
+    const processedGB = ((fromSource + fromDestination) / GB) * 30;
+    const price = await priceNatGateway({ region, processedGB });
+    return {
+      type: 'nat-gateway',
+      id: gw.NatGatewayId,
+      state: gw.State,
+      connectivityType: gw.ConnectivityType,
+      vpcId: gw.VpcId,
+      subnetId: gw.SubnetId,
+      creation: gw.CreateTime,
+      tags: tagsToObject(gw.Tags),
+      processedGB,
+      usageStatus: 'used',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+// Tags of load balancers by ARN (v2) or name (classic), 20 per call
+async function loadBalancerTags(client, CommandClass, param, keys) {
+  const tags = new Map();
+  for (let i = 0; i < keys.length; i += LOAD_BALANCER_TAG_BATCH) {
+    const data = await sendAws(client, new CommandClass({ [param]: keys.slice(i, i + LOAD_BALANCER_TAG_BATCH) }));
+    for (let description of data.TagDescriptions || []) {
+      tags.set(description.ResourceArn || description.LoadBalancerName, tagsToObject(description.Tags));
+    }
+  }
+  return tags;
+}
+
+// The "app/name/id" or "targetgroup/name/id" part of an ELB ARN, used as CloudWatch dimension value
+function arnResource(arn) {
+  return arn.split(':').slice(5).join(':').replace(/^loadbalancer\//, '');
+}
+
+// Application, network, gateway and classic load balancers. An active load
+// balancer without a healthy target over the last day is "no-healthy-targets".
+async function collectLoadBalancers(credentials, cw, region) {
+  const elbv2 = new ElasticLoadBalancingV2Client({ region, credentials });
+  const elb = new ElasticLoadBalancingClient({ region, credentials });
+  const [balancers, targetGroups, classic] = await Promise.all([
+    paginateDescribe(elbv2, DescribeLoadBalancersCommand, {}, 'LoadBalancers'),
+    paginateDescribe(elbv2, DescribeTargetGroupsCommand, {}, 'TargetGroups'),
+    paginateDescribe(elb, DescribeClassicLoadBalancersCommand, {}, 'LoadBalancerDescriptions')
+  ]);
+  const [tags, classicTags] = await Promise.all([
+    loadBalancerTags(elbv2, DescribeTagsCommand, 'ResourceArns', balancers.map(lb => lb.LoadBalancerArn)),
+    loadBalancerTags(elb, DescribeClassicTagsCommand, 'LoadBalancerNames', classic.map(lb => lb.LoadBalancerName))
+  ]);
+
+  // Peak healthy targets per target group and average capacity units (or
+  // classic data processed), requested together
+  const usage = await Promise.all([
+    ...balancers.map(lb => {
+      const namespace = LOAD_BALANCER_NAMESPACES[lb.Type];
+      const dimension = { Name: 'LoadBalancer', Value: arnResource(lb.LoadBalancerArn) };
+      const groups = targetGroups.filter(tg => (tg.LoadBalancerArns || []).includes(lb.LoadBalancerArn));
+      return Promise.all([
+        Promise.all(groups.map(tg => getMetric(cw, namespace, 'HealthyHostCount',
+          [{ Name: 'TargetGroup', Value: arnResource(tg.TargetGroupArn) }, dimension], 'Maximum', 1))),
+        getMetric(cw, namespace, 'ConsumedLCUs', [dimension], 'Average', 1)
+      ]);
+    }),
+    ...classic.map(lb => {
+      const dims = [{ Name: 'LoadBalancerName', Value: lb.LoadBalancerName }];
+      return Promise.all([
+        getMetric(cw, 'AWS/ELB', 'HealthyHostCount', dims, 'Maximum', 1).then(count => [count]),
+        getMetric(cw, 'AWS/ELB', 'EstimatedProcessedBytes', dims, 'Sum', 1)
+      ]);
+    })
+  ]);
+
+  const records = [
+    ...balancers.map(lb => ({
+      type: lb.Type,
+      id: arnResource(lb.LoadBalancerArn),
+      name: lb.LoadBalancerName,
+      arn: lb.LoadBalancerArn,
+      scheme: lb.Scheme,
+      awsState: lb.State && lb.State.Code,
+      targetGroups: targetGroups.filter(tg => (tg.LoadBalancerArns || []).includes(lb.LoadBalancerArn)).length,
+      creation: lb.CreatedTime,
+      tags: tags.get(lb.LoadBalancerArn) || {}
+    })),
+    ...classic.map(lb => ({
+      type: 'classic',
+      id: lb.LoadBalancerName,
+      name: lb.LoadBalancerName,
+      scheme: lb.Scheme,
+      awsState: 'active',
+      instances: (lb.Instances || []).length,
+      creation: lb.CreatedTime,
+      tags: classicTags.get(lb.LoadBalancerName) || {}
+    }))
+  ];
+
+  return mapPool(records, RESOURCE_CONCURRENCY, async (lb, index) => {
+    const [healthy, capacity] = usage[index];
+    const { awsState, ...record } = lb;
+    record.healthyHosts = healthy.reduce((a, b) => a + b, 0);
+    record.state = awsState !== 'active' ? awsState : record.healthyHosts > 0 ? 'active' : 'no-healthy-targets';
+    const price = lb.type === 'classic'
+      ? await priceLoadBalancer({ region, type: 'classic', processedGB: (capacity / GB) * 30 })
+      : await priceLoadBalancer({ region, type: lb.type, capacityUnits: capacity });
+    return {
+      ...record,
+      usageStatus: record.state === 'no-healthy-targets' ? 'idle' : 'used',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+// Snapshots and AMIs owned by the account, and the AMIs each snapshot backs.
+// The snapshot and ami region tasks both need them, so the describe results
+// are cached per account and region and shared.
+async function describeImagesAndSnapshots(ec2Client, accountId, region) {
+  const { value: { snapshots, images } } = await cached(`ec2-images-snapshots:${accountId}:${region}`, settings.resourcesTtl,
+    async () => {
+      const [snapshots, images] = await Promise.all([
+        paginateDescribe(ec2Client, DescribeSnapshotsCommand, { OwnerIds: ['self'] }, 'Snapshots'),
+        paginateDescribe(ec2Client, DescribeImagesCommand, { Owners: ['self'] }, 'Images')
+      ]);
+      return { snapshots, images };
+    });
+  const imagesBySnapshot = new Map();
+  for (let image of images) {
+    for (let mapping of image.BlockDeviceMappings || []) {
+      const snapshotId = mapping.Ebs && mapping.Ebs.SnapshotId;
+      if (!snapshotId) continue;
+      if (!imagesBySnapshot.has(snapshotId)) imagesBySnapshot.set(snapshotId, []);
+      imagesBySnapshot.get(snapshotId).push(image.ImageId);
+    }
+  }
+  return { snapshots, images, imagesBySnapshot };
+}
+
+// Stored size of a snapshot in GB. The full size is only reported for some
+// snapshots; otherwise the source volume size is used as an upper bound.
+function snapshotSizeGB(snapshot) {
+  return snapshot.FullSnapshotSizeInBytes ? snapshot.FullSnapshotSizeInBytes / GB : snapshot.VolumeSize || 0;
+}
+
+// EBS snapshots, linked to their source volume and the AMIs they back. A
+// completed snapshot is "ami" when it backs an AMI (its cost is counted on the
+// AMI), "orphaned" when its volume is gone and "expired" past the retention period.
+async function collectSnapshots(ec2Client, accountId, region) {
+  const [{ snapshots, imagesBySnapshot }, volumes] = await Promise.all([
+    describeImagesAndSnapshots(ec2Client, accountId, region),
+    paginateDescribe(ec2Client, DescribeVolumesCommand, {}, 'Volumes')
+  ]);
+  const volumeIds = new Set(volumes.map(vol => vol.VolumeId));
+
+  return mapPool(snapshots, RESOURCE_CONCURRENCY, async snap => {
+    const imageIds = imagesBySnapshot.get(snap.SnapshotId) || [];
+    const volumeExists = volumeIds.has(snap.VolumeId);
+    const ageDays = resourceAgeDays({ creation: snap.StartTime });
+    let state = snap.State;
+    if (state === 'completed') {
+      if (imageIds.length > 0) state = 'ami';
+      else if (!volumeExists) state = 'orphaned';
+      else if (ageDays > settings.snapshotRetentionDays) state = 'expired';
+    }
+
+    const tier = snap.StorageTier || 'standard';
+    const sizeGB = snapshotSizeGB(snap);
+    const price = imageIds.length > 0
+      ? { monthly: 0, breakdown: [] }
+      : await priceEbsSnapshot({ region, sizeGB, tier });
+    return {
+      type: tier,
+      id: snap.SnapshotId,
+      state,
+      description: snap.Description,
+      volumeId: snap.VolumeId,
+      volumeExists,
+      volumeSize: snap.VolumeSize,
+      sizeGB,
+      encrypted: snap.Encrypted,
+      imageIds,
+      ageDays: Math.floor(ageDays),
+      creation: snap.StartTime,
+      tags: tagsToObject(snap.Tags),
+      usageStatus: state === 'orphaned' || state === 'expired' ? 'idle' : 'used',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+// AMIs owned by the account, linked to the instances launched from them and the
+// default and latest launch template versions that use them. Each AMI carries
+// the storage cost of its backing snapshots; a snapshot behind several AMIs
+// (copies, re-registrations) is billed once, on the oldest of them, and
+// sizeGB still shows every snapshot's size.
+async function collectImages(ec2Client, accountId, region) {
+  const [{ snapshots, images }, reservations, templateVersions] = await Promise.all([
+    describeImagesAndSnapshots(ec2Client, accountId, region),
+    paginateDescribe(ec2Client, DescribeInstancesCommand, {
+      Filters: [{ Name: 'instance-state-name', Values: LIVE_INSTANCE_STATES }]
+    }, 'Reservations'),
+    paginateDescribe(ec2Client, DescribeLaunchTemplateVersionsCommand, { Versions: ['$Latest', '$Default'] }, 'LaunchTemplateVersions')
+  ]);
+  const snapshotsById = new Map(snapshots.map(snap => [snap.SnapshotId, snap]));
+  const billedOn = new Map();
+  const byAge = [...images].sort((a, b) => String(a.CreationDate).localeCompare(String(b.CreationDate)));
+  for (let image of byAge) {
+    for (let mapping of image.BlockDeviceMappings || []) {
+      const snapshotId = mapping.Ebs && mapping.Ebs.SnapshotId;
+      if (snapshotId && !billedOn.has(snapshotId)) billedOn.set(snapshotId, image.ImageId);
+    }
+  }
+
+  const instancesByImage = new Map();
+  for (let inst of reservations.flatMap(res => res.Instances || [])) {
+    if (!instancesByImage.has(inst.ImageId)) instancesByImage.set(inst.ImageId, []);
+    instancesByImage.get(inst.ImageId).push(inst.InstanceId);
+  }
+  const templatesByImage = new Map();
+  for (let version of templateVersions) {
+    const imageId = version.LaunchTemplateData && version.LaunchTemplateData.ImageId;
+    if (!imageId) continue;
+    if (!templatesByImage.has(imageId)) templatesByImage.set(imageId, new Set());
+    templatesByImage.get(imageId).add(version.LaunchTemplateName);
+  }
+
+  return mapPool(images, RESOURCE_CONCURRENCY, async image => {
+    const instanceIds = instancesByImage.get(image.ImageId) || [];
+    const launchTemplates = [...(templatesByImage.get(image.ImageId) || [])];
+    const snapshotIds = (image.BlockDeviceMappings || []).map(m => m.Ebs && m.Ebs.SnapshotId).filter(Boolean);
+    const ebsMappings = (image.BlockDeviceMappings || []).filter(m => m.Ebs);
+    const mappingSizeGB = m => {
+      const snap = snapshotsById.get(m.Ebs.SnapshotId);
+      return snap ? snapshotSizeGB(snap) : m.Ebs.VolumeSize || 0;
+    };
+    const sizeGB = ebsMappings.reduce((sum, m) => sum + mappingSizeGB(m), 0);
+    const billedSizeGB = ebsMappings
+      .filter(m => !m.Ebs.SnapshotId || billedOn.get(m.Ebs.SnapshotId) === image.ImageId)
+      .reduce((sum, m) => sum + mappingSizeGB(m), 0);
+    let state = image.State;
+    if (state === 'available') {
+      state = instanceIds.length > 0 ? 'in-use' : launchTemplates.length > 0 ? 'launch-template' : 'unused';
+    }
+
+    const price = await priceEbsSnapshot({ region, sizeGB: billedSizeGB });
+    return {
+      type: image.PlatformDetails || image.Platform || 'Linux/UNIX',
+      id: image.ImageId,
+      name: image.Name,
+      state,
+      description: image.Description,
+      architecture: image.Architecture,
+      public: image.Public,
+      instances: instanceIds.length,
+      instanceIds,
+      launchTemplates,
+      snapshotIds,
+      sizeGB,
+      billedSizeGB,
+      lastLaunched: image.LastLaunchedTime,
+      deprecation: image.DeprecationTime,
+      creation: image.CreationDate,
+      tags: tagsToObject(image.Tags),
+      usageStatus: state === 'unused' ? 'idle' : 'used',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+// DB instances. Aurora instances carry their compute (Serverless v2 ones their
+// average ACUs) and the cluster its storage; members of a Multi-AZ DB cluster
+// are priced on the cluster. Stopped instances are still billed for storage.
+async function collectDbInstances(instances, clusters, cw, region) {
+  const clustersById = new Map(clusters.map(cluster => [cluster.DBClusterIdentifier, cluster]));
+
+  // CPU, connections and Serverless capacity for every instance go out in shared GetMetricData calls
+  const usage = await Promise.all(instances.map(db => {
+    const dims = [{ Name: 'DBInstanceIdentifier', Value: db.DBInstanceIdentifier }];
+    const available = db.DBInstanceStatus === 'available';
+    return Promise.all([
+      available ? getMetric(cw, 'AWS/RDS', 'CPUUtilization', dims, 'Average', 1) : 0,
+      available ? getMetric(cw, 'AWS/RDS', 'DatabaseConnections', dims, 'Maximum', RDS_USAGE_DAYS) : 0,
+      db.DBInstanceClass === 'db.serverless'
+        ? getMetric(cw, 'AWS/RDS', 'ServerlessDatabaseCapacity', dims, 'Average', RDS_USAGE_DAYS)
+        : null
+    ]);
+  }));
+
+  return mapPool(instances, RESOURCE_CONCURRENCY, async (db, index) => {
+    const [avgCpu, maxConnections, acus] = usage[index];
+    const cluster = clustersById.get(db.DBClusterIdentifier);
+    const aurora = isAuroraEngine(db.Engine);
+    const ioOptimized = Boolean(cluster && cluster.StorageType === 'aurora-iopt1');
+    const state = db.DBInstanceStatus;
+
+    let costBreakdown = [];
+    if ((state === 'available' || state === 'stopped') && (aurora || !cluster)) {
+      const price = acus !== null
+        ? await priceAuroraCapacity({ region, acus, ioOptimized })
+        : await priceRdsInstance({
+          region,
+          instanceClass: db.DBInstanceClass,
+          engine: db.Engine,
+          licenseModel: db.LicenseModel,
+          multiAz: db.MultiAZ,
+          ioOptimized,
+          storageType: db.StorageType,
+          allocatedStorage: db.AllocatedStorage,
+          iops: db.Iops,
+          throughput: db.StorageThroughput
+        });
+      costBreakdown = state === 'stopped'
+        ? price.breakdown.filter(c => c.dimension !== 'compute' && c.dimension !== 'capacity')
+        : price.breakdown;
+    }
+
+    return {
+      id: db.DBInstanceIdentifier,
+      type: db.DBInstanceClass,
+      engine: db.Engine,
+      engineVersion: db.EngineVersion,
+      licenseModel: db.LicenseModel,
+      multiAz: db.MultiAZ,
+      storageType: db.StorageType,
+      allocatedStorage: db.AllocatedStorage,
+      iops: db.Iops,
+      storageThroughput: db.StorageThroughput,
+      clusterId: db.DBClusterIdentifier || null,
+      state,
+      creation: db.InstanceCreateTime,
+      tags: tagsToObject(db.TagList),
+      avgCpu,
+      maxConnections,
+      acus,
+      usageStatus: state,
+      monthlyCost: costBreakdown.reduce((sum, c) => sum + c.cost, 0),
+      costBreakdown
+    };
+  });
+}
+
+// DB clusters (type "cluster"). An Aurora cluster carries its storage and I/O,
+// plus its capacity on Serverless v1; a Multi-AZ DB cluster its compute and
+// storage. I/O is the billed read and write operations over RDS_USAGE_DAYS,
+// scaled to a month.
+async function collectDbClusters(clusters, cw, region) {
+  const usage = await Promise.all(clusters.map(cluster => {
+    if (!isAuroraEngine(cluster.Engine)) return [0, 0, 0, null];
+    const dims = [{ Name: 'DBClusterIdentifier', Value: cluster.DBClusterIdentifier }];
+    return Promise.all([
+      getMetric(cw, 'AWS/RDS', 'VolumeBytesUsed', dims, 'Average', 1),
+      getMetric(cw, 'AWS/RDS', 'VolumeReadIOPs', dims, 'Sum', RDS_USAGE_DAYS),
+      getMetric(cw, 'AWS/RDS', 'VolumeWriteIOPs', dims, 'Sum', RDS_USAGE_DAYS),
+      cluster.EngineMode === 'serverless'
+        ? getMetric(cw, 'AWS/RDS', 'ServerlessDatabaseCapacity', dims, 'Average', RDS_USAGE_DAYS)
+        : null
+    ]);
+  }));
+
+  return mapPool(clusters, RESOURCE_CONCURRENCY, async (cluster, index) => {
+    const [volumeBytes, reads, writes, acus] = usage[index];
+    const aurora = isAuroraEngine(cluster.Engine);
+    const ioOptimized = cluster.StorageType === 'aurora-iopt1';
+    const stopped = cluster.Status === 'stopped';
+    const ioRequests = (reads + writes) * 30 / RDS_USAGE_DAYS;
+
+    let costBreakdown = [];
+    if (aurora) {
+      costBreakdown = (await priceAuroraStorage({ region, storageGB: volumeBytes / GB, ioRequests, ioOptimized })).breakdown;
+      if (acus !== null && !stopped) {
+        costBreakdown.push(...(await priceAuroraCapacity({ region, acus, serverlessVersion: 1 })).breakdown);
+      }
+    } else if (cluster.DBClusterInstanceClass) {
+      const price = await priceRdsInstance({
+        region,
+        instanceClass: cluster.DBClusterInstanceClass,
+        engine: cluster.Engine,
+        multiAzCluster: true,
+        storageType: cluster.StorageType,
+        allocatedStorage: cluster.AllocatedStorage,
+        iops: cluster.Iops,
+        throughput: cluster.StorageThroughput
+      });
+      costBreakdown = stopped ? price.breakdown.filter(c => c.dimension !== 'compute') : price.breakdown;
+    }
+
+    return {
+      id: cluster.DBClusterIdentifier,
+      type: 'cluster',
+      engine: cluster.Engine,
+      engineMode: cluster.EngineMode,
+      engineVersion: cluster.EngineVersion,
+      instanceClass: cluster.DBClusterInstanceClass,
+      multiAz: cluster.MultiAZ,
+      storageType: cluster.StorageType || (aurora ? 'aurora' : undefined),
+      allocatedStorage: aurora ? undefined : cluster.AllocatedStorage,
+      iops: cluster.Iops,
+      storageGB: aurora ? volumeBytes / GB : cluster.AllocatedStorage,
+      ioRequests: aurora && !ioOptimized ? ioRequests : undefined,
+      acus,
+      members: (cluster.DBClusterMembers || []).map(member => member.DBInstanceIdentifier),
+      state: cluster.Status,
+      creation: cluster.ClusterCreateTime,
+      tags: tagsToObject(cluster.TagList),
+      usageStatus: cluster.Status,
+      monthlyCost: costBreakdown.reduce((sum, c) => sum + c.cost, 0),
+      costBreakdown
+    };
+  });
+}
+
+// Manual DB and cluster snapshots, priced at their allocated size (an upper
+// bound: storage shared with earlier snapshots is only billed once). An
+// available snapshot is "orphaned" when its source instance or cluster is gone
+// and "expired" past the retention period.
+async function collectDbSnapshots(rdsClient, region) {
+  const [dbSnapshots, clusterSnapshots, instances, clusters] = await Promise.all([
+    paginateDescribe(rdsClient, DescribeDBSnapshotsCommand, { SnapshotType: 'manual' }, 'DBSnapshots'),
+    paginateDescribe(rdsClient, DescribeDBClusterSnapshotsCommand, { SnapshotType: 'manual' }, 'DBClusterSnapshots'),
+    paginateDescribe(rdsClient, DescribeDBInstancesCommand, {}, 'DBInstances'),
+    paginateDescribe(rdsClient, DescribeDBClustersCommand, {}, 'DBClusters')
+  ]);
+  const instanceIds = new Set(instances.map(db => db.DBInstanceIdentifier));
+  const clusterIds = new Set(clusters.map(cluster => cluster.DBClusterIdentifier));
+  const snapshots = [
+    ...dbSnapshots.map(snap => ({
+      type: 'db-snapshot',
+      id: snap.DBSnapshotIdentifier,
+      sourceId: snap.DBInstanceIdentifier,
+      sourceExists: instanceIds.has(snap.DBInstanceIdentifier),
+      snapshot: snap
+    })),
+    ...clusterSnapshots.map(snap => ({
+      type: 'cluster-snapshot',
+      id: snap.DBClusterSnapshotIdentifier,
+      sourceId: snap.DBClusterIdentifier,
+      sourceExists: clusterIds.has(snap.DBClusterIdentifier),
+      snapshot: snap
+    }))
+  ].filter(({ snapshot }) => !NON_RDS_ENGINES.includes(snapshot.Engine));
+
+  return mapPool(snapshots, RESOURCE_CONCURRENCY, async ({ snapshot: snap, ...record }) => {
+    const ageDays = resourceAgeDays({ creation: snap.SnapshotCreateTime });
+    let state = snap.Status;
+    if (state === 'available') {
+      if (!record.sourceExists) state = 'orphaned';
+      else if (ageDays > settings.snapshotRetentionDays) state = 'expired';
+    }
+
+    const sizeGB = snap.AllocatedStorage || 0;
+    const price = await priceRdsSnapshot({ region, sizeGB, aurora: isAuroraEngine(snap.Engine) });
+    return {
+      ...record,
+      engine: snap.Engine,
+      state,
+      sizeGB,
+      encrypted: snap.StorageEncrypted,
+      ageDays: Math.floor(ageDays),
+      creation: snap.SnapshotCreateTime,
+      tags: tagsToObject(snap.TagList),
+      usageStatus: state === 'orphaned' || state === 'expired' ? 'idle' : 'used',
+      monthlyCost: price.monthly,
+      costBreakdown: price.breakdown
+    };
+  });
+}
+
+// Collect resources for one account, service and region from AWS
+async function collectServiceResources(account, service, region) {
+  settings.log(`Fetching ${service} in ${account.id}/${region}`);
+  let resources = [];
+  let totalCostEstimate = 0;
+  const accountCreds = getAccountCredentials(account);
+  const cw = { client: getCloudWatchClient(account, region), accountId: account.id, region };
+
+  switch (service) {
+    case 'ec2': {
+      const ec2Client = new EC2Client({ region, credentials: accountCreds });
+      const reservations = await paginateDescribe(ec2Client, DescribeInstancesCommand, {}, 'Reservations');
+      resources = reservations.flatMap(res => res.Instances || []).map(inst => ({
+        service,
+        region,
+        id: inst.InstanceId,
+        type: inst.InstanceType,
+        state: inst.State.Name,
+        imageId: inst.ImageId,
+        platform: inst.PlatformDetails,
+        operation: inst.UsageOperation,
+        tenancy: inst.Placement?.Tenancy,
+        availabilityZone: inst.Placement?.AvailabilityZone,
+        creation: inst.LaunchTime,
+        tags: tagsToObject(inst.Tags),
+        avgCpu: 0,
+        usageStatus: inst.State.Name,
+        monthlyCost: 0
+      }));
+
+      const running = resources.filter(inst => inst.state === 'running');
+      // Requested together so they share GetMetricData calls
+      const cpu = await Promise.all(running.map(inst =>
+        getMetric(cw, 'AWS/EC2', 'CPUUtilization', [{ Name: 'InstanceId', Value: inst.id }], 'Average', 1)));
+      running.forEach((inst, i) => { inst.avgCpu = cpu[i]; });
+
+      await mapPool(running, RESOURCE_CONCURRENCY, async inst => {
+        const price = await priceEc2Instance({
+          region,
+          instanceType: inst.type,
+          operation: inst.operation,
+          platform: inst.platform,
+          tenancy: inst.tenancy
+        });
+        inst.monthlyCost = price.monthly;
+        inst.costBreakdown = price.breakdown;
+        totalCostEstimate += inst.monthlyCost;
+      });
+      break;
+    }
+    case 'ebs': {
+      const ec2Client = new EC2Client({ region, credentials: accountCreds });
+      const volumes = await paginateDescribe(ec2Client, DescribeVolumesCommand, {}, 'Volumes');
+      resources = await mapPool(volumes, RESOURCE_CONCURRENCY, async vol => {
+        const price = await priceEbsVolume({
+          region,
+          volumeType: vol.VolumeType,
+          size: vol.Size,
+          iops: vol.Iops,
+          throughput: vol.Throughput
+        });
+        totalCostEstimate += price.monthly;
+        return {
+          service,
+          region,
+          id: vol.VolumeId,
+          type: vol.VolumeType,
+          state: vol.State,
+          size: vol.Size,
+          iops: vol.Iops,
+          throughput: vol.Throughput,
+          creation: vol.CreateTime,
+          tags: tagsToObject(vol.Tags),
+          usageStatus: vol.State,
+          monthlyCost: price.monthly,
+          costBreakdown: price.breakdown
+        };
+      });
+      break;
+    }
+    case 's3': {
+      // The bucket list is shared by the account's region tasks; each analyses only its own buckets
+      const { value: buckets } = await cached(`s3-buckets:${account.id}`, settings.resourcesTtl,
+        () => listBuckets(new S3Client({ region: 'us-east-1', credentials: accountCreds })));
+      const regionBuckets = buckets.filter(bucket => bucket.region === region);
+      const s3Client = new S3Client({ region, credentials: accountCreds });
+
+      // Object counts and bytes per storage class for every bucket, requested
+      // together from the bucket region's CloudWatch
+      const storageTypes = Object.keys(S3_STORAGE_TYPES);
+      const bucketMetrics = await Promise.all(regionBuckets.map(bucket => Promise.all([
+        getMetric(cw, 'AWS/S3', 'NumberOfObjects', [
+          { Name: 'BucketName', Value: bucket.name },
+          { Name: 'StorageType', Value: 'AllStorageTypes' }
+        ], 'Average', 1),
+        ...storageTypes.map(storageType => getMetric(cw, 'AWS/S3', 'BucketSizeBytes', [
+          { Name: 'BucketName', Value: bucket.name },
+          { Name: 'StorageType', Value: storageType }
+        ], 'Average', 1))
+      ])));
+
+      resources = await mapPool(regionBuckets, RESOURCE_CONCURRENCY, async (bucket, index) => {
+        const [numObjects, ...bytes] = bucketMetrics[index];
+        const bytesByStorageType = Object.fromEntries(storageTypes.map((storageType, i) => [storageType, bytes[i]]));
+        const sizeBytes = Object.values(bytesByStorageType).reduce((a, b) => a + b, 0);
+        const sizeGB = sizeBytes / GB;
+        const price = await priceS3Storage({ region, bytesByStorageType });
+        const monthlyCost = price.monthly;
+        let tagSet = [];
+        try {
+          tagSet = (await sendAws(s3Client, new GetBucketTaggingCommand({ Bucket: bucket.name }))).TagSet || [];
+        } catch (err) {
+          // Buckets without tags return NoSuchTagSet
+          if (err.name !== 'NoSuchTagSet') console.error(`Error reading tags for bucket ${bucket.name}:`, err.message);
+        }
+        const analysis = await analyzeBucket(s3Client, bucket.name);
+        const suggestions = await suggestBucketChanges({ region, bytesByStorageType, numObjects, analysis });
+        const { versions, uploads } = analysis;
+
+        totalCostEstimate += monthlyCost;
+        return {
+          service,
+          region,
+          name: bucket.name,
+          created: bucket.creationDate,
+          // Access is judged from request metrics when the bucket has them
+          state: numObjects === 0 ? 'empty' : analysis.requestMetricsFilter ? 'monitored' : 'no-request-metrics',
+          numObjects,
+          sizeGB,
+          storageClasses: Object.fromEntries(Object.entries(bytesByStorageType)
+            .filter(([, value]) => value > 0)
+            .map(([storageType, value]) => [storageType, value / GB])),
+          versioning: analysis.versioning,
+          lifecycle: analysis.lifecycle,
+          noncurrentVersions: versions ? versions.count : null,
+          noncurrentGB: versions ? versions.bytes / GB : null,
+          deleteMarkers: versions ? versions.deleteMarkers : null,
+          incompleteUploads: uploads ? uploads.count : null,
+          incompleteUploadGB: uploads ? uploads.bytes / GB : null,
+          // False when a version or upload listing was cut short (the figures are lower bounds)
+          scanComplete: (!versions || versions.complete) && (!uploads || uploads.complete),
+          requestMetricsFilter: analysis.requestMetricsFilter,
+          suggestions,
+          estimatedSaving: suggestions.reduce((sum, suggestion) => sum + suggestion.estimatedSaving, 0),
+          analysisErrors: analysis.errors,
+          creation: bucket.creationDate,
+          tags: tagsToObject(tagSet),
+          usageStatus: numObjects === 0 ? 'idle' : 'used',
+          monthlyCost,
+          costBreakdown: price.breakdown
+        };
+      });
+      break;
+    }
+    case 'rds': {
+      const rdsClient = new RDSClient({ region, credentials: accountCreds });
+      const [instances, clusters] = await Promise.all([
+        paginateDescribe(rdsClient, DescribeDBInstancesCommand, {}, 'DBInstances'),
+        paginateDescribe(rdsClient, DescribeDBClustersCommand, {}, 'DBClusters')
+      ]);
+      const isRds = db => !NON_RDS_ENGINES.includes(db.Engine);
+      const groups = await Promise.all([
+        collectDbClusters(clusters.filter(isRds), cw, region),
+        collectDbInstances(instances.filter(isRds), clusters, cw, region)
+      ]);
+      resources = groups.flat().map(resource => ({ service, region, ...resource }));
+      totalCostEstimate = resources.reduce((sum, r) => sum + r.monthlyCost, 0);
+      break;
+    }
+    case 'rds-snapshot': {
+      const rdsClient = new RDSClient({ region, credentials: accountCreds });
+      resources = (await collectDbSnapshots(rdsClient, region)).map(resource => ({ service, region, ...resource }));
+      totalCostEstimate = resources.reduce((sum, r) => sum + r.monthlyCost, 0);
+      break;
+    }
+    case 'lambda': {
+      const functions = await collectFunctions({
+        lambdaClient: new LambdaClient({ region, credentials: accountCreds }),
+        logsClient: new CloudWatchLogsClient({ region, credentials: accountCreds }),
+        region,
+        readMetric: (...metric) => getMetric(cw, ...metric),
+        cachePrefix: `lambda-memory:${account.id}:${region}`
+      });
+      resources = functions.map(fn => ({ service, region, ...fn }));
+      totalCostEstimate = resources.reduce((sum, r) => sum + r.monthlyCost, 0);
+      break;
+    }
+    case 'network': {
+      const ec2Client = new EC2Client({ region, credentials: accountCreds });
+      const groups = await Promise.all([
+        collectPublicAddresses(ec2Client, region),
+        collectNatGateways(ec2Client, cw, region),
+        collectLoadBalancers(accountCreds, cw, region)
+      ]);
+      resources = groups.flat().map(resource => ({ service, region, ...resource }));
+      totalCostEstimate = resources.reduce((sum, r) => sum + r.monthlyCost, 0);
+      break;
+    }
+    case 'snapshot':
+    case 'ami': {
+      const ec2Client = new EC2Client({ region, credentials: accountCreds });
+      const records = service === 'snapshot'
+        ? await collectSnapshots(ec2Client, account.id, region)
+        : await collectImages(ec2Client, account.id, region);
+      resources = records.map(resource => ({ service, region, ...resource }));
+      totalCostEstimate = resources.reduce((sum, r) => sum + r.monthlyCost, 0);
+      break;
+    }
+    default:
+      throw new Error('Invalid service');
+  }
+
+  // Tag every record with the account it came from and its owner, and apply the
+  // idle-detection policy (all at once, so the policy metrics are batched)
+  await Promise.all(resources.map(async resource => {
+    resource.accountId = account.id;
+    resource.accountName = account.name;
+    const owner = resolveOwner(resource);
+    resource.owner = owner ? owner.owner : null;
+    resource.ownerSource = owner ? owner.source : null;
+    await applyPolicy(resource, (...metric) => getMetric(cw, ...metric));
+  }));
+  
+  return { resources, totalCostEstimate };
+}
+
+const RESOURCE_PAGE = { DEFAULT_LIMIT: 100, MAX_LIMIT: 1000 };
+
+// Sortable fields and how to read them from a record
+const RESOURCE_SORT_FIELDS = {
+  monthlyCost: r => r.monthlyCost || 0,
+  accountId: r => r.accountId,
+  service: r => r.service,
+  region: r => r.region,
+  id: r => r.id || r.name,
+  type: r => r.type || r.runtime,
+  state: r => r.state,
+  usageStatus: r => r.usageStatus,
+  avgCpu: r => r.avgCpu,
+  owner: r => r.owner,
+  creation: r => r.creation ? new Date(r.creation).getTime() : null
+};
+
+function recordKey(resource) {
+  return `${resource.accountId}:${resource.service}:${resource.region}:${resource.id || resource.name}`;
+}
+
+// "ec2,rds" / ["ec2", "rds"] / "all" -> list, or null for all
+function queryList(value) {
+  if (value === undefined || value === '') return null;
+  const items = [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+  return items.length === 0 || items.includes('all') ? null : items;
+}
+
+function queryNumber(value, name) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`"${name}" must be a number`);
+  return number;
+}
+
+// Validate resource query parameters (/api/resources, report schedules and the
+// CLI); path parameters of the older /api/resources/:service/:region form take
+// the place of service and region
+function parseResourceQuery(query, { service, region, paged = true } = {}) {
+  const services = queryList(service !== undefined ? service : query.service);
+  const unknown = (services || []).filter(s => !SERVICES.includes(s));
+  if (unknown.length > 0) throw new Error(`Invalid service: ${unknown.join(', ')}`);
+
+  // tag=Key (present) or tag=Key=pattern, repeatable
+  const tags = [].concat(query.tag || []).map(tag => {
+    const [key, ...rest] = String(tag).split('=');
+    if (!key) throw new Error(`Invalid tag filter: ${tag}`);
+    return { key, pattern: rest.length > 0 ? rest.join('=') : '*' };
+  });
+
+  const sort = query.sort || 'monthlyCost';
+  if (!RESOURCE_SORT_FIELDS[sort]) throw new Error(`Cannot sort by ${sort}; use one of ${Object.keys(RESOURCE_SORT_FIELDS).join(', ')}`);
+  const order = query.order || (sort === 'monthlyCost' ? 'desc' : 'asc');
+  if (order !== 'asc' && order !== 'desc') throw new Error('"order" must be asc or desc');
+
+  // The older path form returns everything unless a page is asked for
+  const limitValue = queryNumber(query.limit, 'limit');
+  const wantsPage = paged || limitValue !== null || query.cursor !== undefined;
+  const limit = wantsPage ? Math.min(RESOURCE_PAGE.MAX_LIMIT, Math.max(1, limitValue || RESOURCE_PAGE.DEFAULT_LIMIT)) : null;
+
+  return {
+    accountId: query.account,
+    services: services || SERVICES,
+    regions: queryList(region !== undefined ? region : query.region),
+    statuses: queryList(query.status),
+    tags,
+    minCost: queryNumber(query.minCost, 'minCost'),
+    maxCost: queryNumber(query.maxCost, 'maxCost'),
+    search: query.q ? String(query.q).toLowerCase() : null,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    forceRefresh: query.refresh === 'true'
+  };
+}
+
+function encodeCursor(resource, sort) {
+  return Buffer.from(JSON.stringify([RESOURCE_SORT_FIELDS[sort](resource), recordKey(resource)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, key] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof key !== 'string') throw new Error();
+    return { value, key };
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+// Whether a resource falls under a status filter value: "running" and
+// "stopped" go by state (as in the status chart), "suppressed" selects
+// suppressed resources and anything else matches usageStatus
+function hasStatus(resource, status) {
+  if (status === 'running') return resource.state === 'running' || resource.state === 'available';
+  if (status === 'stopped') return resource.state === 'stopped';
+  if (status === 'suppressed') return Boolean(resource.suppressed);
+  return resource.usageStatus === status;
+}
+
+function matchesResourceQuery(resource, q) {
+  if (q.statuses && !q.statuses.some(status => hasStatus(resource, status))) return false;
+  const tags = resource.tags || {};
+  if (!q.tags.every(({ key, pattern }) => tags[key] !== undefined && matchesPattern(pattern, tags[key]))) return false;
+  const cost = resource.monthlyCost || 0;
+  if (q.minCost !== null && cost < q.minCost) return false;
+  if (q.maxCost !== null && cost > q.maxCost) return false;
+  if (q.search && !`${resource.id || ''} ${resource.name || ''}`.toLowerCase().includes(q.search)) return false;
+  return true;
+}
+
+// Missing values sort last in either direction; the record key breaks ties
+function compareForSort(sort, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  const read = RESOURCE_SORT_FIELDS[sort];
+  return (a, b) => compareSortValues(read(a), recordKey(a), read(b), recordKey(b), direction);
+}
+
+function compareSortValues(valueA, keyA, valueB, keyB, direction) {
+  const missingA = valueA === undefined || valueA === null;
+  const missingB = valueB === undefined || valueB === null;
+  if (missingA !== missingB) return missingA ? 1 : -1;
+  if (!missingA && valueA !== valueB) return (valueA < valueB ? -1 : 1) * direction;
+  return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+}
+
+// Totals over the whole filtered set (not just the page)
+function resourceAggregates(resources) {
+  const aggregates = {
+    count: resources.length,
+    totalCostEstimate: 0,
+    running: 0,
+    idle: 0,
+    byStatus: { running: 0, stopped: 0, idle: 0, underutilized: 0, used: 0 },
+    byService: {},
+    byRegion: {},
+    suppressed: 0,
+    bySuppression: {}
+  };
+  for (let r of resources) {
+    const cost = r.monthlyCost || 0;
+    aggregates.totalCostEstimate += cost;
+    if (r.state === 'running' || r.state === 'available' || r.usageStatus === 'used') aggregates.running += 1;
+    if (r.usageStatus === 'idle' || r.usageStatus === 'underutilized') aggregates.idle += 1;
+    for (let status of Object.keys(aggregates.byStatus)) {
+      if (hasStatus(r, status)) aggregates.byStatus[status] += 1;
+    }
+    for (let [group, value] of [[aggregates.byService, r.service], [aggregates.byRegion, r.region]]) {
+      group[value] = group[value] || { count: 0, monthlyCost: 0 };
+      group[value].count += 1;
+      group[value].monthlyCost += cost;
+    }
+    if (r.suppressed) {
+      aggregates.suppressed += 1;
+      aggregates.bySuppression[r.suppressed.id] = (aggregates.bySuppression[r.suppressed.id] || 0) + 1;
+    }
+  }
+  return aggregates;
+}
+
+// Collect resources for the given accounts, regions (null = every enabled
+// region) and services. Parts that fail are returned in `errors`; `succeeded`
+// is false when nothing came back.
+async function loadResources({ accountId, services = SERVICES, regions = null, forceRefresh = false }) {
+  const accounts = await resolveAccounts(accountId);
+  const tasks = [];
+  const errors = [];
+
+  for (let account of accounts) {
+    let accountRegions;
+    try {
+      accountRegions = regions || await getAllRegions(account);
+    } catch (err) {
+      console.error(`Error listing regions for ${account.id}:`, err.message);
+      errors.push({ accountId: account.id, region: 'all', service: services.join(','), ...describeError(err) });
+      continue;
+    }
+    for (let r of accountRegions) {
+      for (let s of services) tasks.push({ account, region: r, service: s });
+    }
+  }
+
+  const outcomes = await runTasks(tasks, task => fetchServiceResources(task.account, task.service, task.region, forceRefresh), {
+    label: task => `${task.service} in ${task.account.id}/${task.region}`
+  });
+
+  let resources = [];
+  const cacheMetas = [];
+  for (let { task, ok, value, error } of outcomes) {
+    if (ok) {
+      resources = resources.concat(value.resources);
+      cacheMetas.push(value.cache);
+    } else {
+      console.error(`Error fetching ${task.service} in ${task.account.id}/${task.region}:`, error.message);
+      errors.push({ accountId: task.account.id, region: task.region, service: task.service, ...describeError(error) });
+    }
+  }
+  return { resources, errors, cacheMetas, succeeded: errors.length === 0 || outcomes.some(o => o.ok) };
+}
+
+// Filter, sort and page a resource list
+function queryResources(resources, q) {
+  const filtered = resources.filter(r => matchesResourceQuery(r, q)).sort(compareForSort(q.sort, q.order));
+  let start = 0;
+  if (q.cursor) {
+    const direction = q.order === 'desc' ? -1 : 1;
+    const read = RESOURCE_SORT_FIELDS[q.sort];
+    start = filtered.findIndex(r => compareSortValues(read(r), recordKey(r), q.cursor.value, q.cursor.key, direction) > 0);
+    if (start === -1) start = filtered.length;
+  }
+  const page = q.limit === null ? filtered.slice(start) : filtered.slice(start, start + q.limit);
+  const hasMore = start + page.length < filtered.length;
+  return {
+    resources: page,
+    total: filtered.length,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], q.sort) : null,
+    aggregates: resourceAggregates(filtered)
+  };
+}
+
+// One line describing a parsed resource query, for report headers
+function describeResourceQuery(q) {
+  const parts = [
+    `account: ${q.accountId || 'all'}`,
+    `services: ${q.services.length === SERVICES.length ? 'all' : q.services.join(', ')}`,
+    `regions: ${q.regions ? q.regions.join(', ') : 'all'}`
+  ];
+  if (q.statuses) parts.push(`status: ${q.statuses.join(', ')}`);
+  for (let { key, pattern } of q.tags) parts.push(`tag ${key}=${pattern}`);
+  if (q.minCost !== null) parts.push(`cost >= $${q.minCost}`);
+  if (q.maxCost !== null) parts.push(`cost <= $${q.maxCost}`);
+  if (q.search) parts.push(`search "${q.search}"`);
+  return parts.join('; ');
+}
+
+// Collect and summarise every resource matching a query. Unused resources that
+// are not suppressed count as potential savings.
+async function buildReport(q, { title = 'AWS resource report', top = 10 } = {}) {
+  const { resources, errors, succeeded } = await loadResources(q);
+  const matched = resources.filter(r => matchesResourceQuery(r, q)).sort(compareForSort(q.sort, q.order));
+  const unused = matched.filter(r => isUnused(r) && !r.suppressed);
+  const savings = unused.filter(r => r.monthlyCost > 0).sort((a, b) => b.monthlyCost - a.monthlyCost);
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    filters: describeResourceQuery(q),
+    resources: matched,
+    aggregates: resourceAggregates(matched),
+    unusedCount: unused.length,
+    potentialSavings: savings.reduce((sum, r) => sum + r.monthlyCost, 0),
+    topSavings: savings.slice(0, top),
+    errors,
+    succeeded
+  };
+}
+
+module.exports = {
+  SERVICES,
+  configureResources,
+  getMetric,
+  getMetricSeries,
+  fetchServiceResources,
+  parseResourceQuery,
+  loadResources,
+  queryResources,
+  buildReport
+};
@@ -0,0 +1,249 @@
+// S3 bucket analysis.
+//
+// listBuckets() lists an account's buckets with their regions in one pass, so
+// each region's collector analyses only its own buckets, once. analyzeBucket()
+// reads what the CloudWatch storage metrics do not show: lifecycle rules,
+// versioning and the bytes kept in noncurrent versions, incomplete multipart
+// uploads and whether request metrics are enabled. suggestBucketChanges() turns
+// those findings and the bytes per storage class into lifecycle/tiering changes
+// with an estimated monthly saving. Version and upload listings stop after
+// S3_VERSION_SCAN_PAGES pages and S3_MULTIPART_SCAN_UPLOADS uploads; figures
+// from a capped listing are lower bounds and flagged as incomplete.
+
+const {
+  ListBucketsCommand, GetBucketLocationCommand, GetBucketLifecycleConfigurationCommand, GetBucketVersioningCommand,
+  ListMultipartUploadsCommand, ListPartsCommand, ListObjectVersionsCommand, ListBucketMetricsConfigurationsCommand
+} = require('@aws-sdk/client-s3');
+const { sendAws, mapPool, collectorSettings } = require('./collector');
+const { priceS3Storage, priceS3Monitoring } = require('./pricing');
+
+const settings = {
+  versionScanPages: parseInt(process.env.S3_VERSION_SCAN_PAGES, 10) || 10,
+  multipartScanUploads: parseInt(process.env.S3_MULTIPART_SCAN_UPLOADS, 10) || 100,
+  // Buckets with less Standard storage than this get no tiering suggestion
+  tieringMinGB: parseFloat(process.env.S3_TIERING_MIN_GB) || 100,
+  // Uploads started longer ago than this count as incomplete
+  staleUploadDays: 7,
+  noncurrentVersionDays: 30
+};
+
+const GB = 1024 ** 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIST_BUCKETS_PAGE = 1000;
+
+// S3 storage classes mapped to CloudWatch BucketSizeBytes storage types
+const STORAGE_CLASS_TYPES = {
+  STANDARD: 'StandardStorage',
+  INTELLIGENT_TIERING: 'IntelligentTieringFAStorage',
+  STANDARD_IA: 'StandardIAStorage',
+  ONEZONE_IA: 'OneZoneIAStorage',
+  REDUCED_REDUNDANCY: 'ReducedRedundancyStorage',
+  GLACIER_IR: 'GlacierInstantRetrievalStorage',
+  GLACIER: 'GlacierStorage',
+  DEEP_ARCHIVE: 'DeepArchiveStorage'
+};
+
+// Region of a bucket from GetBucketLocation, or null when it is gone
+async function bucketLocation(s3Client, name) {
+  try {
+    const data = await sendAws(s3Client, new GetBucketLocationCommand({ Bucket: name }));
+    // us-east-1 buckets have no location constraint; "EU" is the legacy name of eu-west-1
+    return data.LocationConstraint === 'EU' ? 'eu-west-1' : data.LocationConstraint || 'us-east-1';
+  } catch (err) {
+    if (err.name !== 'NoSuchBucket') console.error(`Error reading location of bucket ${name}:`, err.message);
+    return null;
+  }
+}
+
+// Every bucket of the account as { name, creationDate, region }. ListBuckets
+// reports the region of each bucket; GetBucketLocation is only called for
+// buckets it leaves out.
+async function listBuckets(s3Client) {
+  const buckets = [];
+  let token;
+  do {
+    const data = await sendAws(s3Client, new ListBucketsCommand({ MaxBuckets: LIST_BUCKETS_PAGE, ContinuationToken: token }));
+    buckets.push(...(data.Buckets || []));
+    token = data.ContinuationToken;
+  } while (token);
+
+  return mapPool(buckets, collectorSettings().resourceConcurrency, async bucket => ({
+    name: bucket.Name,
+    creationDate: bucket.CreationDate,
+    region: bucket.BucketRegion || await bucketLocation(s3Client, bucket.Name)
+  }));
+}
+
+// Enabled lifecycle rules and the gaps this analysis looks for. Rules scoped
+// to a prefix or tag count as covering the bucket.
+async function lifecycleSummary(s3Client, bucket) {
+  let rules = [];
+  try {
+    rules = (await sendAws(s3Client, new GetBucketLifecycleConfigurationCommand({ Bucket: bucket }))).Rules || [];
+  } catch (err) {
+    if (err.name !== 'NoSuchLifecycleConfiguration') throw err;
+  }
+  const enabled = rules.filter(rule => rule.Status === 'Enabled');
+  return {
+    rules: enabled.length,
+    transitions: enabled.some(rule => (rule.Transitions || []).length > 0),
+    expiration: enabled.some(rule => Boolean(rule.Expiration)),
+    noncurrentExpiration: enabled.some(rule => Boolean(rule.NoncurrentVersionExpiration) ||
+      (rule.NoncurrentVersionTransitions || []).length > 0),
+    abortIncompleteUploads: enabled.some(rule => Boolean(rule.AbortIncompleteMultipartUpload))
+  };
+}
+
+// Multipart uploads started more than staleUploadDays ago, and the bytes
+// their uploaded parts hold
+async function incompleteUploads(s3Client, bucket) {
+  const cutoff = Date.now() - settings.staleUploadDays * DAY_MS;
+  const stale = [];
+  let keyMarker, uploadIdMarker, truncated;
+  do {
+    const data = await sendAws(s3Client, new ListMultipartUploadsCommand({
+      Bucket: bucket,
+      KeyMarker: keyMarker,
+      UploadIdMarker: uploadIdMarker
+    }));
+    stale.push(...(data.Uploads || []).filter(upload => new Date(upload.Initiated).getTime() < cutoff));
+    keyMarker = data.NextKeyMarker;
+    uploadIdMarker = data.NextUploadIdMarker;
+    truncated = Boolean(data.IsTruncated);
+  } while (truncated && stale.length < settings.multipartScanUploads);
+
+  let complete = !truncated && stale.length <= settings.multipartScanUploads;
+  const sizes = await mapPool(stale.slice(0, settings.multipartScanUploads), collectorSettings().resourceConcurrency, async upload => {
+    const data = await sendAws(s3Client, new ListPartsCommand({ Bucket: bucket, Key: upload.Key, UploadId: upload.UploadId }));
+    if (data.IsTruncated) complete = false;
+    return (data.Parts || []).reduce((sum, part) => sum + (part.Size || 0), 0);
+  });
+  return {
+    count: stale.length,
+    bytes: sizes.reduce((a, b) => a + b, 0),
+    oldest: stale.reduce((oldest, upload) => (!oldest || upload.Initiated < oldest ? upload.Initiated : oldest), null),
+    complete
+  };
+}
+
+// Noncurrent versions and delete markers of a versioned bucket, with the
+// noncurrent bytes per CloudWatch storage type
+async function noncurrentVersions(s3Client, bucket) {
+  const bytesByStorageType = {};
+  let count = 0;
+  let deleteMarkers = 0;
+  let pages = 0;
+  let keyMarker, versionIdMarker, truncated;
+  do {
+    const data = await sendAws(s3Client, new ListObjectVersionsCommand({
+      Bucket: bucket,
+      KeyMarker: keyMarker,
+      VersionIdMarker: versionIdMarker
+    }));
+    for (let version of data.Versions || []) {
+      if (version.IsLatest) continue;
+      const storageType = STORAGE_CLASS_TYPES[version.StorageClass] || 'StandardStorage';
+      bytesByStorageType[storageType] = (bytesByStorageType[storageType] || 0) + (version.Size || 0);
+      count += 1;
+    }
+    deleteMarkers += (data.DeleteMarkers || []).length;
+    keyMarker = data.NextKeyMarker;
+    versionIdMarker = data.NextVersionIdMarker;
+    truncated = Boolean(data.IsTruncated);
+    pages += 1;
+  } while (truncated && pages < settings.versionScanPages);
+
+  const bytes = Object.values(bytesByStorageType).reduce((a, b) => a + b, 0);
+  return { count, bytes, bytesByStorageType, deleteMarkers, complete: !truncated };
+}
+
+// Id of a request metrics configuration covering the whole bucket, or null
+async function requestMetricsFilter(s3Client, bucket) {
+  let token;
+  do {
+    const data = await sendAws(s3Client, new ListBucketMetricsConfigurationsCommand({ Bucket: bucket, ContinuationToken: token }));
+    const wholeBucket = (data.MetricsConfigurationList || []).find(config => !config.Filter);
+    if (wholeBucket) return wholeBucket.Id;
+    token = data.NextContinuationToken;
+  } while (token);
+  return null;
+}
+
+// Analyse one bucket with a client for its region. A part that fails (usually
+// AccessDenied) is left null and listed in `errors` instead of failing the bucket.
+async function analyzeBucket(s3Client, bucket) {
+  const errors = [];
+  const attempt = (part, fn) => fn().catch(err => {
+    errors.push(`${part}: ${err.name || err.message}`);
+    return null;
+  });
+
+  const [lifecycle, versioning, uploads, metricsFilter] = await Promise.all([
+    attempt('lifecycle', () => lifecycleSummary(s3Client, bucket)),
+    attempt('versioning', async () => (await sendAws(s3Client, new GetBucketVersioningCommand({ Bucket: bucket }))).Status || 'Disabled'),
+    attempt('multipart uploads', () => incompleteUploads(s3Client, bucket)),
+    attempt('request metrics', () => requestMetricsFilter(s3Client, bucket))
+  ]);
+  const versions = versioning && versioning !== 'Disabled'
+    ? await attempt('versions', () => noncurrentVersions(s3Client, bucket))
+    : null;
+  return { lifecycle, versioning, uploads, versions, requestMetricsFilter: metricsFilter, errors };
+}
+
+// Lifecycle/tiering changes for a bucket, each with its estimated monthly
+// saving. Gaps are only reported when the lifecycle configuration was readable.
+async function suggestBucketChanges({ region, bytesByStorageType, numObjects, analysis }) {
+  const { lifecycle, versions, uploads } = analysis;
+  if (!lifecycle) return [];
+  const suggestions = [];
+
+  if (versions && versions.count > 0 && !lifecycle.noncurrentExpiration) {
+    const price = await priceS3Storage({ region, bytesByStorageType: versions.bytesByStorageType });
+    suggestions.push({
+      action: 'expire-noncurrent-versions',
+      description: `Expire noncurrent versions after ${settings.noncurrentVersionDays} days ` +
+        `(${versions.count}${versions.complete ? '' : '+'} versions, ${(versions.bytes / GB).toFixed(2)} GB)`,
+      estimatedSaving: price.monthly
+    });
+  }
+
+  if (uploads && uploads.count > 0 && !lifecycle.abortIncompleteUploads) {
+    const price = await priceS3Storage({ region, bytesByStorageType: { StandardStorage: uploads.bytes } });
+    suggestions.push({
+      action: 'abort-incomplete-uploads',
+      description: `Abort incomplete multipart uploads after ${settings.staleUploadDays} days ` +
+        `(${uploads.count} uploads, ${(uploads.bytes / GB).toFixed(2)} GB)`,
+      estimatedSaving: price.monthly
+    });
+  }
+
+  // Noncurrent Standard bytes are already covered by the expiry suggestion
+  const totalBytes = Object.values(bytesByStorageType).reduce((a, b) => a + b, 0);
+  const standardBytes = Math.max(0, (bytesByStorageType.StandardStorage || 0) -
+    ((versions && versions.bytesByStorageType.StandardStorage) || 0));
+  if (!lifecycle.transitions && standardBytes / GB >= settings.tieringMinGB) {
+    const objects = totalBytes > 0 ? Math.round(numObjects * standardBytes / totalBytes) : 0;
+    const [standard, infrequent, monitoring] = await Promise.all([
+      priceS3Storage({ region, bytesByStorageType: { StandardStorage: standardBytes } }),
+      priceS3Storage({ region, bytesByStorageType: { IntelligentTieringIAStorage: standardBytes } }),
+      priceS3Monitoring({ region, objects })
+    ]);
+    const saving = standard.monthly - infrequent.monthly - monitoring.monthly;
+    if (saving > 0) {
+      suggestions.push({
+        action: 'intelligent-tiering',
+        description: `Transition Standard objects to Intelligent-Tiering (${(standardBytes / GB).toFixed(2)} GB; ` +
+          'the saving assumes they go unread for 30 days and move to its Infrequent Access tier)',
+        estimatedSaving: saving
+      });
+    }
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  listBuckets,
+  analyzeBucket,
+  suggestBucketChanges
+};
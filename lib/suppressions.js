@@ -0,0 +1,143 @@
+// Suppressions: resources that are idle on purpose (DR standbys, golden
+// images, archive buckets) and should not be reported.
+//
+// A suppression matches resources by any of accountId, service, region, id
+// (resource id or name) and tags, where values are patterns with "*"
+// wildcards, and records who added it and why. Suppressed resources are still
+// listed but left out of scan results and notifications. A suppression with
+// an expiresAt date is a snooze: once it passes the resources are reported
+// again, and the entry is dropped from <DATA_DIR>/suppressions.json the next
+// time the list is written.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { matchesPattern } = require('./policy');
+
+const settings = {
+  file: path.join(__dirname, '..', 'data', 'suppressions.json')
+};
+
+const MATCH_FIELDS = ['accountId', 'service', 'region', 'id'];
+
+// Override defaults (file location from the server)
+function configureSuppressions(options) {
+  Object.assign(settings, options);
+}
+
+function readSuppressions() {
+  try {
+    return JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function isActive(entry, now = Date.now()) {
+  return !entry.expiresAt || new Date(entry.expiresAt).getTime() > now;
+}
+
+// Expired snoozes are dropped whenever the list is written
+function writeSuppressions(entries) {
+  fs.writeFileSync(settings.file, JSON.stringify(entries.filter(entry => isActive(entry)), null, 2));
+}
+
+function validateSuppression(input) {
+  const errors = [];
+  const match = input && input.match;
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    errors.push('"match" must be an object');
+  } else {
+    for (const field of MATCH_FIELDS) {
+      if (match[field] !== undefined && (typeof match[field] !== 'string' || !match[field])) errors.push(`"match.${field}" must be a pattern string`);
+    }
+    if (match.tags !== undefined && (typeof match.tags !== 'object' || Array.isArray(match.tags) ||
+        Object.values(match.tags).some(v => typeof v !== 'string'))) {
+      errors.push('"match.tags" must be an object of key/pattern pairs');
+    }
+    const unknown = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field) && field !== 'tags');
+    if (unknown.length > 0) errors.push(`Unknown match fields: ${unknown.join(', ')}`);
+    if (!MATCH_FIELDS.some(field => match[field]) && Object.keys(match.tags || {}).length === 0) {
+      errors.push('"match" needs at least one of accountId, service, region, id or tags');
+    }
+  }
+  if (!input || typeof input.reason !== 'string' || !input.reason.trim()) errors.push('"reason" is required');
+  if (input && input.expiresAt !== undefined && input.expiresAt !== null) {
+    const expiresAt = new Date(input.expiresAt);
+    if (isNaN(expiresAt.getTime())) errors.push('"expiresAt" must be a date');
+    else if (expiresAt.getTime() <= Date.now()) errors.push('"expiresAt" must be in the future');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid suppression: ${errors.join('; ')}`);
+  }
+}
+
+// Active suppressions (expired snoozes only with includeExpired)
+function listSuppressions({ includeExpired = false } = {}) {
+  const now = Date.now();
+  return readSuppressions()
+    .filter(entry => includeExpired || isActive(entry, now))
+    .map(entry => ({ ...entry, expired: !isActive(entry, now) }));
+}
+
+function addSuppression(input, author) {
+  validateSuppression(input);
+  const entry = {
+    id: crypto.randomUUID(),
+    match: input.match,
+    reason: input.reason.trim(),
+    author,
+    createdAt: new Date().toISOString(),
+    expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null
+  };
+  writeSuppressions(readSuppressions().concat(entry));
+  return entry;
+}
+
+function removeSuppression(id) {
+  const entries = readSuppressions();
+  const remaining = entries.filter(entry => entry.id !== id);
+  if (remaining.length === entries.length) throw new Error(`Unknown suppression: ${id}`);
+  writeSuppressions(remaining);
+}
+
+function suppressionMatches(entry, resource) {
+  const { match } = entry;
+  const tags = resource.tags || {};
+  return (!match.accountId || matchesPattern(match.accountId, resource.accountId)) &&
+    (!match.service || matchesPattern(match.service, resource.service)) &&
+    (!match.region || matchesPattern(match.region, resource.region)) &&
+    (!match.id || matchesPattern(match.id, resource.id || resource.name)) &&
+    Object.entries(match.tags || {}).every(([key, pattern]) => tags[key] !== undefined && matchesPattern(pattern, tags[key]));
+}
+
+// Copy each resource with a `suppressed` field: the first active suppression
+// that matches it ({ id, reason, author, expiresAt }), or null
+function annotateSuppressions(resources) {
+  const active = listSuppressions();
+  return resources.map(resource => {
+    const entry = active.find(e => suppressionMatches(e, resource));
+    return {
+      ...resource,
+      suppressed: entry ? { id: entry.id, reason: entry.reason, author: entry.author, expiresAt: entry.expiresAt } : null
+    };
+  });
+}
+
+// Resources no active suppression matches
+function withoutSuppressed(resources) {
+  const active = listSuppressions();
+  return resources.filter(resource => !active.some(e => suppressionMatches(e, resource)));
+}
+
+module.exports = {
+  configureSuppressions,
+  listSuppressions,
+  addSuppression,
+  removeSuppression,
+  suppressionMatches,
+  annotateSuppressions,
+  withoutSuppressed
+};
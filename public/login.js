@@ -0,0 +1,42 @@
+function showError(message) {
+  const alert = document.getElementById('loginError');
+  alert.textContent = message;
+  alert.classList.remove('d-none');
+}
+
+// Show the login methods the server has enabled
+async function loadMethods() {
+  const response = await fetch('/api/auth/methods');
+  const methods = await response.json();
+  if (methods.disabled) {
+    window.location.href = '/';
+    return;
+  }
+  document.getElementById('oidcLogin').classList.toggle('d-none', !methods.oidc);
+  document.getElementById('samlLogin').classList.toggle('d-none', !methods.saml);
+  document.getElementById('localLogin').classList.toggle('d-none', !methods.local);
+}
+
+async function login(event) {
+  event.preventDefault();
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('username').value,
+        password: document.getElementById('password').value
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    window.location.href = '/';
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+const error = new URLSearchParams(window.location.search).get('error');
+if (error) showError(error);
+document.getElementById('localLogin').addEventListener('submit', login);
+loadMethods().catch(err => showError('Could not load login options: ' + err.message));
@@ -1,5 +1,42 @@
 let chartInstance = null;
+let trendChartInstance = null;
 let lastUnusedResources = [];
+let lastResources = [];
+let lastAggregates = null;
+let currentUser = null;
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Whether the signed-in user has at least the given role
+function canUse(role) {
+  return Boolean(currentUser) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+// fetch() that sends the user to the login page when the session has expired
+async function apiFetch(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401) {
+    window.location.href = '/login.html';
+    throw new Error('Session expired');
+  }
+  return response;
+}
+
+// Load the signed-in user and hide controls their role cannot use
+async function loadSession() {
+  const response = await apiFetch('/api/auth/me');
+  currentUser = await response.json();
+  document.getElementById('userInfo').textContent = `${currentUser.name} (${currentUser.role})`;
+  document.getElementById('logoutBtn').classList.toggle('d-none', currentUser.provider === 'none');
+  document.querySelectorAll('[data-role]').forEach(el => {
+    el.classList.toggle('d-none', !canUse(el.dataset.role));
+  });
+}
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  window.location.href = '/login.html';
+}
 
 // Debounce function to limit rapid API calls
 function debounce(func, wait) {
@@ -20,10 +57,66 @@ function toggleLoading(show) {
   loadingDiv.classList.toggle('d-none', !show);
 }
 
+// Remediation action offered for each service in the unused table
+const remediationActions = {
+  ec2: { action: 'stop-instance', label: 'Stop', applies: r => r.state === 'running' },
+  ebs: { action: 'snapshot-delete-volume', label: 'Snapshot & Delete', applies: r => r.state === 'available' },
+  rds: { action: 'stop-db-instance', label: 'Stop', applies: r => r.state === 'available' && r.type !== 'cluster' && !r.clusterId },
+  lambda: { action: 'delete-lambda-version', label: 'Delete Version', applies: () => true }
+};
+
+// POST JSON and throw on error responses
+async function postJson(url, body = {}) {
+  const response = await apiFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || response.statusText);
+  return data;
+}
+
+// Escape a value for interpolation into innerHTML markup
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Tooltip listing the price dimensions behind a monthly cost
+function costTitle(r) {
+  return (r.costBreakdown || [])
+    .map(c => `${c.description}: ${c.quantity.toFixed(2)} ${c.unit} x $${c.rate} = $${c.cost.toFixed(2)} (${c.source})`)
+    .concat((r.suggestions || []).map(s => `Suggested: ${s.description}, saves ~$${s.estimatedSaving.toFixed(2)}/mo`))
+    .join('\n');
+}
+
+// Unique row key for a resource record
+function resourceKey(r) {
+  return `${r.accountId}-${r.service}-${r.region}-${r.id || r.name}`;
+}
+
+async function fetchAccounts() {
+  try {
+    const response = await apiFetch('/api/accounts');
+    const accounts = await response.json();
+    const accountSelect = document.getElementById('accountSelect');
+    accountSelect.innerHTML = '<option value="all">All</option>';
+    accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.name === account.id ? account.id : `${account.name} (${account.id})`;
+      accountSelect.appendChild(option);
+    });
+  } catch (err) {
+    console.error('Error fetching accounts:', err);
+  }
+}
+
 async function fetchRegions() {
   toggleLoading(true);
+  const account = document.getElementById('accountSelect').value;
   try {
-    const response = await fetch('/api/regions');
+    const response = await apiFetch(`/api/regions?account=${encodeURIComponent(account)}`);
     const regions = await response.json();
     const regionSelect = document.getElementById('regionSelect');
     regionSelect.innerHTML = '<option value="all">All</option>';
@@ -40,38 +133,66 @@ async function fetchRegions() {
   }
 }
 
-async function fetchResources(forceRefresh = false) {
-  toggleLoading(true);
-  const service = document.getElementById('serviceSelect').value;
-  const region = document.getElementById('regionSelect').value;
-  const status = document.getElementById('statusSelect').value;
+// Sort order and paging of the resources table. `cursors` holds the cursor of
+// every page before the current one, so Previous can walk back.
+const resourceQuery = { sort: 'monthlyCost', order: 'desc', limit: 50, cursor: null, cursors: [], nextCursor: null };
 
-  let url = '/api/resources/';
-  if (service === 'all') {
-    url += 'all/all';
-  } else {
-    url += `${service}/${region}`;
+// Query string for the current filters, sorted as the table is
+function resourceQueryParams() {
+  const params = new URLSearchParams({ account: document.getElementById('accountSelect').value });
+  for (let [name, id] of [['service', 'serviceSelect'], ['region', 'regionSelect'], ['status', 'statusSelect']]) {
+    const value = document.getElementById(id).value;
+    if (value !== 'all') params.set(name, value);
   }
-  
-  if (forceRefresh) {
-    url += '?refresh=true';
+  const search = document.getElementById('searchInput').value.trim();
+  if (search) params.set('q', search);
+  // "Env=prod, Team=data-*" -> tag=Env=prod&tag=Team=data-*
+  document.getElementById('tagFilterInput').value.split(',').map(t => t.trim()).filter(Boolean)
+    .forEach(tag => params.append('tag', tag));
+  for (let [name, id] of [['minCost', 'minCostInput'], ['maxCost', 'maxCostInput']]) {
+    const value = document.getElementById(id).value;
+    if (value !== '') params.set(name, value);
   }
+  params.set('sort', resourceQuery.sort);
+  params.set('order', resourceQuery.order);
+  return params;
+}
+
+// Back to the first page (after the filters or sort order change)
+function resetResourcePaging() {
+  resourceQuery.cursor = null;
+  resourceQuery.cursors = [];
+}
+
+async function fetchResources(forceRefresh = false) {
+  toggleLoading(true);
+  const params = resourceQueryParams();
+  params.set('limit', resourceQuery.limit);
+  if (resourceQuery.cursor) params.set('cursor', resourceQuery.cursor);
+  if (forceRefresh) params.set('refresh', 'true');
 
   try {
-    const response = await fetch(url);
+    const response = await apiFetch(`/api/resources?${params}`);
     const data = await response.json();
-    let resources = data.resources || [];
-    if (status !== 'all') {
-      resources = resources.filter(r => r.usageStatus === status);
-    }
+    if (!response.ok && !data.resources) throw new Error(data.error || response.statusText);
+    lastResources = data.resources || [];
+    lastAggregates = data.aggregates || null;
+    resourceQuery.nextCursor = data.nextCursor || null;
 
-    updateTable(resources);
-    updateSummary(data.resources, data.totalCostEstimate);
-    updateChart(resources);
+    updateTable(lastResources);
+    updatePaging(data.total || 0);
+    updateSortIndicators();
+    if (lastAggregates) {
+      updateSummary(lastAggregates, data.totalCostEstimate);
+      updateChart(lastAggregates.byStatus);
+    }
+    updateResourceErrors(data.errors || []);
+    updateSuppressionsTable();
     
     // Show cache hit indicator
     if (!forceRefresh && data.fromCache) {
-      showToast('Data loaded from cache', 'info');
+      const refreshing = data.cache.stale > 0 ? '; refreshing in the background' : '';
+      showToast(`Data loaded from cache (${formatAge(data.cache.ageSeconds)} old${refreshing})`, 'info');
     }
   } catch (err) {
     console.error('Error fetching resources:', err);
@@ -81,6 +202,78 @@ async function fetchResources(forceRefresh = false) {
   }
 }
 
+function updatePaging(total) {
+  const offset = resourceQuery.cursors.length * resourceQuery.limit;
+  document.getElementById('resourcePageInfo').textContent = total === 0
+    ? 'No matching resources'
+    : `Showing ${offset + 1}-${offset + lastResources.length} of ${total}`;
+  document.getElementById('prevPageBtn').disabled = resourceQuery.cursors.length === 0;
+  document.getElementById('nextPageBtn').disabled = !resourceQuery.nextCursor;
+}
+
+function nextPage() {
+  if (!resourceQuery.nextCursor) return;
+  resourceQuery.cursors.push(resourceQuery.cursor);
+  resourceQuery.cursor = resourceQuery.nextCursor;
+  fetchResources(false);
+}
+
+function previousPage() {
+  if (resourceQuery.cursors.length === 0) return;
+  resourceQuery.cursor = resourceQuery.cursors.pop();
+  fetchResources(false);
+}
+
+// Clicking a header sorts by it; clicking it again flips the direction
+function sortResources(field) {
+  if (resourceQuery.sort === field) {
+    resourceQuery.order = resourceQuery.order === 'asc' ? 'desc' : 'asc';
+  } else {
+    resourceQuery.sort = field;
+    resourceQuery.order = field === 'monthlyCost' ? 'desc' : 'asc';
+  }
+  resetResourcePaging();
+  fetchResources(false);
+}
+
+function updateSortIndicators() {
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.querySelector('.sort-indicator')?.remove();
+    if (th.dataset.sort !== resourceQuery.sort) return;
+    const indicator = document.createElement('span');
+    indicator.className = 'sort-indicator';
+    indicator.textContent = resourceQuery.order === 'asc' ? ' \u25B2' : ' \u25BC';
+    th.appendChild(indicator);
+  });
+}
+
+// List the regions/services that could not be fetched, so partial results are obvious
+function updateResourceErrors(errors) {
+  const alert = document.getElementById('resourceErrors');
+  alert.classList.toggle('d-none', errors.length === 0);
+  alert.innerHTML = '';
+  if (errors.length === 0) return;
+
+  const heading = document.createElement('strong');
+  heading.textContent = `${errors.length} region/service part(s) could not be loaded; the results below are incomplete.`;
+  const list = document.createElement('ul');
+  list.className = 'mb-0';
+  for (let error of errors) {
+    const item = document.createElement('li');
+    const throttled = error.throttled ? ' (throttled)' : '';
+    item.textContent = `${error.service} in ${error.accountId}/${error.region}: ${error.code}${throttled} - ${error.message}`;
+    list.appendChild(item);
+  }
+  alert.append(heading, list);
+}
+
+// "45s", "12m", "3h"
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${Math.round(seconds / 3600)}h`;
+}
+
 // Toast notification function
 function showToast(message, type = 'info') {
   const toastContainer = document.getElementById('toast-container');
@@ -114,69 +307,178 @@ function showToast(message, type = 'info') {
   toastEl.addEventListener('hidden.bs.toast', () => toastEl.remove());
 }
 
-// Incremental table update to reduce flickering
+// Markup last rendered into each resources table row
+const renderedRows = new WeakMap();
+
+// Incremental table update to reduce flickering: rows are only rewritten when
+// their content changed, and moved only when the order changed
 function updateTable(resources) {
   const tbody = document.getElementById('resourcesTable');
   const existingRows = Array.from(tbody.querySelectorAll('tr'));
-  const resourceKeys = resources.map(r => `${r.service}-${r.region}-${r.id || r.name}`);
+  const resourceKeys = new Set(resources.map(resourceKey));
 
   // Remove rows for resources no longer present
   existingRows.forEach(row => {
     const key = row.dataset.key;
-    if (!resourceKeys.includes(key)) {
+    if (!resourceKeys.has(key)) {
+      row.dataset.key = '';
       row.style.opacity = '0';
       setTimeout(() => row.remove(), 200);
     }
   });
 
-  // Add or update rows
+  // Add or update rows, in the order the server sorted them
+  const rowsByKey = new Map(existingRows.filter(row => row.dataset.key).map(row => [row.dataset.key, row]));
+  let previous = null;
   resources.forEach(r => {
-    const key = `${r.service}-${r.region}-${r.id || r.name}`;
-    let row = tbody.querySelector(`tr[data-key="${key}"]`);
+    const key = resourceKey(r);
+    let row = rowsByKey.get(key);
     if (!row) {
       row = document.createElement('tr');
       row.dataset.key = key;
       row.style.opacity = '0';
-      tbody.appendChild(row);
       setTimeout(() => { row.style.opacity = '1'; }, 10);
     }
-    row.innerHTML = `
-      <td>${r.service || ''}</td>
-      <td>${r.region || ''}</td>
-      <td>${r.id || r.name || ''}</td>
-      <td>${r.type || r.runtime || ''}</td>
-      <td>${r.state || ''}</td>
-      <td>${r.usageStatus || ''}</td>
+    const expected = previous ? previous.nextSibling : tbody.firstChild;
+    if (row !== expected) tbody.insertBefore(row, expected);
+    previous = row;
+
+    const html = `
+      <td>${escapeHtml(r.accountName || r.accountId)}</td>
+      <td>${escapeHtml(r.service)}</td>
+      <td>${escapeHtml(r.region)}</td>
+      <td>${escapeHtml(r.id || r.name)}</td>
+      <td>${escapeHtml(r.type || r.runtime)}</td>
+      <td>${escapeHtml(r.state)}</td>
+      <td title="${r.policyRule ? `Rule: ${escapeHtml(r.policyRule)}` : ''}">${escapeHtml(r.usageStatus)}</td>
       <td>${r.avgCpu ? r.avgCpu.toFixed(2) : r.invocations !== undefined ? r.invocations : r.numObjects !== undefined ? r.numObjects : '-'}</td>
-      <td>${r.monthlyCost ? r.monthlyCost.toFixed(2) : '0.00'}</td>
+      <td title="${escapeHtml(costTitle(r))}">${r.monthlyCost ? r.monthlyCost.toFixed(2) : '0.00'}</td>
     `;
+    const suppression = r.suppressed ? JSON.stringify(r.suppressed) : '';
+    if (renderedRows.get(row) === html + suppression) return;
+    renderedRows.set(row, html + suppression);
+    row.innerHTML = html;
+    if (r.suppressed) row.children[6].appendChild(suppressedBadge(r.suppressed));
   });
 }
 
+// Start a scan job (or follow the one already running) and stream its progress
 async function scanUnused() {
-  toggleLoading(true);
+  const account = document.getElementById('accountSelect').value;
   try {
-    const response = await fetch('/api/scan');
+    const response = await apiFetch('/api/scans', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ account })
+    });
     const data = await response.json();
-    lastUnusedResources = data.unusedResources || [];
-    updateUnusedTable(lastUnusedResources);
-    showToast(`Found ${lastUnusedResources.length} unused resources`, 'info');
+    if (response.status === 409) {
+      showToast('A scan is already running; showing its progress', 'info');
+      followScan(data.job.id);
+    } else if (!response.ok) {
+      throw new Error(data.error || response.statusText);
+    } else {
+      followScan(data.id);
+    }
   } catch (err) {
     console.error('Error scanning unused resources:', err);
     showToast('Error scanning resources: ' + err.message, 'danger');
-  } finally {
-    toggleLoading(false);
   }
 }
 
+function updateScanProgress({ completed, total, current }) {
+  const pct = total ? Math.round((completed / total) * 100) : 0;
+  const bar = document.getElementById('scanProgressBar');
+  bar.style.width = `${pct}%`;
+  bar.textContent = `${pct}%`;
+  document.getElementById('scanStatus').textContent = current
+    ? `Scanning ${current.service.toUpperCase()} in ${current.accountId}/${current.region} (${completed}/${total})`
+    : `${completed}/${total} steps`;
+}
+
+function followScan(jobId) {
+  let unused = [];
+  let errorCount = 0;
+  let state = { completed: 0, total: 0, current: null };
+  const progress = document.getElementById('scanProgress');
+  const cancelBtn = document.getElementById('cancelScanBtn');
+  progress.classList.remove('d-none');
+  document.getElementById('scanBtn').disabled = true;
+  document.getElementById('scanErrors').textContent = '';
+  cancelBtn.disabled = false;
+  cancelBtn.onclick = async () => {
+    cancelBtn.disabled = true;
+    try {
+      await postJson(`/api/scans/${jobId}/cancel`);
+    } catch (err) {
+      showToast('Error cancelling scan: ' + err.message, 'danger');
+    }
+  };
+
+  // EventSource reconnects by itself; the "state" event then resyncs the results
+  const source = new EventSource(`/api/scans/${jobId}/events`);
+  const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+
+  // Sent on every (re)connect with the results so far
+  on('state', job => {
+    unused = job.unusedResources || [];
+    errorCount = job.errors.length;
+    state = job.progress;
+    updateScanProgress(state);
+    updateUnusedTable(unused);
+  });
+  on('plan', ({ total }) => {
+    state = { ...state, total };
+    updateScanProgress(state);
+  });
+  on('task', ({ accountId, region, service }) => {
+    state = { ...state, current: { accountId, region, service } };
+    updateScanProgress(state);
+  });
+  on('progress', ({ completed, total }) => {
+    state = { ...state, completed, total };
+    updateScanProgress(state);
+  });
+  on('resources', ({ unusedResources }) => {
+    unused = unused.concat(unusedResources);
+    updateUnusedTable(unused);
+  });
+  on('task-error', error => {
+    errorCount += 1;
+    document.getElementById('scanErrors').textContent = `${errorCount} step(s) failed; last: ${error.message}`;
+  });
+  on('cancelling', () => {
+    document.getElementById('scanStatus').textContent = 'Cancelling after the running steps...';
+  });
+  on('done', job => {
+    source.close();
+    progress.classList.add('d-none');
+    document.getElementById('scanBtn').disabled = false;
+    if (job.status === 'completed') {
+      lastUnusedResources = unused;
+      const failed = job.errors.length ? ` (${job.errors.length} errors)` : '';
+      showToast(`Found ${unused.length} unused resources${failed}`, job.errors.length ? 'warning' : 'info');
+      fetchTrends();
+    } else {
+      showToast(`Scan ${job.status}${job.errors.length ? ': ' + job.errors[job.errors.length - 1].message : ''}`, job.status === 'cancelled' ? 'info' : 'danger');
+    }
+  });
+}
+
 async function sendEmail() {
   toggleLoading(true);
   try {
-    const response = await fetch('/api/send-email');
+    const response = await apiFetch('/api/send-email');
     const result = await response.json();
-    showToast(result.message || 'Email sent successfully', 'success');
+    if (!response.ok) throw new Error(result.error || response.statusText);
+    const failed = (result.results || []).filter(r => r.status === 'failed');
+    if (failed.length > 0) {
+      showToast(`${result.message}; failed: ${failed.map(r => `${r.channel} (${r.error})`).join(', ')}`, 'warning');
+    } else {
+      showToast(result.message || 'Notification sent successfully', 'success');
+    }
   } catch (err) {
-    showToast('Error sending email: ' + err.message, 'danger');
+    showToast('Error sending notification: ' + err.message, 'danger');
   } finally {
     toggleLoading(false);
   }
@@ -186,7 +488,7 @@ async function clearCache() {
   if (confirm('Clear all cached data? This will force a fresh fetch from AWS on next load.')) {
     toggleLoading(true);
     try {
-      const response = await fetch('/api/clear-cache', { method: 'POST' });
+      const response = await apiFetch('/api/clear-cache', { method: 'POST' });
       const result = await response.json();
       showToast(result.message, 'success');
       // Refresh the current view
@@ -209,9 +511,11 @@ async function forceRefresh() {
 async function viewCacheStats() {
   toggleLoading(true);
   try {
-    const response = await fetch('/api/cache-stats');
+    const response = await apiFetch('/api/cache-stats');
     const stats = await response.json();
-    const statsMessage = `Total cached items: ${stats.totalKeys}\nRecent keys:\n${stats.keys.join('\n')}`;
+    const backend = stats.backend === 'redis' ? 'Redis' : `in-memory${stats.redisConnected ? '' : ' (Redis unavailable)'}`;
+    const statsMessage = `Backend: ${backend}\nTotal cached items: ${stats.totalKeys}\n` +
+      `Hits: ${stats.hits}, stale hits: ${stats.staleHits}, misses: ${stats.misses}\nSample keys:\n${stats.keys.join('\n')}`;
     alert(statsMessage);
   } catch (err) {
     console.error('Error fetching cache stats:', err);
@@ -224,7 +528,7 @@ async function viewCacheStats() {
 function updateUnusedTable(resources) {
   const tbody = document.getElementById('unusedResourcesTable');
   const existingRows = Array.from(tbody.querySelectorAll('tr'));
-  const resourceKeys = resources.map(r => `${r.service}-${r.region}-${r.id || r.name}`);
+  const resourceKeys = resources.map(resourceKey);
 
   existingRows.forEach(row => {
     const key = row.dataset.key;
@@ -235,8 +539,8 @@ function updateUnusedTable(resources) {
   });
 
   resources.forEach(r => {
-    const key = `${r.service}-${r.region}-${r.id || r.name}`;
-    let row = tbody.querySelector(`tr[data-key="${key}"]`);
+    const key = resourceKey(r);
+    let row = tbody.querySelector(`tr[data-key="${CSS.escape(key)}"]`);
     if (!row) {
       row = document.createElement('tr');
       row.dataset.key = key;
@@ -245,38 +549,244 @@ function updateUnusedTable(resources) {
       setTimeout(() => { row.style.opacity = '1'; }, 10);
     }
     row.innerHTML = `
-      <td>${r.service}</td>
-      <td>${r.region}</td>
-      <td>${r.id || r.name || ''}</td>
-      <td>${r.type || r.runtime || ''}</td>
-      <td>${r.state || ''}</td>
-      <td>${r.usageStatus || ''}</td>
+      <td>${escapeHtml(r.accountName || r.accountId)}</td>
+      <td>${escapeHtml(r.service)}</td>
+      <td>${escapeHtml(r.region)}</td>
+      <td>${escapeHtml(r.id || r.name)}</td>
+      <td>${escapeHtml(r.type || r.runtime)}</td>
+      <td>${escapeHtml(r.state)}</td>
+      <td title="${r.policyRule ? `Rule: ${escapeHtml(r.policyRule)}` : ''}">${escapeHtml(r.usageStatus)}</td>
       <td>${r.avgCpu ? r.avgCpu.toFixed(2) : r.invocations !== undefined ? r.invocations : r.numObjects !== undefined ? r.numObjects : '-'}</td>
-      <td>${r.monthlyCost ? r.monthlyCost.toFixed(2) : '0.00'}</td>
+      <td title="${escapeHtml(costTitle(r))}">${r.monthlyCost ? r.monthlyCost.toFixed(2) : '0.00'}</td>
+      <td></td>
     `;
+    const remediation = remediationActions[r.service];
+    if (remediation && remediation.applies(r) && canUse('operator')) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-sm btn-outline-danger';
+      button.textContent = remediation.label;
+      button.addEventListener('click', () => remediate(r, remediation.action));
+      row.lastElementChild.appendChild(button);
+    }
+    if (canUse('operator')) {
+      const snooze = document.createElement('button');
+      snooze.className = 'btn btn-sm btn-outline-secondary ms-1';
+      snooze.textContent = 'Snooze';
+      snooze.addEventListener('click', () => snoozeResource(r));
+      row.lastElementChild.appendChild(snooze);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Suppressions
+// ---------------------------------------------------------------------------
+
+let suppressions = [];
+
+function suppressedBadge(suppressed) {
+  const badge = document.createElement('span');
+  badge.className = 'badge bg-secondary ms-1';
+  badge.textContent = 'suppressed';
+  const until = suppressed.expiresAt ? ` until ${new Date(suppressed.expiresAt).toLocaleDateString()}` : '';
+  badge.title = `${suppressed.reason} (${suppressed.author}${until})`;
+  return badge;
+}
+
+// "service=ec2, id=dr-*, tag Purpose=dr"
+function suppressionTarget(match) {
+  const parts = ['accountId', 'service', 'region', 'id'].filter(f => match[f]).map(f => `${f}=${match[f]}`);
+  for (let [key, value] of Object.entries(match.tags || {})) parts.push(`tag ${key}=${value}`);
+  return parts.join(', ');
+}
+
+async function fetchSuppressions() {
+  try {
+    const response = await apiFetch('/api/suppressions');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    suppressions = data;
+    updateSuppressionsTable();
+  } catch (err) {
+    console.error('Error fetching suppressions:', err);
+    showToast('Error fetching suppressions: ' + err.message, 'danger');
+  }
+}
+
+function updateSuppressionsTable() {
+  const tbody = document.getElementById('suppressionsTable');
+  tbody.innerHTML = '';
+  suppressions.forEach(entry => {
+    const row = document.createElement('tr');
+    const matched = lastAggregates ? lastAggregates.bySuppression[entry.id] || 0 : 0;
+    const cells = [
+      suppressionTarget(entry.match),
+      String(matched),
+      entry.reason,
+      entry.author,
+      entry.expiresAt ? new Date(entry.expiresAt).toLocaleString() : 'Never',
+      ''
+    ];
+    for (let text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    if (canUse('operator')) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-sm btn-outline-danger';
+      button.textContent = 'Remove';
+      button.addEventListener('click', () => removeSuppression(entry));
+      row.lastElementChild.appendChild(button);
+    }
+    tbody.appendChild(row);
   });
 }
 
-function updateSummary(resources, totalCost) {
-  const total = resources.length;
-  const running = resources.filter(r => r.state === 'running' || r.state === 'available' || r.usageStatus === 'used').length;
-  const idle = resources.filter(r => r.usageStatus === 'idle' || r.usageStatus === 'underutilized').length;
+async function createSuppression(body) {
+  await postJson('/api/suppressions', body);
+  await fetchSuppressions();
+  // Suppression is applied when resources are read, so cached results pick it up
+  await fetchResources(false);
+}
+
+// Suppress one unused resource, optionally for a number of days
+async function snoozeResource(resource) {
+  const resourceId = resource.id || resource.name;
+  const reason = prompt(`Why is ${resourceId} idle on purpose?`);
+  if (!reason) return;
+  const days = prompt('Snooze for how many days? (leave empty to suppress until removed)');
+  if (days === null) return;
+  const expiresAt = days.trim() ? new Date(Date.now() + parseFloat(days) * 24 * 60 * 60 * 1000).toISOString() : null;
+  try {
+    await createSuppression({
+      match: { accountId: resource.accountId, service: resource.service, region: resource.region, id: resourceId },
+      reason,
+      expiresAt
+    });
+    lastUnusedResources = lastUnusedResources.filter(r => resourceKey(r) !== resourceKey(resource));
+    updateUnusedTable(lastUnusedResources);
+    showToast(`${resourceId} suppressed`, 'success');
+  } catch (err) {
+    showToast('Error suppressing resource: ' + err.message, 'danger');
+  }
+}
 
-  document.getElementById('totalResources').textContent = total;
-  document.getElementById('runningResources').textContent = running;
-  document.getElementById('idleResources').textContent = idle;
+// Suppress by pattern from the form in the Suppressed section
+async function submitSuppressionForm(event) {
+  event.preventDefault();
+  const value = id => document.getElementById(id).value.trim();
+  const match = {};
+  if (value('suppressService')) match.service = value('suppressService');
+  if (value('suppressId')) match.id = value('suppressId');
+  if (value('suppressTag')) {
+    const [key, ...rest] = value('suppressTag').split('=');
+    match.tags = { [key.trim()]: rest.join('=').trim() || '*' };
+  }
+  // The date input is a local calendar day; the snooze ends at the end of it
+  const expires = value('suppressExpires');
+  try {
+    await createSuppression({
+      match,
+      reason: value('suppressReason'),
+      expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null
+    });
+    event.target.reset();
+    showToast('Suppression added', 'success');
+  } catch (err) {
+    showToast('Error adding suppression: ' + err.message, 'danger');
+  }
+}
+
+async function removeSuppression(entry) {
+  if (!confirm(`Remove the suppression for ${suppressionTarget(entry.match)}? Matching resources will be reported again.`)) return;
+  try {
+    const response = await apiFetch(`/api/suppressions/${entry.id}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    await fetchSuppressions();
+    await fetchResources(false);
+    showToast('Suppression removed', 'success');
+  } catch (err) {
+    showToast('Error removing suppression: ' + err.message, 'danger');
+  }
+}
+
+const REMEDIATION_POLL_MS = 5000;
+
+// Dry-run, approve and execute a remediation action for one resource
+async function remediate(resource, action) {
+  const resourceId = resource.id || resource.name;
+  toggleLoading(true);
+  try {
+    const preview = await postJson('/api/remediations/preview', {
+      accountId: resource.accountId,
+      region: resource.region,
+      resourceId,
+      action
+    });
+    if (!preview.dryRun.permitted) {
+      showToast(`Dry run failed for ${resourceId}: ${preview.dryRun.reason}`, 'warning');
+      return;
+    }
+
+    toggleLoading(false);
+    const details = preview.params.version ? ` (version ${preview.params.version})` : '';
+    if (!confirm(`Dry run succeeded.\n\n${preview.description}: ${resourceId}${details}\nCurrent state: ${JSON.stringify(preview.before)}\n\nApprove this action?`)) {
+      return;
+    }
+    await postJson(`/api/remediations/${preview.id}/approve`);
+
+    if (!confirm(`Approved. Execute "${preview.description}" on ${resourceId} now?`)) {
+      showToast('Remediation approved; it can be executed within the next hour', 'info');
+      return;
+    }
+    toggleLoading(true);
+    let result = await postJson(`/api/remediations/${preview.id}/execute`);
+    showToast(`${result.description} started for ${resourceId}`, 'info');
+    // Execution runs in the background (snapshotting a volume can take a while)
+    while (result.status === 'executing') {
+      await new Promise(resolve => setTimeout(resolve, REMEDIATION_POLL_MS));
+      const response = await apiFetch(`/api/remediations/${preview.id}`);
+      result = await response.json();
+      if (!response.ok) throw new Error(result.error || response.statusText);
+    }
+    if (result.status !== 'executed') throw new Error(`${result.status}: ${result.error}`);
+    showToast(`${result.description} completed for ${resourceId}`, 'success');
+    await fetchResources(true);
+  } catch (err) {
+    console.error('Remediation error:', err);
+    showToast('Remediation error: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+async function viewAuditLog() {
+  toggleLoading(true);
+  try {
+    const response = await apiFetch('/api/audit-log?limit=20');
+    const entries = await response.json();
+    const lines = entries.map(e => `${e.executedAt} ${e.executedBy}: ${e.action} ${e.resourceId} (${e.accountId}/${e.region}) - ${e.status}`);
+    alert(lines.length ? `Recent remediation actions:\n${lines.join('\n')}` : 'No remediation actions recorded yet');
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    showToast('Error fetching audit log: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+// Summary cards over every resource matching the filters (not just this page)
+function updateSummary(aggregates, totalCost) {
+  document.getElementById('totalResources').textContent = aggregates.count;
+  document.getElementById('runningResources').textContent = aggregates.running;
+  document.getElementById('idleResources').textContent = aggregates.idle;
   document.getElementById('totalCost').textContent = parseFloat(totalCost).toFixed(2);
 }
 
-function updateChart(resources) {
+function updateChart(statusCounts) {
   const ctx = document.getElementById('statusChart').getContext('2d');
-  const statusCounts = {
-    running: resources.filter(r => r.state === 'running' || r.state === 'available').length,
-    stopped: resources.filter(r => r.state === 'stopped').length,
-    idle: resources.filter(r => r.usageStatus === 'idle').length,
-    underutilized: resources.filter(r => r.usageStatus === 'underutilized').length,
-    used: resources.filter(r => r.usageStatus === 'used').length
-  };
 
   if (chartInstance) {
     chartInstance.data.datasets[0].data = [
@@ -306,37 +816,285 @@ function updateChart(resources) {
   }
 }
 
-function exportToCSV() {
-  const rows = Array.from(document.querySelectorAll('#resourcesTable tr')).map(row => {
-    return Array.from(row.cells).map(cell => `"${cell.textContent.replace(/"/g, '""')}"`).join(',');
+async function fetchRecommendations() {
+  toggleLoading(true);
+  const account = document.getElementById('accountSelect').value;
+  const region = document.getElementById('regionSelect').value;
+  try {
+    const response = await apiFetch(`/api/recommendations?account=${encodeURIComponent(account)}&region=${encodeURIComponent(region)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    updateRecommendationsTable(data.recommendations);
+    document.getElementById('totalSavings').textContent = data.totalMonthlySavings;
+    showToast(`Found ${data.recommendations.length} rightsizing recommendations`, 'info');
+    if (data.errors.length > 0) {
+      showToast(`${data.errors.length} account/region part(s) could not be analysed; the recommendations are incomplete`, 'warning');
+    }
+  } catch (err) {
+    console.error('Error fetching recommendations:', err);
+    showToast('Error fetching recommendations: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+function updateRecommendationsTable(recommendations) {
+  const tbody = document.getElementById('recommendationsTable');
+  tbody.innerHTML = '';
+  recommendations.forEach(rec => {
+    const row = document.createElement('tr');
+    const alternatives = rec.alternatives.map(alt => `${alt.type}: $${alt.monthlySavings.toFixed(2)}/mo`).join(', ');
+    row.innerHTML = `
+      <td>${escapeHtml(rec.accountName || rec.accountId)}</td>
+      <td>${escapeHtml(rec.service)}</td>
+      <td>${escapeHtml(rec.region)}</td>
+      <td>${escapeHtml(rec.id)}</td>
+      <td>${escapeHtml(rec.currentType)}</td>
+      <td title="${alternatives ? `Alternatives: ${escapeHtml(alternatives)}` : ''}">${escapeHtml(rec.proposedType)}</td>
+      <td>${rec.utilization.cpuP95.toFixed(1)} / ${rec.utilization.cpuMax.toFixed(1)}</td>
+      <td>${rec.currentMonthlyCost.toFixed(2)}</td>
+      <td>${rec.proposedMonthlyCost.toFixed(2)}</td>
+      <td>${rec.monthlySavings.toFixed(2)}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+async function fetchReconciliation() {
+  toggleLoading(true);
+  const account = document.getElementById('accountSelect').value;
+  try {
+    const response = await apiFetch(`/api/costs/reconciliation?account=${encodeURIComponent(account)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    updateReconciliationTable(data.rows);
+    const { totals } = data;
+    const pct = totals.variancePct === null ? '-' : `${totals.variancePct.toFixed(1)}%`;
+    document.getElementById('reconciliationSummary').textContent =
+      `Estimated $${totals.estimatedMonthly.toFixed(2)}/mo vs actual $${totals.actualMtd.toFixed(2)} month to date ` +
+      `(variance ${pct}), from the scan at ${new Date(data.snapshotTakenAt).toLocaleString()}`;
+  } catch (err) {
+    console.error('Error fetching actual costs:', err);
+    showToast('Error fetching actual costs: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+function updateReconciliationTable(rows) {
+  const tbody = document.getElementById('reconciliationTable');
+  tbody.innerHTML = '';
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${row.service}</td>
+      <td>${row.region}</td>
+      <td>${row.estimatedMonthly.toFixed(2)}</td>
+      <td>${row.actualMtd.toFixed(2)}</td>
+      <td>${row.projectedMonth === null ? '-' : row.projectedMonth.toFixed(2)}</td>
+      <td>${row.actualLastMonth.toFixed(2)}</td>
+      <td>${row.variance.toFixed(2)}</td>
+      <td>${row.variancePct === null ? '-' : row.variancePct.toFixed(1)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+async function fetchCommitments() {
+  toggleLoading(true);
+  const account = document.getElementById('accountSelect').value;
+  try {
+    const response = await apiFetch(`/api/commitments?account=${encodeURIComponent(account)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    updateCoverageTable(data.instances);
+    updateCommitmentRecommendationsTable(data.recommendations);
+    const { summary } = data;
+    document.getElementById('commitmentsSummary').textContent =
+      `${summary.coveragePct.toFixed(1)}% of $${summary.totalMonthlyCost.toFixed(2)}/mo On-Demand compute covered ` +
+      `(${summary.covered} covered, ${summary.partial} partial, ${summary.onDemand} On-Demand)`;
+    if (data.errors.length > 0) {
+      showToast(`${data.errors.length} account/region part(s) could not be analysed; the coverage is incomplete`, 'warning');
+    }
+  } catch (err) {
+    console.error('Error fetching commitment coverage:', err);
+    showToast('Error fetching commitment coverage: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+function updateCoverageTable(instances) {
+  const tbody = document.getElementById('coverageTable');
+  tbody.innerHTML = '';
+  const badges = { reserved: 'bg-success', 'savings-plan': 'bg-success', partial: 'bg-warning', 'on-demand': 'bg-secondary' };
+  instances.forEach(inst => {
+    const row = document.createElement('tr');
+    const pct = (inst.coverage.fraction * 100).toFixed(0);
+    row.innerHTML = `
+      <td>${escapeHtml(inst.accountId)}</td>
+      <td>${escapeHtml(inst.service.toUpperCase())}</td>
+      <td>${escapeHtml(inst.region)}</td>
+      <td>${escapeHtml(inst.id)}</td>
+      <td>${escapeHtml(inst.type)}</td>
+      <td>${escapeHtml(inst.platform || '-')}</td>
+      <td>${inst.onDemandMonthly.toFixed(2)}</td>
+      <td title="${escapeHtml(inst.coverage.sources.join(', '))}">
+        <span class="badge ${badges[inst.coverage.status]}">${escapeHtml(inst.coverage.status)}</span> ${pct}%
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// "3yr All Upfront: $120.00/mo (45%), break-even 14.2 mo"
+function commitmentOptionText(option) {
+  if (!option) return '-';
+  const breakEven = option.breakEvenMonths ? `, break-even ${option.breakEvenMonths.toFixed(1)} mo` : '';
+  return `${option.purchaseOption}: save $${option.monthlySavings.toFixed(2)}/mo (${option.savingsPct.toFixed(0)}%)${breakEven}`;
+}
+
+function updateCommitmentRecommendationsTable(recommendations) {
+  const tbody = document.getElementById('commitmentRecommendationsTable');
+  tbody.innerHTML = '';
+  recommendations.forEach(rec => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(rec.accountId)}</td>
+      <td>${escapeHtml(rec.service.toUpperCase())}</td>
+      <td>${escapeHtml(rec.region)}</td>
+      <td>${escapeHtml(rec.type)}</td>
+      <td>${escapeHtml(rec.platform || '-')}</td>
+      <td title="${escapeHtml(rec.instanceIds.join(', '))}">${rec.quantity}</td>
+      <td>${rec.onDemandMonthly.toFixed(2)}</td>
+      <td>${escapeHtml(commitmentOptionText(rec.best1yr))}</td>
+      <td>${escapeHtml(commitmentOptionText(rec.best3yr))}</td>
+    `;
+    tbody.appendChild(row);
   });
-  const csv = ['Service,Region,ID/Name,Type,State,Usage Status,Avg CPU (%),Monthly Cost ($)'].concat(rows).join('\n');
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `aws-resources-${new Date().toISOString().slice(0,19)}.csv`;
-  a.click();
-  URL.revokeObjectURL(url);
-  showToast('CSV exported successfully', 'success');
+}
+
+// Line chart of snapshot totals, or of cost per group
+async function fetchTrends() {
+  const groupBy = document.getElementById('trendGroupSelect').value;
+  try {
+    const response = await apiFetch(`/api/trends${groupBy ? `?groupBy=${groupBy}` : ''}`);
+    const data = await response.json();
+    const series = data.series || [];
+    const labels = series.map(point => new Date(point.takenAt).toLocaleString());
+    const colors = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF'];
+
+    let datasets;
+    if (groupBy) {
+      const keys = [...new Set(series.flatMap(point => Object.keys(point.groups || {})))];
+      datasets = keys.map((key, i) => ({
+        label: key,
+        data: series.map(point => point.groups?.[key]?.cost ?? 0),
+        borderColor: colors[i % colors.length],
+        fill: false
+      }));
+    } else {
+      datasets = [
+        { label: 'Total Cost ($/mo)', data: series.map(point => point.totalCost), borderColor: colors[0], fill: false },
+        { label: 'Idle Cost ($/mo)', data: series.map(point => point.idleCost), borderColor: colors[1], fill: false }
+      ];
+    }
+
+    if (trendChartInstance) {
+      trendChartInstance.data.labels = labels;
+      trendChartInstance.data.datasets = datasets;
+      trendChartInstance.update('none');
+    } else {
+      const ctx = document.getElementById('trendChart').getContext('2d');
+      trendChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false
+        }
+      });
+    }
+  } catch (err) {
+    console.error('Error fetching trends:', err);
+  }
+}
+
+// Download a report of every resource matching the filters (not only the page on screen)
+async function exportReport(format) {
+  toggleLoading(true);
+  try {
+    const params = resourceQueryParams();
+    params.set('format', format);
+    const response = await apiFetch(`/api/reports?${params}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || response.statusText);
+    }
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : `aws-resources.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    const failed = parseInt(response.headers.get('X-Report-Errors'), 10) || 0;
+    showToast(`Report exported${failed ? ` (${failed} region/service parts missing)` : ''}`, failed ? 'warning' : 'success');
+  } catch (err) {
+    console.error('Error exporting report:', err);
+    showToast('Error exporting report: ' + err.message, 'danger');
+  } finally {
+    toggleLoading(false);
+  }
 }
 
 // Debounced fetchResources
-const debouncedFetchResources = debounce(() => fetchResources(false), 500);
+const debouncedFetchResources = debounce(() => {
+  resetResourcePaging();
+  fetchResources(false);
+}, 500);
 
 // Event listeners
 document.getElementById('refreshBtn').addEventListener('click', () => fetchResources(false));
 document.getElementById('scanBtn').addEventListener('click', scanUnused);
 document.getElementById('sendEmailBtn').addEventListener('click', sendEmail);
-document.getElementById('exportBtn').addEventListener('click', exportToCSV);
+document.querySelectorAll('[data-export]').forEach(item => {
+  item.addEventListener('click', () => exportReport(item.dataset.export));
+});
+document.getElementById('viewAuditLogBtn').addEventListener('click', viewAuditLog);
+document.getElementById('recommendationsBtn').addEventListener('click', fetchRecommendations);
+document.getElementById('reconciliationBtn').addEventListener('click', fetchReconciliation);
+document.getElementById('commitmentsBtn').addEventListener('click', fetchCommitments);
+document.getElementById('accountSelect').addEventListener('change', () => {
+  fetchRegions();
+  debouncedFetchResources();
+});
 document.getElementById('serviceSelect').addEventListener('change', debouncedFetchResources);
 document.getElementById('regionSelect').addEventListener('change', debouncedFetchResources);
 document.getElementById('statusSelect').addEventListener('change', debouncedFetchResources);
+['searchInput', 'tagFilterInput', 'minCostInput', 'maxCostInput'].forEach(id => {
+  document.getElementById(id).addEventListener('input', debouncedFetchResources);
+});
+document.querySelectorAll('th[data-sort]').forEach(th => {
+  th.addEventListener('click', () => sortResources(th.dataset.sort));
+});
+document.getElementById('prevPageBtn').addEventListener('click', previousPage);
+document.getElementById('nextPageBtn').addEventListener('click', nextPage);
 document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
 document.getElementById('refreshForceBtn').addEventListener('click', forceRefresh);
 document.getElementById('viewCacheStatsBtn').addEventListener('click', viewCacheStats);
+document.getElementById('trendGroupSelect').addEventListener('change', fetchTrends);
+document.getElementById('logoutBtn').addEventListener('click', logout);
+document.getElementById('suppressionForm').addEventListener('submit', submitSuppressionForm);
 
 // Initialize
-fetchRegions();
-fetchResources(false);
+loadSession().then(() => {
+  fetchAccounts().then(fetchRegions);
+  fetchResources(false);
+  fetchSuppressions();
+  fetchTrends();
+}).catch(err => console.error('Error loading session:', err));
 setInterval(() => fetchResources(false), 5 * 60 * 1000);
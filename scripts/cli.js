@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// Command-line scanner for CI pipelines and scripts. Runs the same collectors
+// and idle-detection policy as the server, without Redis or the web server:
+//
+//   npm run cli -- scan   [selection] [--format table|json|csv] [--output <file>]
+//   npm run cli -- report [selection] [--format csv|json|xlsx|pdf] [--output <file>|-] [--title <text>] [--top <n>]
+//   npm run cli -- notify [selection] [--channel <name>]... [--all-unused]
+//
+// Selection: --account <id|all>, --region <name>, --service <name>,
+// --tag Key[=pattern], --status <status>, --min-cost, --max-cost, --search,
+// --sort and --order, as on /api/resources (list options repeat or take
+// comma-separated values). Without --region every enabled region is scanned.
+// "notify" sends the long-idle resources (every unused one with --all-unused)
+// to the notification channels.
+//
+// Exit codes: 0 on success, 1 on errors (bad options or configuration, nothing
+// collected, or any failed region/service with --strict), 2 when the monthly
+// cost of unused, unsuppressed resources is over --max-idle-cost.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { configureCache, getCached, setCached } = require('../lib/cache');
+const { configureAccounts, baseCredentials } = require('../lib/accounts');
+const { configurePolicy, loadPolicy, isLongIdle, isUnused } = require('../lib/policy');
+const { configureResources, parseResourceQuery, buildReport } = require('../lib/resources');
+const { configurePricing } = require('../lib/pricing');
+const { configureSuppressions } = require('../lib/suppressions');
+const { configureOwners, loadOwners } = require('../lib/owners');
+const { configureNotifiers, loadChannels, notify } = require('../lib/notifiers');
+const { renderReport, REPORT_FORMATS } = require('../lib/reports');
+
+const EXIT = { OK: 0, ERROR: 1, IDLE_COST_EXCEEDED: 2 };
+const SCAN_FORMATS = ['table', 'json', 'csv'];
+
+const OPTIONS = {
+  account: { type: 'string' },
+  region: { type: 'string', multiple: true },
+  service: { type: 'string', multiple: true },
+  tag: { type: 'string', multiple: true },
+  status: { type: 'string', multiple: true },
+  'min-cost': { type: 'string' },
+  'max-cost': { type: 'string' },
+  search: { type: 'string' },
+  sort: { type: 'string' },
+  order: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string' },
+  title: { type: 'string' },
+  top: { type: 'string' },
+  channel: { type: 'string', multiple: true },
+  'all-unused': { type: 'boolean' },
+  'max-idle-cost': { type: 'string' },
+  strict: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean' }
+};
+
+const USAGE = `Usage: npm run cli -- <scan|report|notify> [options]
+
+Selection:
+  --account <id|all>         Account to scan (default: all)
+  --region <name>            Region(s) to scan (default: every enabled region)
+  --service <name>           Service(s) to scan (default: all)
+  --tag Key[=pattern]        Only resources with this tag ("*" wildcards)
+  --status <status>          running, stopped, idle, underutilized, used or suppressed
+  --min-cost, --max-cost     Monthly cost range in dollars
+  --search <text>            Match resource ids and names
+  --sort <field>, --order <asc|desc>
+
+Output:
+  --format <format>          scan: ${SCAN_FORMATS.join(', ')} (default table); report: ${Object.keys(REPORT_FORMATS).join(', ')} (default csv)
+  --output <file>            Write to a file; reports default to a generated file name, "-" is stdout
+  --title <text>, --top <n>  Report title and number of top savings listed
+
+Notify:
+  --channel <name>           Channel(s) to send to (default: every channel)
+  --all-unused               Send every unused resource, not just long-idle ones
+
+Exit status:
+  --max-idle-cost <dollars>  Exit with ${EXIT.IDLE_COST_EXCEEDED} when unused resources cost more per month
+  --strict                   Exit with ${EXIT.ERROR} when any region or service failed
+  --verbose                  Log collector progress to stderr`;
+
+// Option values as /api/resources query parameters
+function resourceQuery(values) {
+  return {
+    account: values.account,
+    service: values.service,
+    region: values.region,
+    tag: values.tag,
+    status: values.status,
+    minCost: values['min-cost'],
+    maxCost: values['max-cost'],
+    q: values.search,
+    sort: values.sort,
+    order: values.order
+  };
+}
+
+function positiveNumber(value, name) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new Error(`--${name} must be a non-negative number`);
+  return number;
+}
+
+// Plain-text table of the matched resources
+function renderTable(report) {
+  const columns = [
+    ['ACCOUNT', r => r.accountId],
+    ['SERVICE', r => r.service],
+    ['REGION', r => r.region],
+    ['ID', r => r.id || r.name],
+    ['TYPE', r => r.type || r.runtime],
+    ['STATE', r => r.state],
+    ['USAGE', r => r.usageStatus + (r.suppressed ? ' (suppressed)' : '')],
+    ['OWNER', r => r.owner],
+    ['COST/MO', r => `$${(r.monthlyCost || 0).toFixed(2)}`]
+  ];
+  const rows = report.resources.map(r => columns.map(([, read]) => String(read(r) ?? '-')));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => i === cells.length - 1 ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  ');
+  const lines = [line(columns.map(([header]) => header)), ...rows.map(line)];
+  lines.push('', summaryLine(report));
+  return lines.join('\n') + '\n';
+}
+
+function summaryLine(report) {
+  const { aggregates } = report;
+  return `${aggregates.count} resources, $${aggregates.totalCostEstimate.toFixed(2)}/mo; ` +
+    `${report.unusedCount} unused, $${report.potentialSavings.toFixed(2)}/mo potential savings`;
+}
+
+function writeOutput(content, output) {
+  if (!output || output === '-') process.stdout.write(content);
+  else fs.writeFileSync(output, content);
+}
+
+async function scan(report, values) {
+  const format = values.format || 'table';
+  if (format === 'table') {
+    writeOutput(renderTable(report), values.output);
+    return;
+  }
+  writeOutput((await renderReport(report, format)).content, values.output);
+  console.error(summaryLine(report));
+}
+
+async function writeReport(report, values) {
+  const file = await renderReport(report, values.format || 'csv');
+  const output = values.output || file.filename;
+  writeOutput(file.content, output);
+  console.error(summaryLine(report));
+  if (output !== '-') console.error(`Wrote ${output}`);
+}
+
+async function sendNotifications(report, values) {
+  const reportable = report.resources.filter(r => !r.suppressed);
+  const resources = values['all-unused']
+    ? reportable.filter(isUnused)
+    : reportable.filter(isLongIdle);
+  let results = [];
+  for (let channelName of values.channel || [undefined]) {
+    results = results.concat(await notify(resources, { channelName }));
+  }
+  for (let result of results) {
+    console.error(`${result.channel} (${result.type}): ${result.status}, ${result.count} resources${result.error ? ` - ${result.error}` : ''}`);
+  }
+  if (results.some(r => r.status === 'failed') && !results.some(r => r.status === 'sent')) {
+    throw new Error('Notification failed on every channel');
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT.OK : EXIT.ERROR;
+  }
+  if (!['scan', 'report', 'notify'].includes(command)) throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+
+  // Validate everything before any AWS call
+  const formats = command === 'report' ? Object.keys(REPORT_FORMATS) : SCAN_FORMATS;
+  if (values.format && command !== 'notify' && !formats.includes(values.format)) {
+    throw new Error(`--format must be one of ${formats.join(', ')}`);
+  }
+  const maxIdleCost = positiveNumber(values['max-idle-cost'], 'max-idle-cost');
+  const top = values.top === undefined ? 10 : Number(values.top);
+  if (!Number.isInteger(top) || top < 1) throw new Error('--top must be a positive integer');
+  const q = parseResourceQuery(resourceQuery(values), { paged: false });
+
+  // Collector progress goes to stderr, and only with --verbose, so stdout stays machine-readable
+  const log = values.verbose ? (...args) => console.error(...args) : () => {};
+
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+  configureCache({ backend: 'memory' });
+  configureAccounts();
+  configurePricing({
+    dir: process.env.PRICING_DIR || path.join(dataDir, 'pricing'),
+    credentials: baseCredentials(),
+    getCached,
+    setCached,
+    cacheTtl: 86400,
+    log
+  });
+  configureResources({ log });
+  configurePolicy({ log });
+  configureOwners({ log });
+  configureNotifiers({ log });
+  configureSuppressions({ file: path.join(dataDir, 'suppressions.json') });
+  loadPolicy();
+  loadOwners();
+  if (command === 'notify') loadChannels();
+
+  const report = await buildReport(q, { title: values.title, top });
+  for (let error of report.errors) {
+    console.error(`Failed: ${error.service} in ${error.accountId}/${error.region}: ${error.message}`);
+  }
+  if (!report.succeeded) throw new Error('No resources could be collected');
+
+  if (command === 'scan') await scan(report, values);
+  else if (command === 'report') await writeReport(report, values);
+  else await sendNotifications(report, values);
+
+  if (values.strict && report.errors.length > 0) {
+    console.error(`${report.errors.length} region/service steps failed`);
+    return EXIT.ERROR;
+  }
+  if (maxIdleCost !== null && report.potentialSavings > maxIdleCost) {
+    console.error(`Idle cost $${report.potentialSavings.toFixed(2)}/mo is over the limit of $${maxIdleCost.toFixed(2)}/mo`);
+    return EXIT.IDLE_COST_EXCEEDED;
+  }
+  return EXIT.OK;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(err => {
+  console.error(err.message);
+  process.exitCode = EXIT.ERROR;
+});
@@ -0,0 +1,126 @@
+// Local stand-in for the Cost Explorer API, for testing the cost reconciliation
+// without real billing data. Run it and point the server at it:
+//
+//   node scripts/cost-explorer-stub.js
+//   COST_EXPLORER_ENDPOINT=http://localhost:4010 npm start
+//
+// Responses are built from STUB_COSTS (a JSON file of
+// { "<CE service name>|<region>[|<usage type>]": <monthly amount> }) or the
+// defaults below, grouped and filtered by service as requested.
+// Resource-level queries return STUB_RESOURCE_COSTS
+// ({ "<resource id>": <daily amount> }) for every service.
+
+const fs = require('fs');
+const express = require('express');
+
+const port = process.env.STUB_PORT || 4010;
+
+const monthlyCosts = process.env.STUB_COSTS
+  ? JSON.parse(fs.readFileSync(process.env.STUB_COSTS, 'utf8'))
+  : {
+      'Amazon Elastic Compute Cloud - Compute|us-east-1': 310.5,
+      'EC2 - Other|us-east-1|USE1-EBS:VolumeUsage.gp3': 22.6,
+      'EC2 - Other|us-east-1|USE1-EBS:SnapshotUsage': 7.5,
+      'EC2 - Other|us-east-1|USE1-NatGateway-Hours': 9.5,
+      'EC2 - Other|us-east-1|USE1-ElasticIP:IdleAddress': 2.5,
+      'Elastic Load Balancing|us-east-1': 16.4,
+      'Amazon Virtual Private Cloud|us-east-1': 3.6,
+      'Amazon Simple Storage Service|us-east-1': 12.75,
+      'Amazon Relational Database Service|us-east-1|USE1-InstanceUsage:db.t3.medium': 173.2,
+      'Amazon Relational Database Service|us-east-1|USE1-RDS:ChargedBackupUsage': 14.8,
+      'AWS Lambda|us-east-1': 3.2,
+      'Amazon CloudWatch|us-east-1': 9.9
+    };
+
+const resourceCosts = process.env.STUB_RESOURCE_COSTS
+  ? JSON.parse(fs.readFileSync(process.env.STUB_RESOURCE_COSTS, 'utf8'))
+  : {};
+
+function daysBetween(start, end) {
+  return Math.max(0, (new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000));
+}
+
+function amount(value) {
+  return { Amount: value.toFixed(10), Unit: 'USD' };
+}
+
+// The SERVICE values of a request's filter, or null for every service
+function filteredServices(filter) {
+  if (!filter) return null;
+  if (filter.Dimensions && filter.Dimensions.Key === 'SERVICE') return filter.Dimensions.Values;
+  for (let part of filter.And || []) {
+    const services = filteredServices(part);
+    if (services) return services;
+  }
+  return null;
+}
+
+// Spread the monthly amounts over the requested period
+function getCostAndUsage(params) {
+  const { Start, End } = params.TimePeriod;
+  const fraction = daysBetween(Start, End) / 30;
+  const services = filteredServices(params.Filter);
+  const groups = new Map();
+  for (let [key, monthly] of Object.entries(monthlyCosts)) {
+    const [SERVICE, REGION, USAGE_TYPE = ''] = key.split('|');
+    if (services && !services.includes(SERVICE)) continue;
+    const dimensions = { SERVICE, REGION, USAGE_TYPE };
+    const keys = (params.GroupBy || []).map(group => dimensions[group.Key]);
+    const id = keys.join('|');
+    groups.set(id, { keys, amount: (groups.has(id) ? groups.get(id).amount : 0) + monthly * fraction });
+  }
+  return {
+    ResultsByTime: [{
+      TimePeriod: { Start, End },
+      Total: {},
+      Groups: [...groups.values()].map(group => ({
+        Keys: group.keys,
+        Metrics: { UnblendedCost: amount(group.amount) }
+      })),
+      Estimated: true
+    }],
+    DimensionValueAttributes: []
+  };
+}
+
+// One result per day with the configured resource costs
+function getCostAndUsageWithResources(params) {
+  const { Start, End } = params.TimePeriod;
+  const results = [];
+  for (let day = new Date(Start); day < new Date(End); day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+    const next = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    results.push({
+      TimePeriod: { Start: day.toISOString().slice(0, 10), End: next.toISOString().slice(0, 10) },
+      Total: {},
+      Groups: Object.entries(resourceCosts).map(([resourceId, daily]) => ({
+        Keys: params.GroupBy.length > 1 ? [resourceId, ''] : [resourceId],
+        Metrics: { UnblendedCost: amount(daily) }
+      })),
+      Estimated: true
+    });
+  }
+  return { ResultsByTime: results, DimensionValueAttributes: [] };
+}
+
+const handlers = {
+  'AWSInsightsIndexService.GetCostAndUsage': getCostAndUsage,
+  'AWSInsightsIndexService.GetCostAndUsageWithResources': getCostAndUsageWithResources
+};
+
+const app = express();
+app.use(express.json({ type: () => true }));
+
+app.post('/', (req, res) => {
+  const target = req.get('X-Amz-Target');
+  const handler = handlers[target];
+  res.type('application/x-amz-json-1.1');
+  if (!handler) {
+    return res.status(400).json({ __type: 'UnknownOperationException', message: `Unsupported operation ${target}` });
+  }
+  console.log(`${target}`, JSON.stringify(req.body.TimePeriod));
+  res.json(handler(req.body));
+});
+
+app.listen(port, () => {
+  console.log(`Cost Explorer stub listening on http://localhost:${port}`);
+});
@@ -0,0 +1,54 @@
+// Manage the local user store used when OIDC/SAML are not available:
+//
+//   npm run user -- add <username> <viewer|operator|admin>
+//   npm run user -- list
+//   npm run user -- delete <username>
+//
+// "add" prompts for the password (or reads USER_PASSWORD) and replaces an
+// existing user of the same name. Users live in <DATA_DIR>/users.json.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ROLES, configureAuth, listUsers, setUser, deleteUser } = require('../lib/auth');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+fs.mkdirSync(dataDir, { recursive: true });
+configureAuth({ dataDir });
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  switch (command) {
+    case 'add': {
+      if (!username || !role) throw new Error(`Usage: add <username> <${ROLES.join('|')}>`);
+      const password = process.env.USER_PASSWORD || await prompt(`Password for ${username}: `);
+      setUser(username, password, role);
+      console.log(`Saved ${username} (${role})`);
+      break;
+    }
+    case 'list':
+      for (let user of listUsers()) console.log(`${user.username}\t${user.role}\t${user.createdAt}`);
+      break;
+    case 'delete':
+      if (!username) throw new Error('Usage: delete <username>');
+      deleteUser(username);
+      console.log(`Deleted ${username}`);
+      break;
+    default:
+      throw new Error('Usage: add <username> <role> | list | delete <username>');
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
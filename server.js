@@ -1,32 +1,67 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const express = require('express');
-const nodemailer = require('nodemailer');
 const cron = require('node-cron');
-const redis = require('redis');
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Import AWS SDK clients
-const { EC2Client, DescribeRegionsCommand, DescribeInstancesCommand, DescribeVolumesCommand } = require('@aws-sdk/client-ec2');
-const { S3Client, ListBucketsCommand, GetBucketLocationCommand } = require('@aws-sdk/client-s3');
-const { RDSClient, DescribeDBInstancesCommand } = require('@aws-sdk/client-rds');
-const { LambdaClient, ListFunctionsCommand } = require('@aws-sdk/client-lambda');
-const { CloudWatchClient, GetMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
-const { PricingClient, GetProductsCommand } = require('@aws-sdk/client-pricing');
-
-// Initialize Redis client
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
-  password: process.env.REDIS_PASSWORD || undefined
-});
+// Local directory for persistent app data (audit log, etc.)
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+fs.mkdirSync(dataDir, { recursive: true });
 
-redisClient.on('error', (err) => console.error('Redis Client Error:', err));
-redisClient.on('connect', () => console.log('Redis Client Connected'));
+// Import AWS SDK clients
+const {
+  EC2Client, DescribeInstancesCommand, DescribeVolumesCommand, DescribeSnapshotsCommand, StopInstancesCommand,
+  CreateSnapshotCommand, DeleteVolumeCommand, DescribeReservedInstancesCommand
+} = require('@aws-sdk/client-ec2');
+const {
+  RDSClient, DescribeDBInstancesCommand, StopDBInstanceCommand, DescribeReservedDBInstancesCommand
+} = require('@aws-sdk/client-rds');
+const {
+  LambdaClient, ListVersionsByFunctionCommand, ListAliasesCommand, DeleteFunctionCommand
+} = require('@aws-sdk/client-lambda');
+const { SavingsplansClient, DescribeSavingsPlansCommand } = require('@aws-sdk/client-savingsplans');
+const {
+  configurePricing, priceEc2Instance, priceRdsInstance, rdsInstanceMemoryGiB, reservedEc2Terms, reservedRdsTerms, HOURS_PER_MONTH
+} = require('./lib/pricing');
+const { summarizeSeries } = require('./lib/metrics');
+const { loadChannels, listChannels, notify, notifyReport } = require('./lib/notifiers');
+const {
+  configureAuth, authenticate, requireRole, createAuthRouter, listUsers
+} = require('./lib/auth');
+const {
+  configureOwners, loadOwners, isOwnerRoutingEnabled, ownersSummary, routeToOwners, readNotices
+} = require('./lib/owners');
+const {
+  configureCostExplorer, isResourceLevelEnabled, monthToDatePeriod, lastMonthPeriod,
+  getServiceRegionCosts, getResourceCosts, RESOURCE_LEVEL_DAYS
+} = require('./lib/cost-explorer');
+const { sendAws, paginateDescribe, runTasks, describeError } = require('./lib/collector');
+const {
+  configureCache, getCached, setCached, mergeCacheMeta, invalidate, escapeGlob, cacheStats, closeCache
+} = require('./lib/cache');
+const {
+  configureSuppressions, listSuppressions, addSuppression, removeSuppression, withoutSuppressed
+} = require('./lib/suppressions');
+const {
+  configureAccounts, baseCredentials, getAccountCredentials, getCloudWatchClient, getAccounts, getAccount, resolveAccounts, getAllRegions
+} = require('./lib/accounts');
+const { loadPolicy, getPolicy, resourceAgeDays, isLongIdle, isUnused } = require('./lib/policy');
+const {
+  SERVICES, configureResources, getMetric, getMetricSeries, fetchServiceResources, parseResourceQuery, loadResources, queryResources,
+  buildReport
+} = require('./lib/resources');
+const {
+  configureReports, renderReport, saveReportFile, listReportFiles, reportFilePath,
+  loadReportSchedules, listReportSchedules, getReportSchedule, REPORT_FORMATS
+} = require('./lib/reports');
+const { setResourceMetrics, recordScan, markSuccessfulScan, renderMetrics } = require('./lib/prometheus');
 
-// Connect to Redis
-(async () => {
-  await redisClient.connect();
-})();
+// Cache: Redis, falling back to an in-process LRU while Redis is unreachable
+configureCache();
 
 // Cache configuration
 const CACHE_TTL = {
@@ -34,607 +69,2070 @@ const CACHE_TTL = {
   REGIONS: 86400, // 24 hours for regions (rarely changes)
   PRICING: 86400, // 24 hours for pricing data
   METRICS: 300, // 5 minutes for CloudWatch metrics
+  ACCOUNTS: 3600, // 1 hour for the account list
+  COST_EXPLORER: 21600, // 6 hours for Cost Explorer actuals (billed per request)
 };
 
-// Cache helper functions
-async function getCached(key) {
-  try {
-    const data = await redisClient.get(key);
-    return data ? JSON.parse(data) : null;
-  } catch (err) {
-    console.error('Redis get error:', err);
-    return null;
+// Accounts (AWS_ACCOUNTS / AWS_ORG_DISCOVERY) and the base credentials
+try {
+  configureAccounts({ accountsTtl: CACHE_TTL.ACCOUNTS, regionsTtl: CACHE_TTL.REGIONS });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const credentials = baseCredentials();
+if (!credentials) {
+  console.log('AWS_ACCESS_KEY_ID not set; using the default AWS credential provider chain');
+}
+configureResources({ resourcesTtl: CACHE_TTL.RESOURCES, metricsTtl: CACHE_TTL.METRICS });
+
+// Notification channels (notifiers.json, or the legacy EMAIL_* settings)
+try {
+  if (loadChannels().length === 0) {
+    console.warn('No notification channels configured (notifiers.json or EMAIL_* in .env)');
   }
+} catch (err) {
+  console.error('Failed to load notification channels:', err.message);
+  process.exit(1);
+}
+
+// Users and API tokens are stored with the other app data
+try {
+  configureAuth({ dataDir });
+} catch (err) {
+  console.error('Invalid authentication settings:', err.message);
+  process.exit(1);
+}
+if (process.env.AUTH_DISABLED === 'true') {
+  console.warn('AUTH_DISABLED=true: the dashboard and API are open to anyone who can reach the port');
+} else if (!process.env.OIDC_ISSUER && !process.env.SAML_ENTRY_POINT && listUsers().length === 0) {
+  console.warn('No login method configured: set OIDC_ISSUER or SAML_ENTRY_POINT, or add a local user with npm run user -- add <name> admin');
+}
+
+// Owner routing (owners.json); notice counts for escalation live with the other app data
+configureOwners({ stateFile: path.join(dataDir, 'owner-notices.json') });
+try {
+  loadOwners();
+} catch (err) {
+  console.error('Failed to load owner routing:', err.message);
+  process.exit(1);
+}
+
+// Suppressions (intentionally idle resources) are managed from the dashboard
+configureSuppressions({ file: path.join(dataDir, 'suppressions.json') });
+
+// Store last scanned unused resources
+let lastUnusedResources = [];
+
+// Price list data is kept next to the other app data; API fallback results go through Redis
+configurePricing({
+  dir: process.env.PRICING_DIR || path.join(dataDir, 'pricing'),
+  credentials,
+  getCached,
+  setCached,
+  cacheTtl: CACHE_TTL.PRICING
+});
+
+// Cost Explorer is queried with the base credentials (management/payer account)
+configureCostExplorer({
+  credentials,
+  getCached,
+  setCached,
+  cacheTtl: CACHE_TTL.COST_EXPLORER
+});
+
+// Idle-detection policy (POLICY_FILE)
+try {
+  loadPolicy();
+} catch (err) {
+  console.error(`Failed to load policy from ${getPolicy().file}:`, err.message);
+  process.exit(1);
 }
 
-async function setCached(key, data, ttl = CACHE_TTL.RESOURCES) {
+// ---------------------------------------------------------------------------
+// Scan snapshots
+// Every scan is saved under DATA_DIR/snapshots: one JSON file per snapshot with
+// the per-resource data, plus index.jsonl with pre-aggregated totals per
+// service, region and status for the trend API.
+// ---------------------------------------------------------------------------
+
+const snapshotDir = path.join(dataDir, 'snapshots');
+const snapshotIndexPath = path.join(snapshotDir, 'index.jsonl');
+const TREND_GROUPS = ['service', 'region', 'status', 'account'];
+fs.mkdirSync(snapshotDir, { recursive: true });
+
+// Reduce a resource record to what is kept in a snapshot
+function snapshotRecord(resource) {
+  return {
+    accountId: resource.accountId,
+    service: resource.service,
+    region: resource.region,
+    id: resource.id || resource.name,
+    type: resource.type || resource.runtime,
+    state: resource.state,
+    usageStatus: resource.usageStatus,
+    policyRule: resource.policyRule,
+    monthlyCost: resource.monthlyCost || 0,
+    metrics: {
+      avgCpu: resource.avgCpu,
+      invocations: resource.invocations,
+      numObjects: resource.numObjects,
+      sizeGB: resource.sizeGB ?? resource.size,
+      policyMetric: resource.policyMetric,
+      policyActivity: resource.policyActivity
+    }
+  };
+}
+
+// Totals for a set of snapshot records, overall and per trend group
+function aggregateRecords(records) {
+  const empty = () => ({ cost: 0, idleCost: 0, count: 0, idleCount: 0 });
+  const add = (bucket, record) => {
+    bucket.cost += record.monthlyCost;
+    bucket.count += 1;
+    if (isUnused(record)) {
+      bucket.idleCost += record.monthlyCost;
+      bucket.idleCount += 1;
+    }
+  };
+
+  const totals = empty();
+  const groups = Object.fromEntries(TREND_GROUPS.map(g => [g, {}]));
+  for (let record of records) {
+    add(totals, record);
+    const keys = { service: record.service, region: record.region, status: record.usageStatus, account: record.accountId };
+    for (let group of TREND_GROUPS) {
+      const key = keys[group] || 'unknown';
+      groups[group][key] = groups[group][key] || empty();
+      add(groups[group][key], record);
+    }
+  }
+  return { totals, groups };
+}
+
+// Save a scan as a timestamped snapshot
+async function saveSnapshot(resources, trigger) {
+  const takenAt = new Date().toISOString();
+  const id = takenAt.replace(/[:.]/g, '-');
+  const records = resources.map(snapshotRecord);
+  const { totals, groups } = aggregateRecords(records);
+
+  await fs.promises.writeFile(path.join(snapshotDir, `${id}.json`), JSON.stringify({ id, takenAt, trigger, resources: records }));
+  await fs.promises.appendFile(snapshotIndexPath, JSON.stringify({ id, takenAt, trigger, totals, groups }) + '\n');
+  console.log(`Saved snapshot ${id} with ${records.length} resources`);
+  return { id, takenAt, trigger, totals };
+}
+
+// Read snapshot index entries, oldest first, optionally within a time range
+async function readSnapshotIndex(from, to) {
+  let content;
   try {
-    await redisClient.setEx(key, ttl, JSON.stringify(data));
+    content = await fs.promises.readFile(snapshotIndexPath, 'utf8');
   } catch (err) {
-    console.error('Redis set error:', err);
+    if (err.code === 'ENOENT') return [];
+    throw err;
   }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+    .filter(entry => (!from || entry.takenAt >= from) && (!to || entry.takenAt <= to));
 }
 
-async function clearCache(pattern) {
+async function readSnapshot(id) {
+  if (!/^[\w-]+$/.test(id)) throw new Error('Invalid snapshot id');
   try {
-    const keys = await redisClient.keys(pattern);
-    if (keys.length > 0) {
-      await redisClient.del(keys);
-      console.log(`Cleared ${keys.length} cache keys matching ${pattern}`);
-    }
+    return JSON.parse(await fs.promises.readFile(path.join(snapshotDir, `${id}.json`), 'utf8'));
   } catch (err) {
-    console.error('Redis clear cache error:', err);
+    if (err.code === 'ENOENT') return null;
+    throw err;
   }
 }
 
-// Shared credentials from env
-const credentials = {
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// Seed the Prometheus resource gauges and last-scan timestamps from the saved
+// snapshots, so a restart does not reset them until the next scan
+async function restoreScanMetrics() {
+  const index = await readSnapshotIndex();
+  if (index.length === 0) return;
+  for (let entry of index) markSuccessfulScan(entry.trigger, entry.takenAt);
+  const latest = await readSnapshot(index[index.length - 1].id);
+  if (latest) setResourceMetrics(latest.resources, latest.takenAt);
+}
+
+// ---------------------------------------------------------------------------
+// Rightsizing recommendations
+// Underutilized EC2 and RDS instances are checked against p95/max CPU (and
+// memory where published) over RIGHTSIZING_LOOKBACK_DAYS, then priced against
+// the next smaller size in the family and the Graviton equivalent.
+// ---------------------------------------------------------------------------
+
+const RIGHTSIZING = {
+  LOOKBACK_DAYS: parseInt(process.env.RIGHTSIZING_LOOKBACK_DAYS, 10) || 14,
+  TARGET_CPU: parseFloat(process.env.RIGHTSIZING_TARGET_CPU) || 60, // max projected p95 CPU % after downsizing
+  TARGET_MEMORY: parseFloat(process.env.RIGHTSIZING_TARGET_MEMORY) || 80 // max projected memory % after downsizing
 };
 
-if (!credentials.accessKeyId || !credentials.secretAccessKey) {
-  console.error('AWS credentials not set in .env');
-  process.exit(1);
+// Instance sizes from smallest to largest; each step roughly halves/doubles capacity
+const INSTANCE_SIZES = [
+  'nano', 'micro', 'small', 'medium', 'large', 'xlarge', '2xlarge', '3xlarge', '4xlarge', '6xlarge',
+  '8xlarge', '9xlarge', '10xlarge', '12xlarge', '16xlarge', '18xlarge', '24xlarge', '32xlarge', '48xlarge'
+];
+
+// x86 families and their Graviton counterparts
+const GRAVITON_FAMILIES = {
+  t2: 't4g', t3: 't4g', t3a: 't4g',
+  m4: 'm6g', m5: 'm6g', m5a: 'm6g', m6i: 'm7g', m6a: 'm7g', m7i: 'm7g', m7a: 'm7g',
+  c4: 'c6g', c5: 'c6g', c5a: 'c6g', c6i: 'c7g', c6a: 'c7g', c7i: 'c7g', c7a: 'c7g',
+  r4: 'r6g', r5: 'r6g', r5a: 'r6g', r6i: 'r7g', r6a: 'r7g', r7i: 'r7g', r7a: 'r7g'
+};
+
+// Split "m5.2xlarge" / "db.r5.large" into prefix, family and size
+function parseInstanceType(type) {
+  const match = /^(db\.)?([a-z0-9-]+)\.([a-z0-9]+)$/.exec(type || '');
+  if (!match) return null;
+  return { prefix: match[1] || '', family: match[2], size: match[3] };
 }
 
-// Configure nodemailer for Gmail SMTP
-const emailUser = process.env.EMAIL_USER;
-const emailPass = process.env.EMAIL_PASS;
-const receiverEmail = process.env.RECEIVER_EMAIL;
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: emailUser,
-    pass: emailPass
+// Candidate types: one size down in the same family, the Graviton equivalent
+// at the current size, and the Graviton equivalent one size down
+function rightsizingCandidates(type, allowDownsize) {
+  const parsed = parseInstanceType(type);
+  if (!parsed) return [];
+  const { prefix, family, size } = parsed;
+  const sizeIndex = INSTANCE_SIZES.indexOf(size);
+  const smaller = sizeIndex > 0 ? INSTANCE_SIZES[sizeIndex - 1] : null;
+  const graviton = GRAVITON_FAMILIES[family];
+
+  const candidates = [];
+  if (allowDownsize && smaller) candidates.push({ type: `${prefix}${family}.${smaller}`, reason: 'downsize' });
+  if (graviton) candidates.push({ type: `${prefix}${graviton}.${size}`, reason: 'graviton' });
+  if (allowDownsize && smaller && graviton) candidates.push({ type: `${prefix}${graviton}.${smaller}`, reason: 'downsize-graviton' });
+  return candidates;
+}
+
+// A metric over the rightsizing window, or null when CloudWatch has no datapoints
+async function optionalMetric(cw, namespace, name, dims, stat) {
+  const series = await getMetricSeries(cw, namespace, name, dims, stat, RIGHTSIZING.LOOKBACK_DAYS);
+  return series.values.length > 0 ? summarizeSeries(series, stat) : null;
+}
+
+// Dimension sets the CloudWatch agent publishes mem_used_percent under: its
+// default append_dimensions (ImageId, InstanceId, InstanceType and, in an Auto
+// Scaling group, AutoScalingGroupName), or InstanceId alone
+function agentMemoryDimensions(resource) {
+  const instanceId = { Name: 'InstanceId', Value: resource.id };
+  const appended = [
+    { Name: 'ImageId', Value: resource.imageId },
+    instanceId,
+    { Name: 'InstanceType', Value: resource.type }
+  ];
+  const group = resource.tags && resource.tags['aws:autoscaling:groupName'];
+  if (group) appended.push({ Name: 'AutoScalingGroupName', Value: group });
+  return resource.imageId ? [appended, [instanceId]] : [[instanceId]];
+}
+
+// Utilization metrics over the rightsizing window. Peak memory is a
+// percentage: from the CloudWatch agent on EC2 (null without it), and from
+// the lowest FreeableMemory against the instance class's memory on RDS.
+async function collectUtilization(cw, resource) {
+  const days = RIGHTSIZING.LOOKBACK_DAYS;
+  if (resource.service === 'ec2') {
+    const dims = [{ Name: 'InstanceId', Value: resource.id }];
+    const [cpuP95, cpuMax, networkIn, networkOut, ...memory] = await Promise.all([
+      getMetric(cw, 'AWS/EC2', 'CPUUtilization', dims, 'p95', days),
+      getMetric(cw, 'AWS/EC2', 'CPUUtilization', dims, 'Maximum', days),
+      getMetric(cw, 'AWS/EC2', 'NetworkIn', dims, 'Maximum', days),
+      getMetric(cw, 'AWS/EC2', 'NetworkOut', dims, 'Maximum', days),
+      ...agentMemoryDimensions(resource).map(memoryDims => optionalMetric(cw, 'CWAgent', 'mem_used_percent', memoryDims, 'Maximum'))
+    ]);
+    const memoryMaxPercent = memory.find(value => value !== null) ?? null;
+    return { cpuP95, cpuMax, networkInMax: networkIn, networkOutMax: networkOut, memoryMaxPercent };
   }
-});
 
-if (!emailUser || !emailPass || !receiverEmail) {
-  console.warn('Email configuration not set in .env');
+  const dims = [{ Name: 'DBInstanceIdentifier', Value: resource.id }];
+  const [cpuP95, cpuMax, networkIn, networkOut, freeMemoryMin, memoryGiB] = await Promise.all([
+    getMetric(cw, 'AWS/RDS', 'CPUUtilization', dims, 'p95', days),
+    getMetric(cw, 'AWS/RDS', 'CPUUtilization', dims, 'Maximum', days),
+    getMetric(cw, 'AWS/RDS', 'NetworkReceiveThroughput', dims, 'Maximum', days),
+    getMetric(cw, 'AWS/RDS', 'NetworkTransmitThroughput', dims, 'Maximum', days),
+    optionalMetric(cw, 'AWS/RDS', 'FreeableMemory', dims, 'Minimum'),
+    rdsInstanceMemoryGiB({ region: resource.region, instanceClass: resource.type })
+  ]);
+  const memoryBytes = memoryGiB ? memoryGiB * 1024 ** 3 : null;
+  const memoryMaxPercent = freeMemoryMin !== null && memoryBytes
+    ? Math.min(100, Math.max(0, (1 - freeMemoryMin / memoryBytes) * 100))
+    : null;
+  return {
+    cpuP95, cpuMax, networkInMax: networkIn, networkOutMax: networkOut,
+    freeableMemoryMinBytes: freeMemoryMin, memoryGiB, memoryMaxPercent
+  };
 }
 
-// Store last scanned unused resources
-let lastUnusedResources = [];
+// Build a recommendation for one underutilized instance, or null if none applies
+async function recommendRightsizing(cw, resource) {
+  const utilization = await collectUtilization(cw, resource);
+  // Halving the instance roughly doubles utilization
+  const cpuFits = utilization.cpuP95 * 2 <= RIGHTSIZING.TARGET_CPU;
+  const memoryFits = utilization.memoryMaxPercent === null || utilization.memoryMaxPercent * 2 <= RIGHTSIZING.TARGET_MEMORY;
+  const allowDownsize = cpuFits && memoryFits;
+
+  // Compare compute prices only; storage does not change with the instance type
+  const priceOf = async type => {
+    const price = resource.service === 'ec2'
+      ? await priceEc2Instance({ region: resource.region, instanceType: type, operation: resource.operation, platform: resource.platform, tenancy: resource.tenancy })
+      : await priceRdsInstance({ region: resource.region, instanceClass: type, engine: resource.engine, licenseModel: resource.licenseModel, multiAz: resource.multiAz });
+    return price.hourly;
+  };
+
+  const currentMonthly = (await priceOf(resource.type)) * HOURS_PER_MONTH;
+  if (!currentMonthly) return null;
+
+  const options = [];
+  for (let candidate of rightsizingCandidates(resource.type, allowDownsize)) {
+    // A zero price means the type is not offered here
+    const monthly = (await priceOf(candidate.type)) * HOURS_PER_MONTH;
+    if (monthly > 0 && monthly < currentMonthly) {
+      options.push({ ...candidate, monthlyCost: monthly, monthlySavings: currentMonthly - monthly });
+    }
+  }
+  if (options.length === 0) return null;
+  options.sort((a, b) => b.monthlySavings - a.monthlySavings);
+
+  return {
+    accountId: resource.accountId,
+    accountName: resource.accountName,
+    service: resource.service,
+    region: resource.region,
+    id: resource.id,
+    engine: resource.engine,
+    currentType: resource.type,
+    proposedType: options[0].type,
+    reason: options[0].reason,
+    currentMonthlyCost: currentMonthly,
+    proposedMonthlyCost: options[0].monthlyCost,
+    monthlySavings: options[0].monthlySavings,
+    alternatives: options.slice(1),
+    lookbackDays: RIGHTSIZING.LOOKBACK_DAYS,
+    utilization
+  };
+}
 
-// Map regions to Pricing API location names
-const regionToLocation = {
-  'us-east-1': 'US East (N. Virginia)',
-  'us-east-2': 'US East (Ohio)',
-  'us-west-1': 'US West (N. California)',
-  'us-west-2': 'US West (Oregon)',
-  'eu-west-1': 'EU (Ireland)',
-  'eu-west-2': 'EU (London)',
-  'eu-central-1': 'EU (Frankfurt)',
-  'ap-northeast-1': 'Asia Pacific (Tokyo)',
-  'ap-southeast-1': 'Asia Pacific (Singapore)',
-  'ap-southeast-2': 'Asia Pacific (Sydney)'
+// Recommendations for one account/region (with caching)
+async function fetchRecommendations(account, region, forceRefresh = false) {
+  const cacheKey = `recommendations:${account.id}:${region}`;
+  if (!forceRefresh) {
+    const cached = await getCached(cacheKey);
+    if (cached !== null) return cached;
+  }
+
+  const cw = { client: getCloudWatchClient(account, region), accountId: account.id, region };
+  const recommendations = [];
+  for (let service of ['ec2', 'rds']) {
+    const { resources } = await fetchServiceResources(account, service, region, forceRefresh);
+    // Aurora clusters and Serverless v2 instances have no instance size to change
+    const underutilized = resources.filter(r => r.usageStatus === 'underutilized' && parseInstanceType(r.type));
+    // Utilization metrics for every candidate share GetMetricData calls
+    const results = await Promise.all(underutilized.map(resource => recommendRightsizing(cw, resource)));
+    recommendations.push(...results.filter(Boolean));
+  }
+
+  await setCached(cacheKey, recommendations, CACHE_TTL.RESOURCES);
+  return recommendations;
+}
+
+// One task per account and region (every enabled region unless one is given).
+// Accounts whose regions cannot be listed are reported in `errors`.
+async function accountRegionTasks(accounts, region = 'all') {
+  const tasks = [];
+  const errors = [];
+  for (let account of accounts) {
+    try {
+      const regions = region === 'all' ? await getAllRegions(account) : [region];
+      for (let r of regions) tasks.push({ account, region: r });
+    } catch (err) {
+      console.error(`Error listing regions for ${account.id}:`, err.message);
+      errors.push({ accountId: account.id, region: 'all', ...describeError(err) });
+    }
+  }
+  return { tasks, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Reserved Instance and Savings Plans coverage
+// Active RIs are matched to running instances (size-flexible where AWS allows
+// it), Savings Plans then cover remaining EC2 spend, and steadily used
+// uncovered instances get 1-year and 3-year RI purchase options.
+// ---------------------------------------------------------------------------
+
+const COMMITMENTS = {
+  MIN_AGE_DAYS: parseInt(process.env.COMMITMENT_MIN_AGE_DAYS, 10) || 30,
+  // Typical discount off On-Demand, used to turn a Savings Plan's $/hour
+  // commitment into the On-Demand spend it covers
+  SAVINGS_PLAN_DISCOUNT: {
+    Compute: parseFloat(process.env.COMPUTE_SP_DISCOUNT) || 0.3,
+    EC2Instance: parseFloat(process.env.EC2_INSTANCE_SP_DISCOUNT) || 0.4
+  }
 };
 
-// Helper to paginate AWS describe calls
-async function paginateDescribe(client, CommandClass, params, resultKey) {
-  let results = [];
+// RDS engines whose RIs are size-flexible within an instance family
+const RDS_SIZE_FLEXIBLE_ENGINES = ['mysql', 'mariadb', 'postgres', 'aurora-mysql', 'aurora-postgresql'];
+
+// Normalization units per instance size (size-flexible RIs)
+function normalizedUnits(type) {
+  const parsed = parseInstanceType(type);
+  if (!parsed) return 0;
+  const fixed = { nano: 0.25, micro: 0.5, small: 1, medium: 2, large: 4, xlarge: 8 };
+  if (fixed[parsed.size] !== undefined) return fixed[parsed.size];
+  const match = /^(\d+)xlarge$/.exec(parsed.size);
+  return match ? parseInt(match[1], 10) * 8 : 0;
+}
+
+function instanceFamily(type) {
+  const parsed = parseInstanceType(type);
+  return parsed ? `${parsed.prefix}${parsed.family}` : type;
+}
+
+// "Linux/UNIX (Amazon VPC)" -> "Linux/UNIX"
+function riPlatform(productDescription) {
+  return (productDescription || '').replace(/\s*\(Amazon VPC\)$/, '');
+}
+
+// "postgresql" / "oracle-se2(byol)" -> RDS engine name and licence
+function riDbEngine(productDescription) {
+  const match = /^([^(]+)(?:\((\w+)\))?$/.exec(productDescription || '');
+  const engine = match ? match[1] : productDescription;
+  return { engine: engine === 'postgresql' ? 'postgres' : engine, byol: match && match[2] === 'byol' };
+}
+
+async function fetchReservations(account, region) {
+  const accountCreds = getAccountCredentials(account);
+  const ec2Client = new EC2Client({ region, credentials: accountCreds });
+  const rdsClient = new RDSClient({ region, credentials: accountCreds });
+  const activeFilter = [{ Name: 'state', Values: ['active'] }];
+
+  const [ec2Data, dbReservations] = await Promise.all([
+    sendAws(ec2Client, new DescribeReservedInstancesCommand({ Filters: activeFilter })),
+    paginateDescribe(rdsClient, DescribeReservedDBInstancesCommand, {}, 'ReservedDBInstances')
+  ]);
+
+  const ec2 = (ec2Data.ReservedInstances || []).map(ri => {
+    const platform = riPlatform(ri.ProductDescription);
+    const regional = ri.Scope !== 'Availability Zone';
+    return {
+      id: ri.ReservedInstancesId,
+      service: 'ec2',
+      region,
+      type: ri.InstanceType,
+      count: ri.InstanceCount,
+      platform,
+      tenancy: ri.InstanceTenancy,
+      availabilityZone: regional ? null : ri.AvailabilityZone,
+      // Regional Linux/UNIX RIs with default tenancy apply across sizes
+      sizeFlexible: regional && platform === 'Linux/UNIX' && ri.InstanceTenancy === 'default',
+      end: ri.End,
+      offeringType: ri.OfferingType,
+      remainingUnits: ri.InstanceCount * normalizedUnits(ri.InstanceType)
+    };
+  });
+
+  const rds = dbReservations.filter(ri => ri.State === 'active').map(ri => {
+    const { engine, byol } = riDbEngine(ri.ProductDescription);
+    return {
+      id: ri.ReservedDBInstanceId,
+      service: 'rds',
+      region,
+      type: ri.DBInstanceClass,
+      count: ri.DBInstanceCount,
+      engine,
+      multiAz: ri.MultiAZ,
+      sizeFlexible: RDS_SIZE_FLEXIBLE_ENGINES.includes(engine) || (engine.startsWith('oracle') && byol),
+      end: new Date(new Date(ri.StartTime).getTime() + ri.Duration * 1000),
+      offeringType: ri.OfferingType,
+      // Multi-AZ instances use twice the units
+      remainingUnits: ri.DBInstanceCount * normalizedUnits(ri.DBInstanceClass) * (ri.MultiAZ ? 2 : 1)
+    };
+  });
+
+  return ec2.concat(rds);
+}
+
+async function fetchSavingsPlans(account) {
+  const client = new SavingsplansClient({ region: 'us-east-1', credentials: getAccountCredentials(account) });
+  let plans = [];
   let nextToken;
   do {
-    const command = new CommandClass({ ...params, NextToken: nextToken });
-    const data = await client.send(command).catch(err => { throw err; });
-    if (data[resultKey]) results = results.concat(data[resultKey]);
-    nextToken = data.NextToken || data.Marker;
+    const data = await sendAws(client, new DescribeSavingsPlansCommand({ states: ['active'], nextToken }));
+    plans = plans.concat(data.savingsPlans || []);
+    nextToken = data.nextToken;
   } while (nextToken);
-  return results;
-}
-
-// Helper to get metric from CloudWatch (with caching)
-async function getMetric(cwClient, namespace, metricName, dimensions, stat = 'Average', days = 1) {
-  // Create a cache key for the metric
-  const cacheKey = `metric:${namespace}:${metricName}:${JSON.stringify(dimensions)}:${stat}:${days}`;
-  
-  // Try to get from cache first
-  const cachedMetric = await getCached(cacheKey);
-  if (cachedMetric !== null) {
-    return cachedMetric;
-  }
-  
-  const period = days <= 1 ? 3600 : 86400;
-  const params = {
-    StartTime: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
-    EndTime: new Date(),
-    MetricDataQueries: [{
-      Id: 'm1',
-      MetricStat: {
-        Metric: { Namespace: namespace, MetricName: metricName, Dimensions: dimensions },
-        Period: period,
-        Stat: stat
+
+  return plans
+    .filter(sp => sp.savingsPlanType === 'Compute' || sp.savingsPlanType === 'EC2Instance')
+    .map(sp => {
+      const commitment = parseFloat(sp.commitment) || 0;
+      return {
+        id: sp.savingsPlanId,
+        type: sp.savingsPlanType,
+        commitment,
+        region: sp.region || null,
+        instanceFamily: sp.ec2InstanceFamily || null,
+        end: sp.end,
+        paymentOption: sp.paymentOption,
+        // On-Demand $/hour this commitment is expected to cover
+        remainingOnDemandHourly: commitment / (1 - COMMITMENTS.SAVINGS_PLAN_DISCOUNT[sp.savingsPlanType])
+      };
+    });
+}
+
+// Whether a reservation can apply to an instance at all
+function reservationMatches(ri, instance) {
+  if (ri.service !== instance.service || ri.region !== instance.region) return false;
+  if (ri.service === 'ec2') {
+    return ri.platform === (instance.platform || 'Linux/UNIX') &&
+      ri.tenancy === (instance.tenancy || 'default') &&
+      (!ri.availabilityZone || ri.availabilityZone === instance.availabilityZone);
+  }
+  return ri.engine === instance.engine && ri.multiAz === Boolean(instance.multiAz);
+}
+
+// Apply reservations to instances: exact type matches first, then size-flexible ones
+function applyReservations(instances, reservations) {
+  const unitsNeeded = inst => normalizedUnits(inst.type) * (inst.service === 'rds' && inst.multiAz ? 2 : 1);
+  const passes = [
+    (ri, inst) => ri.type === inst.type,
+    (ri, inst) => ri.sizeFlexible && instanceFamily(ri.type) === instanceFamily(inst.type)
+  ];
+
+  for (let sameSize of passes) {
+    for (let inst of instances.filter(i => i.coverage.status !== 'reserved')) {
+      for (let ri of reservations) {
+        if (ri.remainingUnits <= 0 || !reservationMatches(ri, inst) || !sameSize(ri, inst)) continue;
+        const needed = unitsNeeded(inst) * (1 - inst.coverage.fraction);
+        const used = Math.min(needed, ri.remainingUnits);
+        ri.remainingUnits -= used;
+        inst.coverage.fraction += used / unitsNeeded(inst);
+        inst.coverage.sources.push(ri.id);
+        inst.coverage.status = inst.coverage.fraction >= 0.999 ? 'reserved' : 'partial';
+        if (inst.coverage.status === 'reserved') break;
       }
-    }]
+    }
+  }
+}
+
+// Apply Savings Plans to the remaining EC2 On-Demand spend, largest instances first
+function applySavingsPlans(instances, savingsPlans) {
+  const candidates = instances
+    .filter(i => i.service === 'ec2' && i.coverage.fraction < 0.999)
+    .sort((a, b) => b.onDemandHourly - a.onDemandHourly);
+  // EC2 Instance plans are the more specific, so they apply first
+  const plans = savingsPlans.filter(sp => sp.type === 'EC2Instance')
+    .concat(savingsPlans.filter(sp => sp.type === 'Compute'));
+
+  for (let inst of candidates) {
+    for (let sp of plans) {
+      if (sp.remainingOnDemandHourly <= 0) continue;
+      if (sp.type === 'EC2Instance' && (sp.region !== inst.region || sp.instanceFamily !== instanceFamily(inst.type))) continue;
+      const needed = inst.onDemandHourly * (1 - inst.coverage.fraction);
+      if (needed <= 0) break;
+      const used = Math.min(needed, sp.remainingOnDemandHourly);
+      sp.remainingOnDemandHourly -= used;
+      inst.coverage.fraction += inst.onDemandHourly ? used / inst.onDemandHourly : 1;
+      inst.coverage.sources.push(sp.id);
+      inst.coverage.status = inst.coverage.fraction >= 0.999 ? 'savings-plan' : 'partial';
+    }
+  }
+}
+
+// RI purchase options for a group of identical uncovered instances
+async function commitmentOptions(group) {
+  const sample = group.instances[0];
+  const terms = sample.service === 'ec2'
+    ? await reservedEc2Terms({ region: sample.region, instanceType: sample.type, operation: sample.operation, tenancy: sample.tenancy })
+    : await reservedRdsTerms({ region: sample.region, instanceClass: sample.type, engine: sample.engine, licenseModel: sample.licenseModel, multiAz: sample.multiAz });
+
+  const onDemandMonthly = sample.onDemandHourly * HOURS_PER_MONTH;
+  return terms
+    .filter(term => term.lease === '1yr' || term.lease === '3yr')
+    .map(term => {
+      const monthlySavingsPerInstance = onDemandMonthly - term.effectiveMonthly;
+      const recurringSavings = onDemandMonthly - term.hourly * HOURS_PER_MONTH;
+      return {
+        lease: term.lease,
+        purchaseOption: term.purchaseOption,
+        quantity: group.instances.length,
+        upfront: term.upfront * group.instances.length,
+        hourly: term.hourly,
+        monthlySavings: monthlySavingsPerInstance * group.instances.length,
+        savingsPct: onDemandMonthly ? (monthlySavingsPerInstance / onDemandMonthly) * 100 : 0,
+        // Months until the upfront payment is recovered
+        breakEvenMonths: term.upfront > 0 && recurringSavings > 0 ? term.upfront / recurringSavings : 0,
+        // Share of the term the instance must run for the RI to beat On-Demand
+        breakEvenUtilization: onDemandMonthly ? term.effectiveMonthly / onDemandMonthly : null
+      };
+    })
+    .filter(option => option.monthlySavings > 0)
+    .sort((a, b) => b.monthlySavings - a.monthlySavings);
+}
+
+// Coverage and purchase recommendations for one account (with caching).
+// Regions run on the collector pool; a region (or the Savings Plans lookup)
+// that fails is reported in `errors` and left out, and only complete
+// results are cached.
+async function analyzeCommitments(account, forceRefresh = false) {
+  const cacheKey = `commitments:${account.id}`;
+  if (!forceRefresh) {
+    const cached = await getCached(cacheKey);
+    if (cached !== null) return cached;
+  }
+
+  const { tasks, errors } = await accountRegionTasks([account]);
+  const outcomes = await runTasks(tasks, async ({ region }) => {
+    const [ec2, rds, regionReservations] = await Promise.all([
+      fetchServiceResources(account, 'ec2', region, forceRefresh),
+      fetchServiceResources(account, 'rds', region, forceRefresh),
+      fetchReservations(account, region)
+    ]);
+    return { resources: ec2.resources.concat(rds.resources), reservations: regionReservations };
+  }, {
+    label: task => `Commitments for ${account.id}/${task.region}`
+  });
+
+  let instances = [];
+  let reservations = [];
+  for (let { task, ok, value, error } of outcomes) {
+    if (!ok) {
+      console.error(`Error analyzing commitments for ${account.id}/${task.region}:`, error.message);
+      errors.push({ accountId: account.id, region: task.region, ...describeError(error) });
+      continue;
+    }
+    // DB clusters and Serverless v2 instances cannot be reserved
+    const running = value.resources.filter(r => r.state === (r.service === 'ec2' ? 'running' : 'available') && parseInstanceType(r.type));
+    instances = instances.concat(running.map(r => {
+      const compute = (r.costBreakdown || []).find(c => c.dimension === 'compute');
+      return {
+        ...r,
+        onDemandHourly: compute ? compute.rate : r.monthlyCost / HOURS_PER_MONTH,
+        coverage: { status: 'on-demand', fraction: 0, sources: [] }
+      };
+    }));
+    reservations = reservations.concat(value.reservations);
+  }
+
+  let savingsPlans = [];
+  try {
+    savingsPlans = await fetchSavingsPlans(account);
+  } catch (err) {
+    console.error(`Error listing Savings Plans for ${account.id}:`, err.message);
+    errors.push({ accountId: account.id, region: 'global', ...describeError(err) });
+  }
+
+  applyReservations(instances, reservations);
+  applySavingsPlans(instances, savingsPlans);
+
+  // Steadily used, long-running instances without full coverage
+  const groups = new Map();
+  for (let inst of instances) {
+    if (inst.coverage.status === 'reserved' || inst.coverage.status === 'savings-plan') continue;
+    if (inst.usageStatus !== 'used' || resourceAgeDays(inst) < COMMITMENTS.MIN_AGE_DAYS) continue;
+    const key = [inst.service, inst.region, inst.type, inst.operation || inst.engine, inst.tenancy || inst.multiAz, inst.licenseModel].join('|');
+    if (!groups.has(key)) groups.set(key, { instances: [] });
+    groups.get(key).instances.push(inst);
+  }
+
+  const recommendations = [];
+  for (let group of groups.values()) {
+    const options = await commitmentOptions(group);
+    if (options.length === 0) continue;
+    const sample = group.instances[0];
+    recommendations.push({
+      accountId: account.id,
+      service: sample.service,
+      region: sample.region,
+      type: sample.type,
+      platform: sample.platform || sample.engine,
+      quantity: group.instances.length,
+      instanceIds: group.instances.map(i => i.id),
+      onDemandMonthly: sample.onDemandHourly * HOURS_PER_MONTH * group.instances.length,
+      best1yr: options.find(o => o.lease === '1yr') || null,
+      best3yr: options.find(o => o.lease === '3yr') || null,
+      options
+    });
+  }
+  recommendations.sort((a, b) => (b.best3yr?.monthlySavings || 0) - (a.best3yr?.monthlySavings || 0));
+
+  const coveredCost = instances.reduce((sum, i) => sum + i.onDemandHourly * i.coverage.fraction, 0) * HOURS_PER_MONTH;
+  const totalCost = instances.reduce((sum, i) => sum + i.onDemandHourly, 0) * HOURS_PER_MONTH;
+  const result = {
+    accountId: account.id,
+    instances: instances.map(i => ({
+      accountId: i.accountId,
+      service: i.service,
+      region: i.region,
+      id: i.id,
+      type: i.type,
+      platform: i.platform || i.engine,
+      usageStatus: i.usageStatus,
+      onDemandMonthly: i.onDemandHourly * HOURS_PER_MONTH,
+      coverage: i.coverage
+    })),
+    reservations: reservations.map(({ remainingUnits, ...ri }) => ({ ...ri, unusedUnits: remainingUnits })),
+    savingsPlans: savingsPlans.map(({ remainingOnDemandHourly, ...sp }) => ({ ...sp, unusedOnDemandHourly: remainingOnDemandHourly })),
+    summary: {
+      instances: instances.length,
+      covered: instances.filter(i => i.coverage.status === 'reserved' || i.coverage.status === 'savings-plan').length,
+      partial: instances.filter(i => i.coverage.status === 'partial').length,
+      onDemand: instances.filter(i => i.coverage.status === 'on-demand').length,
+      coveredMonthlyCost: coveredCost,
+      totalMonthlyCost: totalCost,
+      coveragePct: totalCost ? (coveredCost / totalCost) * 100 : 0
+    },
+    recommendations,
+    errors,
+    succeeded: errors.length === 0 || outcomes.some(o => o.ok)
   };
-  
-  const data = await cwClient.send(new GetMetricDataCommand(params));
-  const values = data.MetricDataResults[0].Values || [];
-  let result;
-  
-  if (stat === 'Sum') {
-    result = values.reduce((a, b) => a + b, 0);
-  } else {
-    result = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-  }
-  
-  // Cache the metric result (shorter TTL for metrics)
-  await setCached(cacheKey, result, CACHE_TTL.METRICS);
+
+  if (errors.length === 0) await setCached(cacheKey, result, CACHE_TTL.RESOURCES);
   return result;
 }
 
-// Helper to get instance hourly price from Pricing API (with caching)
-async function getHourlyPrice(serviceCode, filters) {
-  // Create a cache key based on service and filters
-  const cacheKey = `price:${serviceCode}:${JSON.stringify(filters)}`;
-  
-  // Try to get from cache first
-  const cachedPrice = await getCached(cacheKey);
-  if (cachedPrice !== null) {
-    return cachedPrice;
-  }
-  
-  const pricingClient = new PricingClient({ region: 'us-east-1', credentials });
-  const params = {
-    ServiceCode: serviceCode,
-    Filters: filters,
-    MaxResults: 1,
-    FormatVersion: 'aws_v1'
-  };
-  
-  try {
-    const data = await pricingClient.send(new GetProductsCommand(params));
-    if (data.PriceList.length > 0) {
-      const priceItem = JSON.parse(data.PriceList[0]);
-      const onDemand = Object.values(priceItem.terms.OnDemand)[0];
-      const priceDim = Object.values(onDemand.priceDimensions)[0];
-      const price = parseFloat(priceDim.pricePerUnit.USD);
-      
-      // Cache pricing data (long TTL as prices don't change often)
-      await setCached(cacheKey, price, CACHE_TTL.PRICING);
-      return price;
+// ---------------------------------------------------------------------------
+// Estimated vs actual cost
+// Estimates come from the latest scan snapshot; actuals from Cost Explorer.
+// ---------------------------------------------------------------------------
+
+// Cost Explorer reports RDS and Lambda resources by ARN
+function matchesCostResourceId(record, resourceId) {
+  return resourceId === record.id || resourceId.endsWith(`:${record.id}`) || resourceId.endsWith(`/${record.id}`);
+}
+
+async function buildReconciliation(accounts) {
+  const accountIds = accounts.map(acc => acc.id);
+  const index = await readSnapshotIndex();
+  if (index.length === 0) throw new Error('No scan snapshots yet; run a scan first');
+  const snapshot = await readSnapshot(index[index.length - 1].id);
+  const records = snapshot.resources.filter(r => accountIds.includes(r.accountId));
+
+  const mtd = monthToDatePeriod();
+  const lastMonth = lastMonthPeriod();
+  const [actualMtd, actualLastMonth, resourceCosts] = await Promise.all([
+    getServiceRegionCosts(mtd, accountIds),
+    getServiceRegionCosts(lastMonth, accountIds),
+    getResourceCosts(accountIds)
+  ]);
+
+  const rows = new Map();
+  const rowFor = (service, region) => {
+    const key = `${service}|${region}`;
+    if (!rows.has(key)) {
+      rows.set(key, { service, region, estimatedMonthly: 0, actualMtd: 0, projectedMonth: null, actualLastMonth: 0 });
     }
-  } catch (err) {
-    console.error('Pricing error:', err);
-  }
-  return 0;
-}
-
-// Internal helper to get all regions (with caching)
-async function getAllRegions() {
-  const cacheKey = 'aws:regions';
-  
-  // Try to get from cache first
-  const cachedRegions = await getCached(cacheKey);
-  if (cachedRegions !== null) {
-    return cachedRegions;
-  }
-  
-  const ec2 = new EC2Client({ region: 'us-east-1', credentials });
-  const data = await ec2.send(new DescribeRegionsCommand({}));
-  const regions = data.Regions.map(r => r.RegionName).sort();
-  
-  // Cache regions for 24 hours
-  await setCached(cacheKey, regions, CACHE_TTL.REGIONS);
-  return regions;
-}
-
-// Helper to send email notification via nodemailer
-async function sendNotification(resources, isManual = false) {
-  console.log('sendNotification called with:', { resourcesLength: resources.length, isManual, emailUser, receiverEmail });
-  if (!emailUser || !emailPass || !receiverEmail) {
-    console.log('Skipping email: Missing email configuration');
-    throw new Error('Missing email configuration in .env');
-  }
-
-  const subject = isManual
-    ? 'Manual AWS Resources Notification'
-    : 'AWS Unused Resources Notification (>30 days)';
-  const body = resources.length
-    ? `The following AWS resources were identified:\n\n` +
-      resources.map(r => `${r.service.toUpperCase()} in ${r.region}: ${r.id || r.name} (${r.usageStatus}, Cost: $${r.monthlyCost?.toFixed(2) || '0.00'})`).join('\n')
-    : 'No unused resources found. This is a test email.';
-
-  const mailOptions = {
-    from: `AWS Resource Monitor <${emailUser}>`,
-    to: receiverEmail,
-    subject: subject,
-    text: body
+    return rows.get(key);
   };
+  for (let record of records) rowFor(record.service, record.region).estimatedMonthly += record.monthlyCost;
+  for (let cost of actualMtd) rowFor(cost.service, cost.region).actualMtd += cost.amount;
+  for (let cost of actualLastMonth) rowFor(cost.service, cost.region).actualLastMonth += cost.amount;
+
+  // Compare against the month-to-date run rate, or last month early in the month
+  const variance = row => {
+    if (mtd.daysElapsed > 0) row.projectedMonth = row.actualMtd / mtd.daysElapsed * mtd.daysInMonth;
+    const actual = row.projectedMonth ?? row.actualLastMonth;
+    row.variance = row.estimatedMonthly - actual;
+    row.variancePct = actual ? (row.variance / actual) * 100 : null;
+    return row;
+  };
+
+  const serviceRows = [...rows.values()].map(variance).sort((a, b) => b.actualMtd - a.actualMtd);
+  const totals = variance(serviceRows.reduce((sum, row) => ({
+    estimatedMonthly: sum.estimatedMonthly + row.estimatedMonthly,
+    actualMtd: sum.actualMtd + row.actualMtd,
+    actualLastMonth: sum.actualLastMonth + row.actualLastMonth,
+    projectedMonth: null
+  }), { estimatedMonthly: 0, actualMtd: 0, actualLastMonth: 0, projectedMonth: null }));
+
+  const resources = resourceCosts.length === 0 ? [] : records.map(record => {
+    const actual = resourceCosts.find(cost => cost.service === record.service && matchesCostResourceId(record, cost.resourceId));
+    if (!actual) return null;
+    return {
+      accountId: record.accountId,
+      service: record.service,
+      region: record.region,
+      id: record.id,
+      estimatedMonthly: record.monthlyCost,
+      actualLast14Days: actual.actualLast14Days,
+      monthlyRunRate: actual.monthlyRunRate,
+      variance: record.monthlyCost - actual.monthlyRunRate
+    };
+  }).filter(Boolean);
+
+  return {
+    snapshotId: snapshot.id,
+    snapshotTakenAt: snapshot.takenAt,
+    periods: { monthToDate: mtd, lastMonth },
+    resourceLevel: isResourceLevelEnabled() ? { days: RESOURCE_LEVEL_DAYS } : null,
+    rows: serviceRows,
+    totals,
+    resources
+  };
+}
 
+// Send resources to the configured notification channels (or only `channelName`).
+// Throws if no channel accepted the message.
+async function sendNotification(resources, isManual = false, channelName) {
+  const results = await notify(resources, { isManual, channelName });
+  const sent = results.filter(r => r.status === 'sent');
+  const failed = results.filter(r => r.status === 'failed');
+  if (failed.length > 0 && sent.length === 0) {
+    throw new Error(`Notification failed: ${failed.map(r => `${r.channel}: ${r.error}`).join('; ')}`);
+  }
+  return {
+    message: sent.length ? `Notification sent to ${sent.map(r => r.channel).join(', ')}` : 'No channel had matching resources',
+    results
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Resource queries
+// /api/resources collects every requested account x region x service on the
+// collector pool, then filters, sorts, aggregates and pages the result with
+// the query helpers in lib/resources.js.
+// ---------------------------------------------------------------------------
+
+// Shared by /api/resources and /api/resources/:service/:region
+async function handleResourceQuery(req, res, pathParams) {
+  let q;
   try {
-    console.log('Sending email with options:', mailOptions);
-    await transporter.sendMail(mailOptions);
-    console.log('Notification email sent via Gmail SMTP');
-    return { message: 'Email sent successfully' };
+    q = parseResourceQuery(req.query, pathParams);
   } catch (err) {
-    console.error('Error sending email via nodemailer:', err);
-    throw err;
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { resources, errors, cacheMetas, succeeded } = await loadResources(q);
+    const result = queryResources(resources, q);
+    const cache = mergeCacheMeta(cacheMetas);
+    const body = {
+      ...result,
+      totalCostEstimate: result.aggregates.totalCostEstimate.toFixed(2),
+      errors,
+      // True when nothing had to be fetched from AWS for this response
+      fromCache: cacheMetas.length > 0 && cache.misses === 0,
+      cache
+    };
+    if (!succeeded) {
+      return res.status(502).json({ error: errors[0].message, ...body });
+    }
+    console.log(`Returning ${result.resources.length} of ${result.total} resources (${errors.length} parts failed)`);
+    res.json(body);
+  } catch (err) {
+    console.error('Error fetching resources:', err);
+    res.status(500).json({ error: err.message || 'Failed to fetch resources' });
   }
 }
 
-// Helper to fetch resources for a specific service and region (with caching)
-async function fetchServiceResources(service, region, forceRefresh = false) {
-  const cacheKey = `resources:${service}:${region}`;
-  
-  // Try to get from cache unless force refresh
-  if (!forceRefresh) {
-    const cachedResources = await getCached(cacheKey);
-    if (cachedResources !== null) {
-      console.log(`Cache hit for ${service} in ${region}`);
-      return cachedResources;
+// ---------------------------------------------------------------------------
+// Reports
+// A report is the full (unpaged) result of a resource query with its
+// aggregates and the biggest savings, rendered by lib/reports.js as CSV, JSON,
+// XLSX or PDF. Scheduled reports are saved under DATA_DIR/reports and sent to
+// notification channels with the files attached (linked from Slack/Teams).
+// ---------------------------------------------------------------------------
+
+// Links in notifications point back at this server
+const appBaseUrl = (process.env.APP_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
+
+// Generate a scheduled report, store its files and send them to the schedule's
+// channels ("channels": [] only stores them)
+async function runReportSchedule(schedule) {
+  console.log(`Generating report ${schedule.name}`);
+  const report = await buildReport(parseResourceQuery(schedule.query, { paged: false }), { title: schedule.title, top: schedule.top });
+  if (!report.succeeded) throw new Error(`No resources could be collected: ${report.errors[0].message}`);
+
+  const files = [];
+  for (let format of schedule.formats) {
+    const file = await renderReport(report, format, { basename: schedule.name });
+    await saveReportFile(file);
+    files.push({ ...file, url: `${appBaseUrl}/api/reports/files/${encodeURIComponent(file.filename)}` });
+  }
+
+  let results = [];
+  if (!schedule.channels || schedule.channels.length > 0) {
+    const { aggregates } = report;
+    results = await notifyReport(report.topSavings, {
+      subject: report.title,
+      intro: `${aggregates.count} resources costing $${aggregates.totalCostEstimate.toFixed(2)}/mo; ` +
+        `${report.unusedCount} unused, with potential savings of $${report.potentialSavings.toFixed(2)}/mo.` +
+        (report.topSavings.length > 0 ? ` The largest savings:` : ''),
+      attachments: files,
+      channelNames: schedule.channels
+    });
+  }
+  console.log(`Report ${schedule.name}: ${files.map(f => f.filename).join(', ')}`);
+  return {
+    files: files.map(({ filename, contentType, content, url }) => ({ filename, contentType, size: content.length, url })),
+    results,
+    errors: report.errors
+  };
+}
+
+configureReports({
+  dir: path.join(dataDir, 'reports'),
+  validateQuery: query => parseResourceQuery(query, { paged: false }),
+  run: runReportSchedule
+});
+try {
+  loadReportSchedules();
+} catch (err) {
+  console.error('Failed to load report schedules:', err.message);
+  process.exit(1);
+}
+
+// ---------------------------------------------------------------------------
+// Scan jobs
+// Manual and scheduled scans run through the same job runner. A job walks
+// every account x region x service, publishes progress, partial results and
+// errors to its subscribers (Server-Sent Events) and can be cancelled between
+// steps. Steps run on the collector's bounded pool. Only one scan runs at a
+// time; finished jobs are kept in memory.
+// ---------------------------------------------------------------------------
+
+const SCAN_JOBS_KEPT = 20;
+const scanJobs = new Map();
+let activeScanJob = null;
+
+class ScanInProgressError extends Error {
+  constructor(job) {
+    super(`Scan ${job.id} is already running`);
+    this.job = job;
+  }
+}
+
+// Public view of a job (no emitter or promise)
+function scanJobView(job, { includeResults = false } = {}) {
+  const { emitter, done, scannedResources, unusedResources, longIdleResources, suppressedCount, ...view } = job;
+  if (includeResults) view.unusedResources = unusedResources;
+  return view;
+}
+
+function emitScanEvent(job, event, data) {
+  job.emitter.emit('event', { event, data });
+}
+
+// Create a scan job and start it in the background; job.done settles when it ends
+function startScanJob({ accountId = 'all', trigger = 'manual', requestedBy = 'anonymous' } = {}) {
+  if (activeScanJob) throw new ScanInProgressError(activeScanJob);
+
+  const job = {
+    id: crypto.randomUUID(),
+    trigger,
+    accountId,
+    requestedBy,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelRequested: false,
+    progress: { total: 0, completed: 0, current: null },
+    tasks: [],
+    errors: [],
+    summary: null,
+    snapshotId: null,
+    notification: null,
+    emitter: new EventEmitter(),
+    scannedResources: [],
+    unusedResources: [],
+    longIdleResources: [],
+    suppressedCount: 0
+  };
+  job.emitter.setMaxListeners(0);
+  scanJobs.set(job.id, job);
+  activeScanJob = job;
+
+  // Forget the oldest finished jobs
+  for (let [id, old] of scanJobs) {
+    if (scanJobs.size <= SCAN_JOBS_KEPT) break;
+    if (old.status !== 'running') scanJobs.delete(id);
+  }
+
+  job.done = runScanJob(job)
+    .catch(err => {
+      console.error(`Scan ${job.id} failed:`, err);
+      job.status = 'failed';
+      job.errors.push({ message: err.message });
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      job.progress.current = null;
+      activeScanJob = null;
+      recordScan(job);
+      emitScanEvent(job, 'done', scanJobView(job));
+      job.emitter.removeAllListeners();
+    });
+  return job;
+}
+
+function cancelScanJob(id) {
+  const job = scanJobs.get(id);
+  if (!job) throw new Error(`Unknown scan job: ${id}`);
+  if (job.status !== 'running') throw new Error(`Scan ${id} has already finished (${job.status})`);
+  job.cancelRequested = true;
+  emitScanEvent(job, 'cancelling', { id });
+  return job;
+}
+
+async function runScanJob(job) {
+  console.log(`Scan ${job.id} started (${job.trigger}, account ${job.accountId}, by ${job.requestedBy})`);
+  const accounts = await resolveAccounts(job.accountId);
+  const accountsById = new Map(accounts.map(account => [account.id, account]));
+
+  // Plan every account/region/service step up front so progress has a total
+  for (let account of accounts) {
+    let regions;
+    try {
+      regions = await getAllRegions(account);
+    } catch (err) {
+      const error = { accountId: account.id, message: `Failed to list regions: ${err.message}` };
+      job.errors.push(error);
+      emitScanEvent(job, 'task-error', error);
+      continue;
+    }
+    for (let region of regions) {
+      for (let service of SERVICES) {
+        job.tasks.push({ accountId: account.id, region, service, status: 'pending', count: 0 });
+      }
     }
   }
-  
-  console.log(`Cache miss - fetching ${service} in ${region}`);
-  let resources = [];
-  let totalCostEstimate = 0;
-  const cwRegion = service === 's3' ? 'us-east-1' : region;
-  const cwClient = new CloudWatchClient({ region: cwRegion, credentials });
-
-  switch (service) {
-    case 'ec2': {
-      const ec2Client = new EC2Client({ region, credentials });
-      const reservations = await paginateDescribe(ec2Client, DescribeInstancesCommand, {}, 'Reservations');
-      resources = reservations.flatMap(res => res.Instances || []).map(inst => ({
-        service,
-        region,
-        id: inst.InstanceId,
-        type: inst.InstanceType,
-        state: inst.State.Name,
-        creation: inst.LaunchTime,
-        avgCpu: 0,
-        usageStatus: inst.State.Name,
-        monthlyCost: 0
-      }));
+  if (job.tasks.length === 0 && job.errors.length > 0) {
+    throw new Error('No regions could be listed for any account');
+  }
+  job.progress.total = job.tasks.length;
+  emitScanEvent(job, 'plan', { total: job.progress.total });
 
-      for (let inst of resources) {
-        if (inst.state === 'running') {
-          inst.avgCpu = await getMetric(cwClient, 'AWS/EC2', 'CPUUtilization', [{ Name: 'InstanceId', Value: inst.id }], 'Average', 1);
-          if (inst.avgCpu < 1) inst.usageStatus = 'idle';
-          else if (inst.avgCpu < 10) inst.usageStatus = 'underutilized';
-          else inst.usageStatus = 'used';
-
-          const location = regionToLocation[region] || '';
-          if (location) {
-            const filters = [
-              { Type: 'TERM_MATCH', Field: 'instanceType', Value: inst.type },
-              { Type: 'TERM_MATCH', Field: 'operatingSystem', Value: 'Linux' },
-              { Type: 'TERM_MATCH', Field: 'tenancy', Value: 'Shared' },
-              { Type: 'TERM_MATCH', Field: 'capacitystatus', Value: 'Used' },
-              { Type: 'TERM_MATCH', Field: 'preInstalledSw', Value: 'NA' },
-              { Type: 'TERM_MATCH', Field: 'location', Value: location }
-            ];
-            const hourly = await getHourlyPrice('AmazonEC2', filters);
-            inst.monthlyCost = hourly * 730;
-            totalCostEstimate += inst.monthlyCost;
-          }
-        } else if (inst.state === 'stopped') {
-          inst.usageStatus = 'stopped';
-          inst.monthlyCost = 0;
-        }
+  // Steps run concurrently on the collector pool; cancelling stops new steps from starting
+  const stepOf = task => ({ accountId: task.accountId, region: task.region, service: task.service });
+  const outcomes = await runTasks(job.tasks, async task => {
+    // Force refresh for scans to get the latest data
+    const { resources } = await fetchServiceResources(accountsById.get(task.accountId), task.service, task.region, true);
+    // Suppressed resources are scanned (and kept in the snapshot) but never reported
+    const reportable = resources.filter(r => !r.suppressed);
+    const unused = reportable.filter(isUnused);
+    job.scannedResources.push(...resources);
+    job.unusedResources.push(...unused);
+    job.longIdleResources.push(...reportable.filter(isLongIdle));
+    job.suppressedCount += resources.length - reportable.length;
+    task.count = resources.length;
+    if (unused.length > 0) emitScanEvent(job, 'resources', { ...stepOf(task), unusedResources: unused });
+  }, {
+    label: task => `${task.service} in ${task.accountId}/${task.region}`,
+    isCancelled: () => job.cancelRequested,
+    onStart: task => {
+      task.status = 'running';
+      job.progress.current = stepOf(task);
+      emitScanEvent(job, 'task', { ...stepOf(task), status: 'running' });
+    },
+    onSettled: ({ task, ok, error }) => {
+      const step = stepOf(task);
+      if (ok) {
+        task.status = 'done';
+      } else {
+        console.error(`Scan ${job.id}: ${task.service} in ${task.accountId}/${task.region} failed:`, error.message);
+        task.status = 'failed';
+        task.error = error.message;
+        const entry = { ...step, ...describeError(error) };
+        job.errors.push(entry);
+        emitScanEvent(job, 'task-error', entry);
       }
-      break;
+      job.progress.completed += 1;
+      emitScanEvent(job, 'progress', { ...step, status: task.status, count: task.count, ...job.progress });
     }
-    case 'ebs': {
-      const ec2Client = new EC2Client({ region, credentials });
-      const volumes = await paginateDescribe(ec2Client, DescribeVolumesCommand, {}, 'Volumes');
-      const typePrices = { gp2: 0.10, gp3: 0.08, io1: 0.125, st1: 0.045, sc1: 0.025 };
-      resources = volumes.map(vol => {
-        const pricePerGb = typePrices[vol.VolumeType] || 0.10;
-        const monthlyCost = vol.Size * pricePerGb;
-        totalCostEstimate += monthlyCost;
-        return {
-          service,
-          region,
-          id: vol.VolumeId,
-          type: vol.VolumeType,
-          state: vol.State,
-          size: vol.Size,
-          creation: vol.CreateTime,
-          usageStatus: vol.State === 'in-use' ? 'used' : 'idle',
-          monthlyCost
-        };
-      });
-      break;
+  });
+  for (let outcome of outcomes) {
+    if (outcome.cancelled) outcome.task.status = 'cancelled';
+  }
+  job.summary = {
+    scanned: job.scannedResources.length,
+    unused: job.unusedResources.length,
+    longIdle: job.longIdleResources.length,
+    suppressed: job.suppressedCount,
+    failedTasks: job.tasks.filter(t => t.status === 'failed').length
+  };
+  if (job.cancelRequested) {
+    job.status = 'cancelled';
+    console.log(`Scan ${job.id} cancelled after ${job.progress.completed}/${job.progress.total} steps`);
+    return;
+  }
+  if (job.progress.total > 0 && job.summary.failedTasks === job.progress.total) {
+    throw new Error('Every scan step failed');
+  }
+
+  lastUnusedResources = job.unusedResources;
+  const snapshot = await saveSnapshot(job.scannedResources, job.trigger);
+  job.snapshotId = snapshot.id;
+  setResourceMetrics(job.scannedResources, snapshot.takenAt);
+  job.notification = await notifyScanResults(job);
+  job.status = 'completed';
+  console.log(`Scan ${job.id} completed: ${job.summary.scanned} resources, ${job.summary.unused} unused, ${job.summary.longIdle} long-idle`);
+}
+
+// Scheduled scans route to owners when configured; otherwise long-idle resources go to every channel
+async function notifyScanResults(job) {
+  const longIdle = job.longIdleResources;
+  try {
+    if (job.trigger === 'scheduled' && isOwnerRoutingEnabled()) {
+      // Owners get their own digests even on quiet days, so resolved resources reset their notice counts
+      const routed = await routeToOwners(longIdle);
+      return { message: `Notified ${routed.owners.length} owners (${routed.escalations.length} escalations)` };
     }
-    case 's3': {
-      const s3Client = new S3Client({ region: 'us-east-1', credentials });
-      const buckets = (await s3Client.send(new ListBucketsCommand({}))).Buckets || [];
-      for (let bucket of buckets) {
-        let locRes;
-        try {
-          locRes = await s3Client.send(new GetBucketLocationCommand({ Bucket: bucket.Name }));
-        } catch (err) {
-          if (err.name !== 'NoSuchBucket') console.error(err);
-          continue;
-        }
-        const bucketRegion = locRes.LocationConstraint || 'us-east-1';
-        if (bucketRegion !== region) continue;
-
-        const numObjects = await getMetric(cwClient, 'AWS/S3', 'NumberOfObjects', [
-          { Name: 'BucketName', Value: bucket.Name },
-          { Name: 'StorageType', Value: 'AllStorageTypes' }
-        ], 'Average', 1);
-        const sizeBytes = await getMetric(cwClient, 'AWS/S3', 'BucketSizeBytes', [
-          { Name: 'BucketName', Value: bucket.Name },
-          { Name: 'StorageType', Value: 'StandardStorage' }
-        ], 'Average', 1);
-        const sizeGB = sizeBytes / (1024 ** 3);
-        const usageStatus = numObjects > 0 ? 'used' : 'idle';
-        const monthlyCost = sizeGB * 0.023;
-
-        resources.push({
-          service,
-          region,
-          name: bucket.Name,
-          created: bucket.CreationDate,
-          numObjects,
-          sizeGB,
-          creation: bucket.CreationDate,
-          usageStatus,
-          monthlyCost
-        });
-        totalCostEstimate += monthlyCost;
-      }
-      break;
+    if (longIdle.length === 0) {
+      console.log('No long-idle resources found; skipping notifications');
+      return null;
     }
-    case 'rds': {
-      const rdsClient = new RDSClient({ region, credentials });
-      const dbInstances = await paginateDescribe(rdsClient, DescribeDBInstancesCommand, {}, 'DBInstances');
-      resources = dbInstances.map(db => ({
-        service,
-        region,
-        id: db.DBInstanceIdentifier,
-        type: db.DBInstanceClass,
-        engine: db.Engine,
-        state: db.DBInstanceStatus,
-        creation: db.InstanceCreateTime,
-        avgCpu: 0,
-        usageStatus: db.DBInstanceStatus,
-        monthlyCost: 0
-      }));
+    return await sendNotification(longIdle);
+  } catch (err) {
+    // The scan itself succeeded, so a notification failure is only reported
+    console.error(`Scan ${job.id}: notification failed:`, err);
+    job.errors.push({ message: `Notification failed: ${err.message}` });
+    return { error: err.message };
+  }
+}
 
-      for (let db of resources) {
-        if (db.state === 'available') {
-          db.avgCpu = await getMetric(cwClient, 'AWS/RDS', 'CPUUtilization', [{ Name: 'DBInstanceIdentifier', Value: db.id }], 'Average', 1);
-          if (db.avgCpu < 1) db.usageStatus = 'idle';
-          else if (db.avgCpu < 10) db.usageStatus = 'underutilized';
-          else db.usageStatus = 'used';
-
-          const location = regionToLocation[region] || '';
-          if (location) {
-            const filters = [
-              { Type: 'TERM_MATCH', Field: 'instanceType', Value: db.type },
-              { Type: 'TERM_MATCH', Field: 'databaseEngine', Value: db.engine.charAt(0).toUpperCase() + db.engine.slice(1) },
-              { Type: 'TERM_MATCH', Field: 'deploymentOption', Value: 'Single-AZ' },
-              { Type: 'TERM_MATCH', Field: 'location', Value: location }
-            ];
-            const hourly = await getHourlyPrice('AmazonRDS', filters);
-            db.monthlyCost = hourly * 730;
-            totalCostEstimate += db.monthlyCost;
-          }
-        } else if (db.state === 'stopped') {
-          db.usageStatus = 'stopped';
-          db.monthlyCost = 0;
-        }
-      }
-      break;
+// ---------------------------------------------------------------------------
+// Remediation actions
+// Every action goes through preview (dry-run) -> approve -> execute. Pending
+// and running remediations live in memory. Execution runs in the background:
+// the audit log gets an "executing" entry when it starts and the outcome when
+// it ends.
+// ---------------------------------------------------------------------------
+
+const auditLogPath = path.join(dataDir, 'audit.log');
+const REMEDIATION_TTL_MS = 60 * 60 * 1000; // approvals expire after 1 hour
+const SNAPSHOT_WAIT = { TIMEOUT_MS: 30 * 60 * 1000, POLL_MS: 15000 };
+const pendingRemediations = new Map();
+
+// Append one entry to the persistent audit log (JSON lines)
+async function writeAuditLog(entry) {
+  await fs.promises.appendFile(auditLogPath, JSON.stringify(entry) + '\n');
+}
+
+// Read the most recent audit log entries, newest first
+async function readAuditLog(limit = 100) {
+  let content;
+  try {
+    content = await fs.promises.readFile(auditLogPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line)).reverse().slice(0, limit);
+}
+
+// EC2 dry-run calls throw DryRunOperation when the real call would succeed
+async function ec2DryRun(ec2Client, command) {
+  try {
+    await sendAws(ec2Client, command);
+  } catch (err) {
+    if (err.name === 'DryRunOperation') return { permitted: true };
+    return { permitted: false, reason: err.message };
+  }
+  return { permitted: true };
+}
+
+// Error codes AWS returns when the resource to describe does not exist
+const NOT_FOUND_ERRORS = new Set([
+  'InvalidInstanceID.NotFound', 'InvalidInstanceID.Malformed', 'InvalidVolume.NotFound',
+  'DBInstanceNotFound', 'DBInstanceNotFoundFault', 'ResourceNotFoundException'
+]);
+
+function isNotFoundError(err) {
+  return NOT_FOUND_ERRORS.has(err.name) || NOT_FOUND_ERRORS.has(err.Code);
+}
+
+async function describeInstanceState(ec2Client, instanceId) {
+  try {
+    const data = await sendAws(ec2Client, new DescribeInstancesCommand({ InstanceIds: [instanceId] }));
+    const inst = data.Reservations?.[0]?.Instances?.[0];
+    if (!inst) return { exists: false };
+    return { exists: true, state: inst.State.Name, type: inst.InstanceType };
+  } catch (err) {
+    if (isNotFoundError(err)) return { exists: false };
+    throw err;
+  }
+}
+
+async function describeVolumeState(ec2Client, volumeId) {
+  try {
+    const data = await sendAws(ec2Client, new DescribeVolumesCommand({ VolumeIds: [volumeId] }));
+    const vol = data.Volumes[0];
+    return {
+      exists: true,
+      state: vol.State,
+      type: vol.VolumeType,
+      size: vol.Size,
+      attachments: (vol.Attachments || []).map(a => a.InstanceId)
+    };
+  } catch (err) {
+    if (isNotFoundError(err)) return { exists: false };
+    throw err;
+  }
+}
+
+async function describeDbState(rdsClient, dbId) {
+  try {
+    const data = await sendAws(rdsClient, new DescribeDBInstancesCommand({ DBInstanceIdentifier: dbId }));
+    const db = data.DBInstances[0];
+    if (!db) return { exists: false };
+    return { exists: true, state: db.DBInstanceStatus, type: db.DBInstanceClass, clusterId: db.DBClusterIdentifier || null };
+  } catch (err) {
+    if (isNotFoundError(err)) return { exists: false };
+    throw err;
+  }
+}
+
+// Published versions of a function with the aliases pointing at each; null
+// when the function does not exist
+async function describeLambdaVersions(lambdaClient, functionName) {
+  let versions, aliases;
+  try {
+    versions = await paginateDescribe(lambdaClient, ListVersionsByFunctionCommand, { FunctionName: functionName }, 'Versions');
+    aliases = await paginateDescribe(lambdaClient, ListAliasesCommand, { FunctionName: functionName }, 'Aliases');
+  } catch (err) {
+    if (isNotFoundError(err)) return null;
+    throw err;
+  }
+  return versions
+    .filter(v => v.Version !== '$LATEST')
+    .map(v => ({
+      version: v.Version,
+      lastModified: v.LastModified,
+      aliases: aliases
+        .filter(a => a.FunctionVersion === v.Version ||
+          Object.keys(a.RoutingConfig?.AdditionalVersionWeights || {}).includes(v.Version))
+        .map(a => a.Name)
+    }));
+}
+
+// Wait until a new snapshot has completed, polling through the rate limiter
+async function waitForSnapshot(ec2Client, snapshotId) {
+  const deadline = Date.now() + SNAPSHOT_WAIT.TIMEOUT_MS;
+  for (;;) {
+    const data = await sendAws(ec2Client, new DescribeSnapshotsCommand({ SnapshotIds: [snapshotId] }));
+    const state = data.Snapshots?.[0]?.State;
+    if (state === 'completed') return;
+    if (state === 'error') throw new Error(`Snapshot ${snapshotId} failed`);
+    if (Date.now() > deadline) throw new Error(`Snapshot ${snapshotId} did not complete within ${SNAPSHOT_WAIT.TIMEOUT_MS / 60000} minutes`);
+    await new Promise(resolve => setTimeout(resolve, SNAPSHOT_WAIT.POLL_MS));
+  }
+}
+
+// Supported actions, keyed by name. Each one knows how to capture the
+// resource state, preview the change and execute it.
+const REMEDIATION_ACTIONS = {
+  'stop-instance': {
+    service: 'ec2',
+    description: 'Stop EC2 instance',
+    async state(ctx) {
+      return describeInstanceState(ctx.ec2, ctx.resourceId);
+    },
+    async preview(ctx, before) {
+      if (before.state !== 'running') return { permitted: false, reason: `Instance is ${before.state}` };
+      return ec2DryRun(ctx.ec2, new StopInstancesCommand({ InstanceIds: [ctx.resourceId], DryRun: true }));
+    },
+    async execute(ctx) {
+      await sendAws(ctx.ec2, new StopInstancesCommand({ InstanceIds: [ctx.resourceId] }));
+      return {};
     }
-    case 'lambda': {
-      const lambdaClient = new LambdaClient({ region, credentials });
-      const functions = await paginateDescribe(lambdaClient, ListFunctionsCommand, {}, 'Functions');
-      resources = functions.map(fn => ({
-        service,
-        region,
-        name: fn.FunctionName,
-        runtime: fn.Runtime,
-        memory: fn.MemorySize,
-        creation: new Date(fn.LastModified),
-        invocations: 0,
-        usageStatus: 'idle',
-        monthlyCost: 0
+  },
+  'snapshot-delete-volume': {
+    service: 'ebs',
+    description: 'Snapshot and delete EBS volume',
+    async state(ctx) {
+      return describeVolumeState(ctx.ec2, ctx.resourceId);
+    },
+    async preview(ctx, before) {
+      if (before.state !== 'available') return { permitted: false, reason: `Volume is ${before.state}` };
+      const snapshot = await ec2DryRun(ctx.ec2, new CreateSnapshotCommand({ VolumeId: ctx.resourceId, DryRun: true }));
+      if (!snapshot.permitted) return snapshot;
+      return ec2DryRun(ctx.ec2, new DeleteVolumeCommand({ VolumeId: ctx.resourceId, DryRun: true }));
+    },
+    async execute(ctx) {
+      const snapshot = await sendAws(ctx.ec2, new CreateSnapshotCommand({
+        VolumeId: ctx.resourceId,
+        Description: `Pre-delete backup of ${ctx.resourceId} (remediation ${ctx.remediationId})`
       }));
-
-      for (let fn of resources) {
-        const invocations = await getMetric(cwClient, 'AWS/Lambda', 'Invocations', [{ Name: 'FunctionName', Value: fn.name }], 'Sum', 1);
-        fn.invocations = invocations;
-        fn.usageStatus = invocations > 0 ? 'used' : 'idle';
-
-        if (invocations > 0) {
-          const avgDuration = await getMetric(cwClient, 'AWS/Lambda', 'Duration', [{ Name: 'FunctionName', Value: fn.name }], 'Average', 1);
-          const totalDurationS = (avgDuration / 1000) * invocations;
-          const gbS = totalDurationS * (fn.memory / 1024);
-          const reqCost = invocations * 0.0000002;
-          const computeCost = gbS * 0.0000166667;
-          fn.monthlyCost = (reqCost + computeCost) * 30;
-          totalCostEstimate += fn.monthlyCost;
-        }
+      // Only delete once the backup is usable
+      await waitForSnapshot(ctx.ec2, snapshot.SnapshotId);
+      await sendAws(ctx.ec2, new DeleteVolumeCommand({ VolumeId: ctx.resourceId }));
+      return { snapshotId: snapshot.SnapshotId };
+    }
+  },
+  'stop-db-instance': {
+    service: 'rds',
+    description: 'Stop RDS instance',
+    async state(ctx) {
+      return describeDbState(ctx.rds, ctx.resourceId);
+    },
+    async preview(ctx, before) {
+      // RDS has no dry-run mode; check the instance can be stopped
+      if (before.state !== 'available') return { permitted: false, reason: `DB instance is ${before.state}` };
+      if (before.clusterId) return { permitted: false, reason: `DB instance belongs to cluster ${before.clusterId}, which is stopped as a whole` };
+      return { permitted: true };
+    },
+    async execute(ctx) {
+      await sendAws(ctx.rds, new StopDBInstanceCommand({ DBInstanceIdentifier: ctx.resourceId }));
+      return {};
+    }
+  },
+  'delete-lambda-version': {
+    service: 'lambda',
+    description: 'Delete unused Lambda version',
+    async state(ctx) {
+      const versions = await describeLambdaVersions(ctx.lambda, ctx.resourceId);
+      return versions ? { exists: true, versions } : { exists: false };
+    },
+    async preview(ctx, before) {
+      const unused = before.versions.filter(v => v.aliases.length === 0);
+      if (!ctx.params.version) {
+        // Default to the oldest version no alias points at
+        if (unused.length === 0) return { permitted: false, reason: 'No published versions without an alias' };
+        ctx.params.version = unused[0].version;
+      }
+      const target = before.versions.find(v => v.version === String(ctx.params.version));
+      if (!target) return { permitted: false, reason: `Version ${ctx.params.version} not found` };
+      if (target.aliases.length > 0) {
+        return { permitted: false, reason: `Version ${target.version} is referenced by alias ${target.aliases.join(', ')}` };
       }
-      break;
+      return { permitted: true, version: target.version, unusedVersions: unused.map(v => v.version) };
+    },
+    async execute(ctx) {
+      await sendAws(ctx.lambda, new DeleteFunctionCommand({ FunctionName: ctx.resourceId, Qualifier: ctx.params.version }));
+      return { deletedVersion: ctx.params.version };
     }
-    default:
-      throw new Error('Invalid service');
-  }
-  
-  const result = { resources, totalCostEstimate };
-  
-  // Cache the result
-  await setCached(cacheKey, result, CACHE_TTL.RESOURCES);
-  
-  return result;
+  }
+};
+
+// Build the SDK clients an action needs for the target account/region
+async function remediationContext(remediation) {
+  const account = await getAccount(remediation.accountId);
+  const accountCreds = getAccountCredentials(account);
+  const { region } = remediation;
+  return {
+    remediationId: remediation.id,
+    resourceId: remediation.resourceId,
+    params: remediation.params,
+    ec2: new EC2Client({ region, credentials: accountCreds }),
+    rds: new RDSClient({ region, credentials: accountCreds }),
+    lambda: new LambdaClient({ region, credentials: accountCreds })
+  };
+}
+
+function getPendingRemediation(id) {
+  const remediation = pendingRemediations.get(id);
+  if (!remediation) throw new Error(`Remediation ${id} not found`);
+  if (Date.now() - new Date(remediation.previewedAt).getTime() > REMEDIATION_TTL_MS) {
+    pendingRemediations.delete(id);
+    throw new Error(`Remediation ${id} has expired; preview it again`);
+  }
+  return remediation;
 }
 
+// Step 1: dry-run an action and record it as pending
+async function previewRemediation({ accountId, region, resourceId, action, params = {} }, user) {
+  const definition = REMEDIATION_ACTIONS[action];
+  if (!definition) throw new Error(`Unknown remediation action: ${action}`);
+  if (!accountId || !region || !resourceId) throw new Error('accountId, region and resourceId are required');
+
+  const remediation = {
+    id: crypto.randomUUID(),
+    action,
+    service: definition.service,
+    description: definition.description,
+    accountId,
+    region,
+    resourceId,
+    params: { ...params },
+    status: 'previewed',
+    requestedBy: user,
+    previewedAt: new Date().toISOString()
+  };
+
+  const ctx = await remediationContext(remediation);
+  const before = await definition.state(ctx);
+  if (!before.exists) throw new Error(`Resource ${resourceId} not found`);
+  const dryRun = await definition.preview(ctx, before);
+  remediation.params = ctx.params;
+  remediation.before = before;
+  remediation.dryRun = dryRun;
+
+  if (dryRun.permitted) pendingRemediations.set(remediation.id, remediation);
+  else remediation.status = 'rejected';
+  return remediation;
+}
+
+// Step 2: approve a previewed action
+function approveRemediation(id, user) {
+  const remediation = getPendingRemediation(id);
+  if (remediation.status !== 'previewed') throw new Error(`Remediation ${id} is ${remediation.status}`);
+  remediation.status = 'approved';
+  remediation.approvedBy = user;
+  remediation.approvedAt = new Date().toISOString();
+  return remediation;
+}
+
+// The audit log entry for a remediation
+function auditEntry(remediation) {
+  return {
+    id: remediation.id,
+    action: remediation.action,
+    description: remediation.description,
+    accountId: remediation.accountId,
+    region: remediation.region,
+    service: remediation.service,
+    resourceId: remediation.resourceId,
+    params: remediation.params,
+    status: remediation.status,
+    error: remediation.error,
+    requestedBy: remediation.requestedBy,
+    approvedBy: remediation.approvedBy,
+    executedBy: remediation.executedBy,
+    previewedAt: remediation.previewedAt,
+    approvedAt: remediation.approvedAt,
+    executedAt: remediation.executedAt,
+    finishedAt: remediation.finishedAt,
+    before: remediation.before,
+    dryRun: remediation.dryRun,
+    after: remediation.after,
+    result: remediation.result
+  };
+}
+
+// Step 3: start executing an approved action in the background. The resource
+// is checked again first, since it may have changed since the preview.
+async function executeRemediation(id, user) {
+  const remediation = getPendingRemediation(id);
+  if (remediation.status !== 'approved') throw new Error(`Remediation ${id} must be approved before it is executed`);
+
+  remediation.status = 'executing';
+  remediation.executedBy = user;
+  remediation.executedAt = new Date().toISOString();
+  await writeAuditLog(auditEntry(remediation));
+
+  runRemediation(remediation).catch(err => console.error(`Remediation ${id} could not be recorded:`, err));
+  return remediation;
+}
+
+async function runRemediation(remediation) {
+  const definition = REMEDIATION_ACTIONS[remediation.action];
+  try {
+    const ctx = await remediationContext(remediation);
+    remediation.before = await definition.state(ctx);
+    if (!remediation.before.exists) throw new Error(`Resource ${remediation.resourceId} not found`);
+    remediation.dryRun = await definition.preview(ctx, remediation.before);
+    if (!remediation.dryRun.permitted) {
+      remediation.status = 'rejected';
+      remediation.error = remediation.dryRun.reason;
+    } else {
+      remediation.result = await definition.execute(ctx);
+      remediation.after = await definition.state(ctx);
+      remediation.status = 'executed';
+    }
+  } catch (err) {
+    console.error(`Remediation ${remediation.id} failed:`, err);
+    remediation.status = 'failed';
+    remediation.error = err.message;
+  }
+  remediation.finishedAt = new Date().toISOString();
+  pendingRemediations.delete(remediation.id);
+
+  await writeAuditLog(auditEntry(remediation));
+  // The cached resource list for this service/region is now stale, and so is
+  // the shared snapshot/AMI listing when a snapshot was taken
+  await invalidate(`resources:${escapeGlob(remediation.accountId)}:${remediation.service}:${remediation.region}`);
+  if (remediation.service === 'ebs') {
+    await invalidate(`ec2-images-snapshots:${escapeGlob(remediation.accountId)}:${remediation.region}`);
+  }
+  console.log(`Remediation ${remediation.id} (${remediation.action} ${remediation.resourceId}) ${remediation.status}`);
+}
+
+// A remediation by id: pending or running ones from memory, finished ones from
+// their latest audit log entry
+async function findRemediation(id) {
+  if (pendingRemediations.has(id)) return pendingRemediations.get(id);
+  const entries = await readAuditLog(Infinity);
+  return entries.find(entry => entry.id === id) || null;
+}
+
+// Cached resource records carry the usage status, policy rule and owner they
+// were collected with, so a reloaded policy or owners file only takes effect
+// once they are dropped (along with the recommendations built from them)
+async function invalidatePolicyResults() {
+  return (await invalidate('resources:*')) +
+    (await invalidate('recommendations:*')) +
+    (await invalidate('commitments:*'));
+}
+
+// Identify the user performing an action (the X-User header is only trusted with auth disabled)
+function requestUser(req) {
+  if (req.user && req.user.provider !== 'none') return req.user.name;
+  return req.get('X-User') || (req.body && req.body.user) || 'anonymous';
+}
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+const metricsToken = process.env.METRICS_TOKEN || null;
+app.get('/metrics', async (req, res) => {
+  if (metricsToken) {
+    const expected = Buffer.from(`Bearer ${metricsToken}`);
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized\n');
+    }
+  }
+  try {
+    const { contentType, body } = await renderMetrics(req.get('Accept'));
+    res.set('Content-Type', contentType).send(body);
+  } catch (err) {
+    console.error('Error rendering metrics:', err);
+    res.status(500).send(`${err.message}\n`);
+  }
+});
+
 // Serve static frontend files
 app.use(express.static('public'));
+app.use(express.json());
+
+// Login and session routes are public; every other /api route needs a signed-in
+// user (viewer), and routes that change state check for a higher role
+app.use('/api/auth', createAuthRouter());
+app.use('/api', authenticate);
+
+// API to get configured accounts
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const accounts = await getAccounts();
+    res.json(accounts.map(({ id, name }) => ({ id, name })));
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to fetch accounts' });
+  }
+});
 
-// API to get all regions
+// API to get all regions (union across the selected accounts)
 app.get('/api/regions', async (req, res) => {
   try {
-    const regions = await getAllRegions();
+    const accounts = await resolveAccounts(req.query.account);
+    const regionLists = await Promise.all(accounts.map(acc => getAllRegions(acc)));
+    const regions = [...new Set(regionLists.flat())].sort();
     res.json(regions);
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to fetch regions' });
   }
 });
 
-// API to get resources for a service in a region
-app.get('/api/resources/:service/:region', async (req, res) => {
-  const { service, region } = req.params;
+// API to query resources across accounts, regions and services:
+//   ?account=<id>|all &service=ec2,rds &region=us-east-1,eu-west-1
+//   &status=idle,stopped,suppressed &tag=Env=prod (repeatable, * wildcards)
+//   &minCost=&maxCost= &q=<id/name search> &sort=<field>&order=asc|desc
+//   &limit=100&cursor=<nextCursor> &refresh=true
+// Regions or services that fail are reported in `errors` next to the results
+// that did come back; only a request where nothing succeeded fails (502).
+app.get('/api/resources', (req, res) => handleResourceQuery(req, res));
+
+// Older form of the same query, returning every match unless limit/cursor is given
+app.get('/api/resources/:service/:region', (req, res) =>
+  handleResourceQuery(req, res, { service: req.params.service, region: req.params.region, paged: false }));
+
+// API to download a report of the resources matching a query:
+//   ?format=csv|json|xlsx|pdf &top=10 plus the /api/resources filters (no paging)
+app.get('/api/reports', async (req, res) => {
+  const format = req.query.format || 'csv';
+  const top = req.query.top === undefined ? 10 : Number(req.query.top);
+  let q;
+  try {
+    if (!REPORT_FORMATS[format]) throw new Error(`"format" must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    if (!Number.isInteger(top) || top < 1) throw new Error('"top" must be a positive integer');
+    q = parseResourceQuery({ ...req.query, limit: undefined, cursor: undefined }, { paged: false });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const report = await buildReport(q, { top });
+    if (!report.succeeded) {
+      return res.status(502).json({ error: report.errors[0].message, errors: report.errors });
+    }
+    const file = await renderReport(report, format);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+      // Regions/services that could not be collected
+      'X-Report-Errors': String(report.errors.length)
+    });
+    res.send(file.content);
+  } catch (err) {
+    console.error('Error generating report:', err);
+    res.status(500).json({ error: err.message || 'Failed to generate report' });
+  }
+});
+
+// API to list report schedules
+app.get('/api/reports/schedules', (req, res) => {
+  res.json(listReportSchedules());
+});
+
+// API to run a scheduled report now (stores the files and sends them to its channels)
+app.post('/api/reports/schedules/:name/run', requireRole('operator'), async (req, res) => {
+  const schedule = getReportSchedule(req.params.name);
+  if (!schedule) return res.status(404).json({ error: `Unknown report schedule: ${req.params.name}` });
+  try {
+    res.json(await runReportSchedule(schedule));
+  } catch (err) {
+    console.error(`Report ${schedule.name} failed:`, err);
+    res.status(500).json({ error: err.message || 'Failed to run report' });
+  }
+});
+
+// API to reload the report schedules; the current ones stay active if the new file is invalid
+app.post('/api/reports/reload', requireRole('admin'), (req, res) => {
+  try {
+    const reloaded = loadReportSchedules();
+    res.json({ message: `Loaded ${reloaded.length} report schedules`, schedules: reloaded });
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to reload report schedules' });
+  }
+});
+
+// API to list stored (scheduled) reports, newest first
+app.get('/api/reports/files', async (req, res) => {
+  try {
+    res.json(await listReportFiles());
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to list reports' });
+  }
+});
+
+// API to download a stored report
+app.get('/api/reports/files/:name', (req, res) => {
+  const file = reportFilePath(req.params.name);
+  if (!file) return res.status(404).json({ error: `Unknown report: ${req.params.name}` });
+  res.download(file);
+});
+
+// API to get rightsizing recommendations (?account=&region=&refresh=true).
+// Regions that fail are reported in `errors` next to the other results.
+app.get('/api/recommendations', async (req, res) => {
+  const region = req.query.region || 'all';
   const forceRefresh = req.query.refresh === 'true';
-  let resources = [];
-  let totalCostEstimate = 0;
-
-  try {
-    if (service === 'all') {
-      const regions = region === 'all' ? await getAllRegions() : [region];
-      const services = ['ec2', 'ebs', 's3', 'rds', 'lambda'];
-      
-      // Use Promise.all for parallel fetching when region is not 'all'
-      if (region === 'all') {
-        const promises = [];
-        for (let r of regions) {
-          for (let s of services) {
-            promises.push(fetchServiceResources(s, r, forceRefresh));
-          }
-        }
-        const results = await Promise.all(promises);
-        for (let result of results) {
-          resources = resources.concat(result.resources);
-          totalCostEstimate += result.totalCostEstimate;
-        }
+  try {
+    const accounts = await resolveAccounts(req.query.account);
+    const { tasks, errors } = await accountRegionTasks(accounts, region);
+    const outcomes = await runTasks(tasks, task => fetchRecommendations(task.account, task.region, forceRefresh), {
+      label: task => `Recommendations for ${task.account.id}/${task.region}`
+    });
+    let recommendations = [];
+    for (let { task, ok, value, error } of outcomes) {
+      if (ok) {
+        recommendations = recommendations.concat(value);
       } else {
-        for (let s of services) {
-          console.log(`Fetching ${s} in ${region}`);
-          const { resources: serviceResources, totalCostEstimate: serviceCost } = await fetchServiceResources(s, region, forceRefresh);
-          resources = resources.concat(serviceResources);
-          totalCostEstimate += serviceCost;
-        }
+        console.error(`Error building recommendations for ${task.account.id}/${task.region}:`, error.message);
+        errors.push({ accountId: task.account.id, region: task.region, ...describeError(error) });
       }
-    } else {
-      const { resources: serviceResources, totalCostEstimate: serviceCost } = await fetchServiceResources(service, region, forceRefresh);
-      resources = serviceResources;
-      totalCostEstimate = serviceCost;
     }
+    recommendations.sort((a, b) => b.monthlySavings - a.monthlySavings);
+    const totalMonthlySavings = recommendations.reduce((sum, rec) => sum + rec.monthlySavings, 0);
+    const body = { recommendations, totalMonthlySavings: totalMonthlySavings.toFixed(2), errors };
+    // Regions that failed are listed in `errors`; only fail when none succeeded
+    if (errors.length > 0 && !outcomes.some(o => o.ok)) {
+      return res.status(502).json({ error: errors[0].message, ...body });
+    }
+    res.json(body);
+  } catch (err) {
+    console.error('Error building recommendations:', err);
+    res.status(500).json({ error: err.message || 'Failed to build recommendations' });
+  }
+});
+
+// API to get RI/Savings Plans coverage and commitment recommendations (?account=&refresh=true).
+// Regions that fail are reported in `errors` next to the other results.
+app.get('/api/commitments', async (req, res) => {
+  const forceRefresh = req.query.refresh === 'true';
+  try {
+    const accounts = await resolveAccounts(req.query.account);
+    const analyses = [];
+    for (let account of accounts) {
+      analyses.push(await analyzeCommitments(account, forceRefresh));
+    }
+    const errors = analyses.flatMap(a => a.errors);
 
-    console.log(`Returning ${resources.length} resources for ${service} in ${region}`);
-    res.json({ resources, totalCostEstimate: totalCostEstimate.toFixed(2) });
+    const instances = analyses.flatMap(a => a.instances);
+    const recommendations = analyses.flatMap(a => a.recommendations)
+      .sort((a, b) => (b.best3yr?.monthlySavings || 0) - (a.best3yr?.monthlySavings || 0));
+    const coveredMonthlyCost = analyses.reduce((sum, a) => sum + a.summary.coveredMonthlyCost, 0);
+    const totalMonthlyCost = analyses.reduce((sum, a) => sum + a.summary.totalMonthlyCost, 0);
+    const body = {
+      summary: {
+        instances: instances.length,
+        covered: analyses.reduce((sum, a) => sum + a.summary.covered, 0),
+        partial: analyses.reduce((sum, a) => sum + a.summary.partial, 0),
+        onDemand: analyses.reduce((sum, a) => sum + a.summary.onDemand, 0),
+        coveredMonthlyCost,
+        totalMonthlyCost,
+        coveragePct: totalMonthlyCost ? (coveredMonthlyCost / totalMonthlyCost) * 100 : 0
+      },
+      instances,
+      reservations: analyses.flatMap(a => a.reservations),
+      savingsPlans: analyses.flatMap(a => a.savingsPlans),
+      recommendations,
+      errors
+    };
+    if (analyses.length > 0 && !analyses.some(a => a.succeeded)) {
+      return res.status(502).json({ error: errors[0].message, ...body });
+    }
+    res.json(body);
   } catch (err) {
-    console.error(`Error fetching ${service} in ${region}:`, err);
-    res.status(500).json({ error: err.message || 'Failed to fetch resources' });
+    console.error('Error analyzing commitments:', err);
+    res.status(500).json({ error: err.message || 'Failed to analyze commitments' });
   }
 });
 
-// API to clear cache
-app.post('/api/clear-cache', async (req, res) => {
+// API to clear cache. Without a body everything in the app's namespace goes;
+// { account, service, region } (each optional) drops only matching resource
+// results and the recommendations/commitments built from them.
+app.post('/api/clear-cache', requireRole('admin'), async (req, res) => {
+  const { account, service, region } = req.body || {};
   try {
-    await clearCache('*');
-    res.json({ message: 'Cache cleared successfully' });
+    let cleared;
+    if (account || service || region) {
+      if (service && !SERVICES.includes(service)) return res.status(400).json({ error: `Invalid service: ${service}` });
+      const accountPart = account ? escapeGlob(account) : '*';
+      const regionPart = region ? escapeGlob(region) : '*';
+      cleared = await invalidate(`resources:${accountPart}:${service || '*'}:${regionPart}`);
+      if (!service || service === 's3') cleared += await invalidate(`s3-buckets:${accountPart}`);
+      if (!service || service === 'snapshot' || service === 'ami') {
+        cleared += await invalidate(`ec2-images-snapshots:${accountPart}:${regionPart}`);
+      }
+      cleared += await invalidate(`recommendations:${accountPart}:${regionPart}`);
+      cleared += await invalidate(`commitments:${accountPart}`);
+    } else {
+      cleared = await invalidate('*');
+    }
+    res.json({ message: `Cache cleared successfully (${cleared} keys)`, cleared });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to clear cache' });
   }
 });
 
-// API to get cache stats
+// API to get cache stats (backend, hit/miss counters, key count and a sample of keys)
 app.get('/api/cache-stats', async (req, res) => {
   try {
-    const keys = await redisClient.keys('*');
-    const stats = {
-      totalKeys: keys.length,
-      keys: keys.slice(0, 20) // Return first 20 keys for preview
-    };
-    res.json(stats);
+    res.json(await cacheStats());
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to get cache stats' });
   }
 });
 
-// API to scan all unused resources across all regions/services and send notifications
-app.get('/api/scan', async (req, res) => {
+// API to start a scan job (body: { account }); progress streams from /api/scans/:id/events
+app.post('/api/scans', requireRole('operator'), (req, res) => {
   try {
-    const regions = await getAllRegions();
-    const services = ['ec2', 'ebs', 's3', 'rds', 'lambda'];
-    let unusedResources = [];
-    let longIdleResources = [];
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-
-    for (let region of regions) {
-      for (let service of services) {
-        // Force refresh for scan to get latest data
-        const { resources } = await fetchServiceResources(service, region, true);
-        
-        // Process resources for idle detection
-        for (let resource of resources) {
-          if (resource.usageStatus !== 'used' && resource.usageStatus !== 'available') {
-            unusedResources.push(resource);
-          }
-          
-          // Check for long-idle resources (>30 days)
-          if (resource.creation && resource.creation < thirtyDaysAgo) {
-            if (resource.state === 'stopped' || 
-                (resource.usageStatus === 'idle' && resource.avgCpu < 1)) {
-              longIdleResources.push(resource);
-            }
-          }
-        }
-      }
+    const job = startScanJob({ accountId: (req.body && req.body.account) || 'all', trigger: 'manual', requestedBy: requestUser(req) });
+    res.status(202).json(scanJobView(job));
+  } catch (err) {
+    if (err instanceof ScanInProgressError) {
+      return res.status(409).json({ error: err.message, job: scanJobView(err.job) });
     }
+    res.status(500).json({ error: err.message || 'Failed to start scan' });
+  }
+});
 
-    lastUnusedResources = unusedResources;
-    if (longIdleResources.length > 0) {
-      await sendNotification(longIdleResources);
-    } else {
-      console.log('No long-idle resources found; skipping automatic email');
-    }
-    res.json({ unusedResources });
+// API to list recent scan jobs, newest first
+app.get('/api/scans', (req, res) => {
+  res.json([...scanJobs.values()].reverse().map(job => {
+    const { tasks, ...view } = scanJobView(job);
+    return view;
+  }));
+});
+
+// API to get one scan job, with its unused resources
+app.get('/api/scans/:id', (req, res) => {
+  const job = scanJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown scan job: ${req.params.id}` });
+  res.json(scanJobView(job, { includeResults: true }));
+});
+
+// Server-Sent Events: a "state" event with the job so far, then plan, task,
+// progress, resources, task-error and cancelling events, and finally "done"
+app.get('/api/scans/:id/events', (req, res) => {
+  const job = scanJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown scan job: ${req.params.id}` });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = ({ event, data }) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send({ event: 'state', data: scanJobView(job, { includeResults: true }) });
+  if (job.status !== 'running') {
+    send({ event: 'done', data: scanJobView(job) });
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const onEvent = message => {
+    send(message);
+    if (message.event === 'done') res.end();
+  };
+  job.emitter.on('event', onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.emitter.off('event', onEvent);
+  });
+});
+
+// API to cancel a running scan; it stops after the current step
+app.post('/api/scans/:id/cancel', requireRole('operator'), (req, res) => {
+  try {
+    res.json(scanJobView(cancelScanJob(req.params.id)));
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to cancel scan' });
+  }
+});
+
+// API to scan all unused resources across all accounts/regions/services and send notifications.
+// Blocking scan kept for existing scripts: runs a job and waits for it
+app.get('/api/scan', requireRole('operator'), async (req, res) => {
+  try {
+    const job = startScanJob({ accountId: req.query.account, trigger: 'manual', requestedBy: requestUser(req) });
+    await job.done;
+    if (job.status !== 'completed') throw new Error(job.errors.map(e => e.message).join('; ') || `Scan ${job.status}`);
+    res.json({ unusedResources: job.unusedResources, jobId: job.id, errors: job.errors });
   } catch (err) {
     console.error('Error scanning resources:', err);
-    res.status(500).json({ error: err.message || 'Failed to scan resources' });
+    res.status(err instanceof ScanInProgressError ? 409 : 500).json({ error: err.message || 'Failed to scan resources' });
+  }
+});
+
+// API to list saved scan snapshots
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    const entries = await readSnapshotIndex(req.query.from, req.query.to);
+    res.json(entries.map(({ id, takenAt, trigger, totals }) => ({ id, takenAt, trigger, totals })));
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to list snapshots' });
+  }
+});
+
+// API to get one snapshot with its per-resource data
+app.get('/api/snapshots/:id', async (req, res) => {
+  try {
+    const snapshot = await readSnapshot(req.params.id);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json(snapshot);
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to read snapshot' });
+  }
+});
+
+// API to get cost/count time series (?groupBy=service|region|status|account&from=&to=)
+app.get('/api/trends', async (req, res) => {
+  const { groupBy, from, to } = req.query;
+  if (groupBy && !TREND_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of ${TREND_GROUPS.join(', ')}` });
+  }
+  try {
+    const entries = await readSnapshotIndex(from, to);
+    const series = entries.map(entry => ({
+      takenAt: entry.takenAt,
+      trigger: entry.trigger,
+      totalCost: entry.totals.cost,
+      idleCost: entry.totals.idleCost,
+      count: entry.totals.count,
+      idleCount: entry.totals.idleCount,
+      ...(groupBy ? { groups: entry.groups[groupBy] } : {})
+    }));
+    res.json({ groupBy: groupBy || null, series });
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to build trends' });
+  }
+});
+
+// API to compare estimated costs with Cost Explorer actuals (?account=)
+app.get('/api/costs/reconciliation', async (req, res) => {
+  try {
+    const accounts = await resolveAccounts(req.query.account);
+    res.json(await buildReconciliation(accounts));
+  } catch (err) {
+    console.error('Error reconciling costs:', err);
+    res.status(500).json({ error: err.message || 'Failed to reconcile costs' });
   }
 });
 
 // API to send email manually
-app.get('/api/send-email', async (req, res) => {
+app.get('/api/send-email', requireRole('operator'), async (req, res) => {
   try {
-    const result = await sendNotification(lastUnusedResources, true);
+    // Suppressions added since the last scan apply too
+    const result = await sendNotification(withoutSuppressed(lastUnusedResources), true, req.query.channel);
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to send email' });
   }
 });
 
+// API to list notification channels and their filters
+app.get('/api/notifiers', (req, res) => {
+  res.json(listChannels());
+});
+
+// API to reload notification channels; the current channels stay active if the new config is invalid
+app.post('/api/notifiers/reload', requireRole('admin'), (req, res) => {
+  try {
+    const reloaded = loadChannels();
+    res.json({ message: `Loaded ${reloaded.length} channels`, channels: reloaded });
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to reload notification channels' });
+  }
+});
+
+// API to get the owner routing config
+app.get('/api/owners', (req, res) => {
+  res.json(ownersSummary());
+});
+
+// API to list notice counts per long-idle resource (used for escalation)
+app.get('/api/owners/notices', (req, res) => {
+  res.json(readNotices());
+});
+
+// API to reload the owners file; the current config stays active if the new one is invalid
+app.post('/api/owners/reload', requireRole('admin'), async (req, res) => {
+  try {
+    loadOwners();
+  } catch (err) {
+    return res.status(400).json({ error: err.message || 'Failed to reload owners' });
+  }
+  try {
+    await invalidatePolicyResults();
+    res.json(ownersSummary());
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to clear cached resources' });
+  }
+});
+
+// API to list active suppressions (?includeExpired=true adds lapsed snoozes not yet pruned)
+app.get('/api/suppressions', (req, res) => {
+  try {
+    res.json(listSuppressions({ includeExpired: req.query.includeExpired === 'true' }));
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to list suppressions' });
+  }
+});
+
+// API to suppress resources (body: { match: { accountId, service, region, id, tags }, reason, expiresAt })
+app.post('/api/suppressions', requireRole('operator'), (req, res) => {
+  try {
+    const entry = addSuppression(req.body || {}, requestUser(req));
+    console.log(`Suppression ${entry.id} added by ${entry.author}: ${JSON.stringify(entry.match)} (${entry.reason})`);
+    res.status(201).json(entry);
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to add suppression' });
+  }
+});
+
+// API to lift a suppression
+app.delete('/api/suppressions/:id', requireRole('operator'), (req, res) => {
+  try {
+    removeSuppression(req.params.id);
+    console.log(`Suppression ${req.params.id} removed by ${requestUser(req)}`);
+    res.json({ message: 'Suppression removed' });
+  } catch (err) {
+    res.status(404).json({ error: err.message || 'Failed to remove suppression' });
+  }
+});
+
+// API to get the active idle-detection policy
+app.get('/api/policy', (req, res) => {
+  res.json(getPolicy());
+});
+
+// API to reload the policy file; the current policy stays active if the new one is invalid
+app.post('/api/policy/reload', requireRole('admin'), async (req, res) => {
+  let reloaded;
+  try {
+    reloaded = loadPolicy();
+  } catch (err) {
+    return res.status(400).json({ error: err.message || 'Failed to reload policy' });
+  }
+  try {
+    await invalidatePolicyResults();
+    res.json({ message: `Loaded ${reloaded.rules.length} rules`, ...reloaded });
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to clear cached resources' });
+  }
+});
+
+// API to list supported remediation actions
+app.get('/api/remediations/actions', (req, res) => {
+  res.json(Object.entries(REMEDIATION_ACTIONS).map(([action, def]) => ({
+    action,
+    service: def.service,
+    description: def.description
+  })));
+});
+
+// API to list remediations awaiting approval or execution
+app.get('/api/remediations', (req, res) => {
+  res.json([...pendingRemediations.values()]);
+});
+
+// API to dry-run a remediation action
+app.post('/api/remediations/preview', requireRole('operator'), async (req, res) => {
+  try {
+    const remediation = await previewRemediation(req.body || {}, requestUser(req));
+    res.json(remediation);
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to preview remediation' });
+  }
+});
+
+// API to approve a previewed remediation
+app.post('/api/remediations/:id/approve', requireRole('operator'), (req, res) => {
+  try {
+    res.json(approveRemediation(req.params.id, requestUser(req)));
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to approve remediation' });
+  }
+});
+
+// API to execute an approved remediation; it runs in the background, so poll
+// GET /api/remediations/:id until the status is executed, rejected or failed
+app.post('/api/remediations/:id/execute', requireRole('operator'), async (req, res) => {
+  try {
+    res.status(202).json(await executeRemediation(req.params.id, requestUser(req)));
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to execute remediation' });
+  }
+});
+
+// API to get one remediation (pending, executing or from the audit log)
+app.get('/api/remediations/:id', async (req, res) => {
+  try {
+    const remediation = await findRemediation(req.params.id);
+    if (!remediation) return res.status(404).json({ error: `Remediation ${req.params.id} not found` });
+    res.json(remediation);
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to read remediation' });
+  }
+});
+
+// API to read the remediation audit log
+app.get('/api/audit-log', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json(await readAuditLog(limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Failed to read audit log' });
+  }
+});
+
 // Schedule daily scan at midnight IST
 cron.schedule('0 0 * * *', async () => {
   console.log('Running scheduled scan for unused resources at', new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
   try {
-    const regions = await getAllRegions();
-    const services = ['ec2', 'ebs', 's3', 'rds', 'lambda'];
-    let longIdleResources = [];
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-
-    for (let region of regions) {
-      for (let service of services) {
-        // Force refresh for scheduled scan
-        const { resources } = await fetchServiceResources(service, region, true);
-        
-        for (let resource of resources) {
-          if (resource.creation && resource.creation < thirtyDaysAgo) {
-            if (resource.state === 'stopped' || 
-                (resource.usageStatus === 'idle' && resource.avgCpu < 1)) {
-              longIdleResources.push(resource);
-            }
-          }
-        }
-      }
-    }
-
-    if (longIdleResources.length > 0) {
-      await sendNotification(longIdleResources);
-      console.log('Scheduled scan: Email sent for', longIdleResources.length, 'long-idle resources');
-    } else {
-      console.log('Scheduled scan: No long-idle resources found; skipping email');
-    }
+    // Let a manual scan that is still running finish first
+    if (activeScanJob) await activeScanJob.done;
+    const job = startScanJob({ trigger: 'scheduled', requestedBy: 'scheduler' });
+    await job.done;
+    console.log(`Scheduled scan ${job.id} ${job.status}`, job.notification ? job.notification : '');
   } catch (err) {
     console.error('Scheduled scan error:', err);
   }
@@ -645,11 +2143,13 @@ cron.schedule('0 0 * * *', async () => {
 // Graceful shutdown - close Redis connection
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
-  await redisClient.quit();
+  await closeCache();
   process.exit(0);
 });
 
+restoreScanMetrics().catch(err => console.error('Failed to restore scan metrics from snapshots:', err.message));
+
 app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
-  console.log(`Redis cache enabled - TTL: Resources=${CACHE_TTL.RESOURCES}s, Regions=${CACHE_TTL.REGIONS}s, Pricing=${CACHE_TTL.PRICING}s`);
+  console.log(`Cache TTL: Resources=${CACHE_TTL.RESOURCES}s, Regions=${CACHE_TTL.REGIONS}s, Pricing=${CACHE_TTL.PRICING}s`);
 });